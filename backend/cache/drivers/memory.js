@@ -0,0 +1,41 @@
+// In-process LRU cache - each API process keeps its own, entries are lost on restart
+// A Map keeps insertion order, so re-inserting on every hit leaves the least recently used entry first
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500;
+
+const entries = new Map();
+
+const get = async (key) => {
+  const entry = entries.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+
+  entries.delete(key);
+  entries.set(key, entry);
+  return entry.value;
+};
+
+// ttlSeconds of 0 or less keeps the entry until it is evicted
+const set = async (key, value, ttlSeconds = 0) => {
+  entries.delete(key);
+  entries.set(key, { value, expiresAt: ttlSeconds > 0 ? Date.now() + ttlSeconds * 1000 : null });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+const remove = async (key) => {
+  entries.delete(key);
+};
+
+module.exports = {
+  name: 'memory',
+  get,
+  set,
+  remove
+};
@@ -0,0 +1,103 @@
+// Picks the response cache driver from CACHE_DRIVER (memory by default, none turns caching off)
+// Every driver exposes get(key), set(key, value, ttlSeconds) and remove(key), all async
+// Values must survive a JSON round trip, so drivers backed by another service can store them
+
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const DRIVERS = {
+  memory: '../cache/drivers/memory'
+};
+
+const driverName = (process.env.CACHE_DRIVER || 'memory').toLowerCase();
+
+if (driverName !== 'none' && !DRIVERS[driverName]) {
+  throw new Error(`Unknown CACHE_DRIVER "${driverName}" (expected ${[...Object.keys(DRIVERS), 'none'].join(', ')})`);
+}
+
+const cache = driverName === 'none' ? null : require(DRIVERS[driverName]);
+
+// Upper bound on how stale an entry can get if an invalidation is ever missed
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL_SECONDS, 10) || 300;
+
+// Entries are grouped in namespaces that are dropped as a whole: every key carries the namespace's
+// current generation, so invalidating only has to start a new one and the old entries age out
+// A generation is { id, startedAt } - startedAt is the namespace's Last-Modified, see lastChangedAt
+const generationKey = (namespace) => `${namespace}:generation`;
+
+// HTTP dates have whole seconds, so a generation starts in a later second than anything before it,
+// otherwise a client revalidating with If-Modified-Since could not tell the two apart
+const SECOND = 1000;
+
+const nextStart = (previous) => {
+  const afterNow = Math.floor(Date.now() / SECOND) * SECOND + SECOND;
+  const afterPrevious = previous ? new Date(previous.startedAt).getTime() + SECOND : 0;
+  return new Date(Math.max(afterNow, afterPrevious)).toISOString();
+};
+
+// Never start again from an id that was used before, its entries may still be around
+const newGeneration = (previous) => ({ id: crypto.randomUUID(), startedAt: nextStart(previous) });
+
+const currentGeneration = async (namespace) => {
+  const generation = await cache.get(generationKey(namespace));
+  if (generation) return generation;
+
+  const fresh = newGeneration(null);
+  await cache.set(generationKey(namespace), fresh);
+  return fresh;
+};
+
+// Without a cache there are no stored generations, the process keeps them
+const processGenerations = new Map();
+
+// Cached value of key in namespace, loaded (and stored) on a miss
+const remember = async (namespace, key, load) => {
+  if (!cache) return load();
+
+  const fullKey = `${namespace}:${(await currentGeneration(namespace)).id}:${key}`;
+  const cached = await cache.get(fullKey);
+  if (cached !== undefined) return cached;
+
+  const value = await load();
+  await cache.set(fullKey, value, CACHE_TTL_SECONDS);
+  return value;
+};
+
+// When the namespace last changed - later than anything served before its last invalidation
+const lastChangedAt = async (namespace) => {
+  if (!cache) {
+    if (!processGenerations.has(namespace)) processGenerations.set(namespace, newGeneration(null));
+    return new Date(processGenerations.get(namespace).startedAt);
+  }
+  return new Date((await currentGeneration(namespace)).startedAt);
+};
+
+// Drop every entry of the namespace - pass the transaction scope when inside one, it then waits for the commit
+const invalidate = (namespace, db) => {
+  const drop = async () => {
+    if (!cache) {
+      processGenerations.set(namespace, newGeneration(processGenerations.get(namespace)));
+      return;
+    }
+
+    try {
+      const previous = await cache.get(generationKey(namespace));
+      await cache.set(generationKey(namespace), newGeneration(previous));
+    } catch (error) {
+      logger.error('Cache invalidation failed', { error, namespace });
+    }
+  };
+
+  if (db && db.afterCommit) {
+    db.afterCommit(drop);
+    return Promise.resolve();
+  }
+  return drop();
+};
+
+module.exports = {
+  driver: cache ? cache.name : 'none',
+  remember,
+  lastChangedAt,
+  invalidate
+};
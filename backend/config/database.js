@@ -1,64 +1,112 @@
-const sql = require('mssql');
-
-// MSSQL connection configuration using SQL Server Authentication
-const dbConfig = {
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    server: process.env.DB_HOST,
-    database: process.env.DB_NAME,
-    options: {
-        encrypt: false,
-        trustServerCertificate: true,
-        enableArithAbort: true
-    },
-    pool: {
-        max: 10,
-        min: 0,
-        idleTimeoutMillis: 60000
-    },
-    connectionTimeout: 60000,
-    requestTimeout: 60000
+// Data-access entry point - picks a driver from DB_DRIVER (mssql or sqlite)
+// All SQL uses @name placeholders, and paging goes through paginate() so it works on both
+
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+const DRIVERS = {
+    mssql: '../db/drivers/mssql',
+    sqlite: '../db/drivers/sqlite'
 };
 
-// Create connection pool
-const dbPool = new sql.ConnectionPool(dbConfig);
+const driverName = (process.env.DB_DRIVER || 'mssql').toLowerCase();
 
-// Connect to database when the app starts
-dbPool.connect().then(() => {
-    console.log('Database connected successfully');
-}).catch(error => {
-    console.error('Database connection failed:', error.message);
-    process.exit(1);
-});
+if (!DRIVERS[driverName]) {
+    throw new Error(`Unknown DB_DRIVER "${driverName}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+}
 
-// Handle connection errors
-dbPool.on('error', error => {
-    console.error('Database pool error:', error);
-});
+const driver = require(DRIVERS[driverName]);
+
+// Query timings per operation (query, execute, insert or batch)
+const queryDuration = metrics.histogram(
+    'db_query_duration_seconds',
+    'Time spent running database statements',
+    ['operation', 'outcome']
+);
 
-// Helper function to execute queries with promises
-const executeQuery = async (sqlQuery, params = {}) => {
+// Time every statement and log the failed ones - only the parameter names, the values can be
+// password hashes or customers' emails
+const instrument = (operation, run) => async (sqlQuery, params = {}) => {
+    const start = process.hrtime.bigint();
     try {
-        const pool = await dbPool;
-        const request = pool.request();
-        
-        // Add parameters to request
-        Object.keys(params).forEach(key => {
-            request.input(key, params[key]);
-        });
-        
-        const result = await request.query(sqlQuery);
-        return result.recordset || [];
+        const result = await run(sqlQuery, params);
+        queryDuration.observe({ operation, outcome: 'success' }, metrics.elapsedSeconds(start));
+        return result;
     } catch (error) {
-        console.error('Database query error:', error.message);
-        console.error('Query:', sqlQuery);
-        console.error('Params:', params);
+        queryDuration.observe({ operation, outcome: 'error' }, metrics.elapsedSeconds(start));
+        logger.error('Database query failed', {
+            error,
+            operation,
+            sql: sqlQuery,
+            params: Object.keys(params)
+        });
         throw error;
     }
 };
 
-module.exports = { 
-    pool: dbPool, 
+const wrapScope = (scope) => ({
+    query: instrument('query', scope.query),
+    execute: instrument('execute', scope.execute),
+    insert: instrument('insert', scope.insert),
+    batch: instrument('batch', scope.batch)
+});
+
+// Connections of the driver's pool, read on every scrape
+metrics.gauge('db_pool_connections', 'Database connections by state (pending counts callers waiting for one)', () => {
+    const stats = driver.poolStats();
+    return ['size', 'idle', 'in_use', 'pending'].map(state => ({ labels: { state }, value: stats[state] }));
+});
+
+// Connect to database, called by server.js before it starts listening
+const connectDatabase = async () => {
+    await driver.connect();
+    logger.info('Database connected', { driver: driver.name });
+};
+
+// Helper function to execute queries with promises, returns the rows
+const executeQuery = instrument('query', driver.query);
+
+// UPDATE / DELETE that returns how many rows it changed, for writes that only apply while a condition holds
+const executeStatement = instrument('execute', driver.execute);
+
+// Helper function for INSERT statements, returns the new row id
+const executeInsert = instrument('insert', driver.insert);
+
+// Run a parameterless SQL script, used by the migrations
+const executeBatch = instrument('batch', driver.batch);
+
+// Run several queries atomically: transaction(async (tx) => { await tx.query(...) })
+// tx.afterCommit(callback) defers side effects (e.g. live events) until the data is really there
+const runTransaction = async (work) => {
+    const committed = [];
+    const result = await driver.transaction(scope => work({
+        ...wrapScope(scope),
+        afterCommit: (callback) => committed.push(callback)
+    }));
+    await Promise.all(committed.map(callback => callback()));
+    return result;
+};
+
+// Build "@name0, @name1, ..." for an IN (...) list, together with the matching params
+const listParams = (name, values) => {
+    const params = {};
+    const placeholders = values.map((value, index) => {
+        params[`${name}${index}`] = value;
+        return `@${name}${index}`;
+    });
+    return { placeholders: placeholders.join(', '), params };
+};
+
+module.exports = {
+    dialect: driver.name,
+    connect: connectDatabase,
+    close: driver.close,
     query: executeQuery,
-    sql
-};
\ No newline at end of file
+    execute: executeStatement,
+    insert: executeInsert,
+    batch: executeBatch,
+    transaction: runTransaction,
+    paginate: driver.paginate,
+    lockForUpdate: driver.lockForUpdate,
+    listParams
+};
@@ -1,5 +1,6 @@
 // Handles creation and verification of access and refresh tokens
 
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 // JWT secrets - in production these should be much longer and random
@@ -18,8 +19,10 @@ const createTokenPair = (userPayload) => {
   });
   
   // Create refresh token with longer expiration
+  // Random jwtid so two tokens issued in the same second never collide in the token store
   const refreshToken = jwt.sign(userPayload, REFRESH_TOKEN_SECRET, { 
-    expiresIn: REFRESH_TOKEN_EXPIRES 
+    expiresIn: REFRESH_TOKEN_EXPIRES,
+    jwtid: crypto.randomUUID()
   });
 
   return { accessToken, refreshToken };
@@ -43,10 +46,17 @@ const validateRefreshToken = (token) => {
   }
 };
 
+// Read the expiry of a token we just issued, without verifying it
+const getTokenExpiry = (token) => {
+  const { exp } = jwt.decode(token);
+  return new Date(exp * 1000);
+};
+
 module.exports = {
   generateTokens: createTokenPair,
   verifyAccessToken: validateAccessToken,
   verifyRefreshToken: validateRefreshToken,
+  getTokenExpiry,
   JWT_ACCESS_SECRET: ACCESS_TOKEN_SECRET,
   JWT_REFRESH_SECRET: REFRESH_TOKEN_SECRET,
   JWT_ACCESS_EXPIRES_IN: ACCESS_TOKEN_EXPIRES,
@@ -0,0 +1,91 @@
+// Structured JSON logging - one line per entry, warnings and errors go to stderr
+// Entries made while a request is handled carry its request id, and sensitive fields are masked
+// Levels below LOG_LEVEL (debug, info, warn, error - info by default) are dropped
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+
+// Holds { requestId } for everything that runs on behalf of a request, see middleware/requestContext.js
+const requestContext = new AsyncLocalStorage();
+
+// Fields whose values never reach the logs, whatever object they turn up in
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|hash|email|phone/i;
+
+// The same data inside free text, e.g. a driver error that echoes the offending value
+const SENSITIVE_TEXT = [
+  /\$2[aby]\$\d{2}\$[./A-Za-z0-9]{53}/g, // bcrypt hashes
+  /[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[A-Za-z]{2,}/g // email addresses
+];
+
+const REDACTED = '[REDACTED]';
+
+const MAX_DEPTH = 6;
+
+const scrubText = (text) => SENSITIVE_TEXT.reduce((result, pattern) => result.replace(pattern, REDACTED), text);
+
+// Copy of value that is safe to log: masked, errors spelled out, no cycles
+const sanitize = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === 'string') return scrubText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: scrubText(value.message),
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      ...(value.stack ? { stack: scrubText(value.stack) } : {})
+    };
+  }
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]';
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map(item => sanitize(item, depth + 1, seen));
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SENSITIVE_KEY.test(key) && item !== null && item !== undefined ? REDACTED : sanitize(item, depth + 1, seen)
+  ]));
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < minLevel) return;
+
+  const context = requestContext.getStore();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: scrubText(message),
+    ...(context ? { requestId: context.requestId } : {}),
+    ...sanitize(fields)
+  };
+
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// Run callback (and everything it starts) with this request id attached to its log entries
+const runWithRequestId = (requestId, callback) => requestContext.run({ requestId }, callback);
+
+// Id of the request being handled, undefined outside of one
+const currentRequestId = () => {
+  const context = requestContext.getStore();
+  return context && context.requestId;
+};
+
+module.exports = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields),
+  runWithRequestId,
+  currentRequestId
+};
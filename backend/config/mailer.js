@@ -0,0 +1,29 @@
+// Picks the mail transport from MAIL_TRANSPORT (console, file or smtp)
+// Every transport exposes send({ from, to, subject, text })
+
+const TRANSPORTS = {
+  console: '../mail/transports/console',
+  file: '../mail/transports/file',
+  smtp: '../mail/transports/smtp'
+};
+
+const transportName = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+
+if (!TRANSPORTS[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+}
+
+const transport = require(TRANSPORTS[transportName]);
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Car Shop <no-reply@carshop.com>';
+
+// Base URL of the frontend, used to build links inside emails
+const APP_URL = process.env.APP_URL || 'https://localhost:3000';
+
+const sendMail = ({ to, subject, text }) => transport.send({ from: MAIL_FROM, to, subject, text });
+
+module.exports = {
+  transport: transport.name,
+  sendMail,
+  APP_URL
+};
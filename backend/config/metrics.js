@@ -0,0 +1,100 @@
+// Prometheus metrics kept in process memory and served by GET /metrics in the text exposition format
+// Each API process counts on its own, so scrape every instance rather than a load balancer
+
+const metrics = [];
+
+// Seconds, from a fast cached read up to a request that is about to time out
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// Series are stored under their label values, in the order the metric declares the label names
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const labelsOf = (labelNames, key) => {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, index) => [name, values[index]]));
+};
+
+const register = (metric) => {
+  metrics.push(metric);
+  return metric;
+};
+
+// Only ever goes up, e.g. requests served
+const counter = (name, help, labelNames = []) => {
+  const series = new Map();
+
+  return register({
+    inc: (labels = {}, amount = 1) => {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + amount);
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series].map(([key, value]) => `${name}${formatLabels(labelsOf(labelNames, key))} ${value}`)
+    ]
+  });
+};
+
+// Distribution of observed values over cumulative buckets, e.g. request durations in seconds
+const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+
+  return register({
+    observe: (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      if (!series.has(key)) {
+        series.set(key, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      }
+      const entry = series.get(key);
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} histogram`,
+      ...[...series].flatMap(([key, entry]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[index]}`),
+          `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${entry.count}`,
+          `${name}_sum${formatLabels(labels)} ${entry.sum}`,
+          `${name}_count${formatLabels(labels)} ${entry.count}`
+        ];
+      })
+    ]
+  });
+};
+
+// Read at scrape time - collect returns [{ labels, value }], e.g. connections of the pool right now
+const gauge = (name, help, collect) => register({
+  render: () => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...collect().map(({ labels = {}, value }) => `${name}${formatLabels(labels)} ${value}`)
+  ]
+});
+
+// Seconds since start, for histograms
+const elapsedSeconds = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+// Every registered metric in the Prometheus text format
+const renderMetrics = () => `${metrics.flatMap(metric => metric.render()).join('\n')}\n`;
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  elapsedSeconds,
+  renderMetrics
+};
@@ -0,0 +1,54 @@
+// Roles and what each of them is allowed to do
+// Routes check permissions, not role names, so a role can be widened without touching the routes
+
+const PERMISSIONS = {
+  CARS_WRITE: 'cars:write',                     // create, edit, archive, import/export cars and their images
+  CARS_PURGE: 'cars:purge',                     // delete archived cars for good once their retention is over
+  INQUIRIES_RESPOND: 'inquiries:respond',       // see every inquiry, reply as staff and change its status
+  TEST_DRIVES_MANAGE: 'test_drives:manage',     // opening hours, confirm and reschedule bookings
+  RESERVATIONS_MANAGE: 'reservations:manage',   // see and cancel anyone's holds
+  SALES_MANAGE: 'sales:manage',                 // record and list sales
+  FINANCE_MANAGE: 'finance:manage',             // financing APR tiers and loan terms
+  TRADE_INS_APPRAISE: 'trade_ins:appraise',     // see every trade-in request and make offers on them
+  REPORTS_VIEW: 'reports:view',                 // dashboard statistics
+  AUDIT_VIEW: 'audit:view',                     // admin audit trail
+  EVENTS_VIEW: 'events:view',                   // live stream of every inquiry and car event, not just your own
+  USERS_MANAGE: 'users:manage'                  // list users and assign roles
+};
+
+const ROLES = ['customer', 'salesperson', 'inventory_manager', 'admin'];
+
+// Self-registration always creates this role, others are assigned by an admin
+const DEFAULT_ROLE = 'customer';
+
+const ROLE_PERMISSIONS = {
+  customer: [],
+  salesperson: [
+    PERMISSIONS.INQUIRIES_RESPOND,
+    PERMISSIONS.TEST_DRIVES_MANAGE,
+    PERMISSIONS.RESERVATIONS_MANAGE,
+    PERMISSIONS.SALES_MANAGE,
+    PERMISSIONS.TRADE_INS_APPRAISE,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.EVENTS_VIEW
+  ],
+  inventory_manager: [
+    PERMISSIONS.CARS_WRITE,
+    PERMISSIONS.REPORTS_VIEW
+  ],
+  admin: Object.values(PERMISSIONS)
+};
+
+// Does this user (or role name) have the permission? Unknown roles have none
+const hasPermission = (userOrRole, permission) => {
+  const role = typeof userOrRole === 'string' ? userOrRole : userOrRole && userOrRole.role;
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  ROLE_PERMISSIONS,
+  hasPermission
+};
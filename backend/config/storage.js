@@ -0,0 +1,32 @@
+// Picks the file storage driver from STORAGE_DRIVER (local by default)
+// Every driver exposes save(key, buffer, contentType), remove(key) and getUrl(key)
+
+const logger = require('./logger');
+
+const DRIVERS = {
+  local: '../storage/drivers/local'
+};
+
+const driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+if (!DRIVERS[driverName]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driverName}" (expected ${Object.keys(DRIVERS).join(', ')})`);
+}
+
+const storage = require(DRIVERS[driverName]);
+
+// Remove several files, a missing file is not an error
+const removeFiles = async (keys) => {
+  await Promise.all(keys.filter(Boolean).map(key => storage.remove(key).catch(error => {
+    logger.error('Failed to remove stored file', { error, key });
+  })));
+};
+
+module.exports = {
+  driver: storage.name,
+  save: storage.save,
+  remove: storage.remove,
+  removeFiles,
+  getUrl: storage.getUrl,
+  staticRoot: storage.staticRoot
+};
@@ -1,16 +1,53 @@
-// Handles user registration, login, token refresh, and logout
+// Handles user registration, login, token refresh, logout, email verification and password reset
 
 const bcrypt = require('bcryptjs');
-const { query } = require('../config/database');
-const { generateTokens, verifyRefreshToken } = require('../config/jwt');
-
-// Store refresh tokens in memory (in real app would use Redis or database)
-let validRefreshTokens = [];
+const { query, insert } = require('../config/database');
+const { DEFAULT_ROLE } = require('../config/permissions');
+const { generateTokens, verifyRefreshToken, getTokenExpiry } = require('../config/jwt');
+const {
+  saveRefreshToken,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens
+} = require('../models/refreshToken');
+const { PURPOSES, createUserToken, consumeUserToken } = require('../models/userToken');
+const { sendMail } = require('../config/mailer');
+const logger = require('../config/logger');
+const { verificationMessage, passwordResetMessage } = require('../mail/messages');
+
+// When true, users must confirm their email address before they can log in
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+const VERIFICATION_TOKEN_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const RESET_TOKEN_TTL = 60 * 60 * 1000; // 1 hour
+
+const SALT_ROUNDS = 12; // Higher number = more secure but slower
+
+// Details about the client that are stored next to each refresh token
+const describeClient = (req, token, userId) => ({
+  token,
+  userId,
+  expiresAt: getTokenExpiry(token),
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+});
+
+// Email a fresh verification link - failures are logged, not returned to the user
+const sendVerificationEmail = async (user) => {
+  try {
+    const token = await createUserToken(user.id, PURPOSES.EMAIL_VERIFICATION, VERIFICATION_TOKEN_TTL);
+    await sendMail(verificationMessage(user, token));
+  } catch (error) {
+    logger.error('Verification email error', { error });
+  }
+};
 
 // User registration
 const registerUser = async (req, res) => {
   try {
-    const { username, email, password, role = 'customer' } = req.body;
+    const { username, email, password } = req.body;
+    const role = DEFAULT_ROLE;
 
     // Basic validation
     if (!username || !email || !password) {
@@ -28,16 +65,23 @@ const registerUser = async (req, res) => {
     }
 
     // Hash the password before storing
-    const saltRounds = 12; // Higher number = more secure but slower
-    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
 
-    // Insert new user into database with OUTPUT clause
-    const insertResult = await query(
-      'INSERT INTO users (username, email, password, role) OUTPUT INSERTED.id VALUES (@username, @email, @password, @role)',
+    // Insert new user into database
+    const newUserId = await insert(
+      'INSERT INTO users (username, email, password, role) VALUES (@username, @email, @password, @role)',
       { username, email, password: hashedPassword, role }
     );
 
-    const newUserId = insertResult[0].id; // returns array with OUTPUT
+    await sendVerificationEmail({ id: newUserId, username, email });
+
+    // No session until the email address is confirmed
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: 'User registered successfully. Please check your email to verify your account.',
+        user: { id: newUserId, username, email, role }
+      });
+    }
 
     // Generate tokens for immediate login after registration
     const tokenPayload = { 
@@ -48,8 +92,8 @@ const registerUser = async (req, res) => {
     };
     const tokens = generateTokens(tokenPayload);
 
-    // Store refresh token
-    validRefreshTokens.push(tokens.refreshToken);
+    // Store refresh token, this starts a new token family
+    await saveRefreshToken(describeClient(req, tokens.refreshToken, newUserId));
 
     // Set refresh token as secure cookie
     res.cookie('refreshToken', tokens.refreshToken, {
@@ -66,7 +110,7 @@ const registerUser = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Registration error:', error);
+    logger.error('Registration error', { error });
     res.status(500).json({ message: 'Registration failed. Please try again.' });
   }
 };
@@ -99,6 +143,13 @@ const loginUser = async (req, res) => {
       return res.status(401).json({ message: 'Invalid login credentials' });
     }
 
+    if (REQUIRE_EMAIL_VERIFICATION && !user.email_verified_at) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        emailNotVerified: true
+      });
+    }
+
     // Create tokens
     const tokenPayload = {
       id: user.id,
@@ -108,8 +159,8 @@ const loginUser = async (req, res) => {
     };
     const tokens = generateTokens(tokenPayload);
 
-    // Store refresh token
-    validRefreshTokens.push(tokens.refreshToken);
+    // Store refresh token, this starts a new token family
+    await saveRefreshToken(describeClient(req, tokens.refreshToken, user.id));
 
     // Set refresh token cookie
     res.cookie('refreshToken', tokens.refreshToken, {
@@ -131,7 +182,7 @@ const loginUser = async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { error });
     res.status(500).json({ message: 'Login failed. Please try again.' });
   }
 };
@@ -145,63 +196,86 @@ const refreshAccessToken = async (req, res) => {
       return res.status(401).json({ message: 'Refresh token not found' });
     }
 
-    // Check if refresh token is in our valid tokens list
-    if (!validRefreshTokens.includes(refreshToken)) {
+    // Check if refresh token is in our token store
+    const storedToken = await findRefreshToken(refreshToken);
+
+    if (!storedToken) {
       return res.status(403).json({ message: 'Invalid refresh token' });
     }
 
+    // Already rotated token being used again - assume it was stolen and end the whole session
+    if (storedToken.replaced_by) {
+      await revokeTokenFamily(storedToken.family_id);
+      res.clearCookie('refreshToken');
+      return res.status(403).json({ message: 'Refresh token reuse detected, please log in again' });
+    }
+
+    if (storedToken.revoked_at) {
+      return res.status(403).json({ message: 'Refresh token has been revoked' });
+    }
+
+    let decodedToken;
     try {
       // Verify the refresh token
-      const decodedToken = verifyRefreshToken(refreshToken);
-      
-      // Generate new token pair
-      const newTokens = generateTokens({
-        id: decodedToken.id,
-        username: decodedToken.username,
-        email: decodedToken.email,
-        role: decodedToken.role
-      });
-
-      // Replace old refresh token with new one
-      const tokenIndex = validRefreshTokens.indexOf(refreshToken);
-      validRefreshTokens[tokenIndex] = newTokens.refreshToken;
+      decodedToken = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(403).json({ message: 'Refresh token expired or invalid' });
+    }
 
-      // Update cookie
-      res.cookie('refreshToken', newTokens.refreshToken, {
-        httpOnly: true,
-        secure: false, // Set to false for HTTP, true for HTTPS
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000
-      });
+    // Generate new token pair
+    const newTokens = generateTokens({
+      id: decodedToken.id,
+      username: decodedToken.username,
+      email: decodedToken.email,
+      role: decodedToken.role
+    });
 
-      res.json({
-        accessToken: newTokens.accessToken,
-        user: {
-          id: decodedToken.id,
-          username: decodedToken.username,
-          email: decodedToken.email,
-          role: decodedToken.role
-        }
-      });
+    // Replace old refresh token with new one in the same family
+    const rotated = await rotateRefreshToken(
+      storedToken,
+      describeClient(req, newTokens.refreshToken, decodedToken.id)
+    );
 
-    } catch (error) {
-      return res.status(403).json({ message: 'Refresh token expired or invalid' });
+    // Another request with the same cookie got there first
+    if (!rotated) {
+      return res.status(403).json({ message: 'Invalid refresh token' });
     }
 
+    // Update cookie
+    res.cookie('refreshToken', newTokens.refreshToken, {
+      httpOnly: true,
+      secure: false, // Set to false for HTTP, true for HTTPS
+      sameSite: 'strict',
+      maxAge: 7 * 24 * 60 * 60 * 1000
+    });
+
+    res.json({
+      accessToken: newTokens.accessToken,
+      user: {
+        id: decodedToken.id,
+        username: decodedToken.username,
+        email: decodedToken.email,
+        role: decodedToken.role
+      }
+    });
+
   } catch (error) {
-    console.error('Token refresh error:', error);
+    logger.error('Token refresh error', { error });
     res.status(500).json({ message: 'Token refresh failed' });
   }
 };
 
 // Logout user
-const logoutUser = (req, res) => {
+const logoutUser = async (req, res) => {
   try {
     const refreshToken = req.cookies.refreshToken;
     
     if (refreshToken) {
-      // Remove refresh token from valid tokens list
-      validRefreshTokens = validRefreshTokens.filter(token => token !== refreshToken);
+      // Revoke the whole token family for this session
+      const storedToken = await findRefreshToken(refreshToken);
+      if (storedToken) {
+        await revokeTokenFamily(storedToken.family_id);
+      }
     }
 
     // Clear the cookie
@@ -209,14 +283,112 @@ const logoutUser = (req, res) => {
     
     res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    console.error('Logout error:', error);
+    logger.error('Logout error', { error });
     res.status(500).json({ message: 'Logout failed' });
   }
 };
 
+// Confirm an email address with the token from the verification email
+const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeUserToken(req.body.token, PURPOSES.EMAIL_VERIFICATION);
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    await query(
+      'UPDATE users SET email_verified_at = @now, updated_at = @now WHERE id = @id AND email_verified_at IS NULL',
+      { id: userId, now: new Date() }
+    );
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    logger.error('Email verification error', { error });
+    res.status(500).json({ message: 'Email verification failed' });
+  }
+};
+
+// Send a new verification email
+const resendVerification = async (req, res) => {
+  try {
+    const users = await query(
+      'SELECT id, username, email, email_verified_at FROM users WHERE email = @email',
+      { email: req.body.email }
+    );
+
+    if (users.length > 0 && !users[0].email_verified_at) {
+      await sendVerificationEmail(users[0]);
+    }
+
+    // Same answer either way so this can't be used to look up accounts
+    res.json({ message: 'If the account exists and is not verified, a new verification email has been sent' });
+  } catch (error) {
+    logger.error('Resend verification error', { error });
+    res.status(500).json({ message: 'Could not send verification email' });
+  }
+};
+
+// Start a password reset by emailing a reset link
+const forgotPassword = async (req, res) => {
+  try {
+    const users = await query(
+      'SELECT id, username, email FROM users WHERE email = @email',
+      { email: req.body.email }
+    );
+
+    if (users.length > 0) {
+      const token = await createUserToken(users[0].id, PURPOSES.PASSWORD_RESET, RESET_TOKEN_TTL);
+      await sendMail(passwordResetMessage(users[0], token));
+    }
+
+    // Same answer either way so this can't be used to look up accounts
+    res.json({ message: 'If an account with that email exists, a password reset link has been sent' });
+  } catch (error) {
+    logger.error('Forgot password error', { error });
+    res.status(500).json({ message: 'Could not start password reset' });
+  }
+};
+
+// Set a new password with the token from the reset email
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await consumeUserToken(token, PURPOSES.PASSWORD_RESET);
+
+    if (!userId) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+    const now = new Date();
+
+    // The reset link proves the user owns the email address, so it is verified as well
+    await query(
+      `UPDATE users SET password = @password, updated_at = @now,
+       email_verified_at = COALESCE(email_verified_at, @now)
+       WHERE id = @id`,
+      { id: userId, password: hashedPassword, now }
+    );
+
+    // Log out every existing session
+    await revokeUserRefreshTokens(userId);
+    res.clearCookie('refreshToken');
+
+    res.json({ message: 'Password has been reset, please log in with your new password' });
+  } catch (error) {
+    logger.error('Reset password error', { error });
+    res.status(500).json({ message: 'Password reset failed' });
+  }
+};
+
 module.exports = {
   register: registerUser,
   login: loginUser,
   refreshToken: refreshAccessToken,
-  logout: logoutUser
+  logout: logoutUser,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
 };
\ No newline at end of file
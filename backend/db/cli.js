@@ -0,0 +1,98 @@
+// Database command line - npm run db:<command> (see package.json)
+//   migrate [--to NNN]   apply pending migrations, optionally only up to version NNN
+//   rollback [--steps N] undo the last N applied migrations (default 1)
+//   status               list every migration and whether it was applied
+//   baseline NNN         record migrations up to NNN as applied without running them
+//   seed                 load the demo users and cars
+
+// Load environment variables first, the database config reads them when it is required
+require('dotenv').config();
+
+const db = require('../config/database');
+const migrator = require('./migrator');
+const { seed } = require('./seed');
+
+const USAGE = 'Usage: node db/cli.js migrate [--to NNN] | rollback [--steps N] | status | baseline NNN | seed';
+
+// "--steps 2" => { steps: '2' }, anything else is a positional argument
+const parseArgs = (args) => {
+    const options = {};
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i].startsWith('--')) {
+            options[args[i].slice(2)] = args[i + 1];
+            i++;
+        } else {
+            positional.push(args[i]);
+        }
+    }
+    return { options, positional };
+};
+
+const printMigrations = (label, migrations) => {
+    if (migrations.length === 0) {
+        console.log(`${label}: nothing to do`);
+        return;
+    }
+    console.log(`${label}:`);
+    migrations.forEach(migration => console.log(`  ${migration.version}_${migration.name}`));
+};
+
+const COMMANDS = {
+    migrate: async ({ options }) => {
+        printMigrations('Applied', await migrator.migrate({ to: options.to }));
+    },
+
+    rollback: async ({ options }) => {
+        const steps = options.steps === undefined ? 1 : parseInt(options.steps, 10);
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new migrator.MigrationError('--steps must be a positive number');
+        }
+        printMigrations('Rolled back', await migrator.rollback({ steps }));
+    },
+
+    status: async () => {
+        const migrations = await migrator.status();
+        migrations.forEach(migration => {
+            const appliedAt = migration.applied_at ? `  ${new Date(migration.applied_at).toISOString()}` : '';
+            console.log(`${migration.state.padEnd(8)} ${migration.version}_${migration.name}${appliedAt}`);
+        });
+    },
+
+    baseline: async ({ positional }) => {
+        if (!positional[0]) {
+            throw new migrator.MigrationError('baseline needs the version the database is at, e.g. baseline 001');
+        }
+        printMigrations('Marked as applied', await migrator.baseline(positional[0]));
+    },
+
+    seed: async () => {
+        const added = await seed();
+        console.log(`Seeded ${added.users} users, ${added.cars} cars and ${added.inquiries} inquiries`);
+    }
+};
+
+const main = async () => {
+    const [command, ...rest] = process.argv.slice(2);
+    if (!COMMANDS[command]) {
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+
+    if (db.dialect === 'sqlite' && !process.env.SQLITE_FILE) {
+        console.warn('SQLITE_FILE is not set - working on an in-memory database that is gone when this command exits');
+    }
+
+    try {
+        await COMMANDS[command](parseArgs(rest));
+    } catch (error) {
+        console.error(error instanceof migrator.MigrationError ? error.message : error);
+        process.exitCode = 1;
+    } finally {
+        await db.close();
+    }
+};
+
+main();
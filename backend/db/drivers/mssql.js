@@ -0,0 +1,164 @@
+// SQL Server driver - wraps an mssql ConnectionPool behind the common driver interface
+
+const sql = require('mssql');
+const logger = require('../../config/logger');
+
+// MSSQL connection configuration using SQL Server Authentication
+const dbConfig = {
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    server: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    options: {
+        encrypt: false,
+        trustServerCertificate: true,
+        enableArithAbort: true
+    },
+    pool: {
+        max: 10,
+        min: 0,
+        idleTimeoutMillis: 60000
+    },
+    connectionTimeout: 60000,
+    requestTimeout: 60000
+};
+
+const dbPool = new sql.ConnectionPool(dbConfig);
+let poolConnection = null;
+
+// Handle connection errors
+dbPool.on('error', error => {
+    logger.error('Database pool error', { error });
+});
+
+// Connect once and reuse the same promise for every caller
+const connect = () => {
+    if (!poolConnection) {
+        poolConnection = dbPool.connect().catch(error => {
+            poolConnection = null; // Allow a later retry
+            throw error;
+        });
+    }
+    return poolConnection;
+};
+
+// GO is an SSMS/sqlcmd separator, not T-SQL, so each part is sent on its own
+const splitBatches = (script) => script
+    .split(/^\s*GO\s*$/im)
+    .map(part => part.trim())
+    .filter(part => part.length > 0);
+
+// Builds query helpers on top of a request factory (pool or transaction)
+const createScope = (newRequest) => {
+    const runRequest = (sqlQuery, params) => {
+        const request = newRequest();
+
+        // Add parameters to request, mssql expects null instead of undefined
+        Object.keys(params).forEach(key => {
+            request.input(key, params[key] === undefined ? null : params[key]);
+        });
+
+        return request.query(sqlQuery);
+    };
+
+    const runQuery = async (sqlQuery, params = {}) => {
+        const result = await runRequest(sqlQuery, params);
+        return result.recordset || [];
+    };
+
+    // Runs an UPDATE / DELETE and returns how many rows it changed
+    const runExecute = async (sqlQuery, params = {}) => {
+        const result = await runRequest(sqlQuery, params);
+        return result.rowsAffected.reduce((total, count) => total + count, 0);
+    };
+
+    // Runs an INSERT and returns the identity value it generated
+    const runInsert = async (sqlQuery, params = {}) => {
+        const rows = await runQuery(`${sqlQuery}; SELECT CAST(SCOPE_IDENTITY() AS INT) AS id`, params);
+        return rows.length > 0 ? rows[0].id : null;
+    };
+
+    // Runs a script without parameters, the statements in it can be split with GO lines
+    const runBatch = async (script) => {
+        for (const statement of splitBatches(script)) {
+            await newRequest().batch(statement);
+        }
+    };
+
+    return { query: runQuery, execute: runExecute, insert: runInsert, batch: runBatch };
+};
+
+const poolScope = createScope(() => dbPool.request());
+
+const query = async (sqlQuery, params) => {
+    await connect();
+    return poolScope.query(sqlQuery, params);
+};
+
+const execute = async (sqlQuery, params) => {
+    await connect();
+    return poolScope.execute(sqlQuery, params);
+};
+
+const insert = async (sqlQuery, params) => {
+    await connect();
+    return poolScope.insert(sqlQuery, params);
+};
+
+const batch = async (script) => {
+    await connect();
+    return poolScope.batch(script);
+};
+
+// Runs work(scope) inside a transaction, rolling back if it throws
+const transaction = async (work) => {
+    await connect();
+    const tx = new sql.Transaction(dbPool);
+    await tx.begin();
+
+    try {
+        const result = await work(createScope(() => new sql.Request(tx)));
+        await tx.commit();
+        return result;
+    } catch (error) {
+        await tx.rollback();
+        throw error;
+    }
+};
+
+// SQL Server paging - needs an ORDER BY before it
+const paginate = (offsetParam = '@offset', limitParam = '@limit') =>
+    `OFFSET ${offsetParam} ROWS FETCH NEXT ${limitParam} ROWS ONLY`;
+
+// Table hint for a check-then-write inside a transaction: the rows read (and the gaps between them)
+// stay locked until commit, so a concurrent transaction can't pass the same check
+const lockForUpdate = () => 'WITH (UPDLOCK, HOLDLOCK)';
+
+// Connections of the pool right now, pending are requests waiting for one
+const poolStats = () => {
+    if (!dbPool.connected) {
+        return { size: 0, idle: 0, in_use: 0, pending: 0 };
+    }
+    return {
+        size: dbPool.size,
+        idle: dbPool.available,
+        in_use: dbPool.borrowed,
+        pending: dbPool.pending
+    };
+};
+
+const close = () => dbPool.close();
+
+module.exports = {
+    name: 'mssql',
+    connect,
+    query,
+    execute,
+    insert,
+    batch,
+    transaction,
+    paginate,
+    lockForUpdate,
+    poolStats,
+    close
+};
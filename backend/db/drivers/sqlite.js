@@ -0,0 +1,219 @@
+// Embedded SQLite driver (sql.js) - lets the API run locally without SQL Server
+// Uses SQLITE_FILE to persist the database, otherwise everything lives in memory
+// Tables are created by the migrations in db/migrations/sqlite (see db/migrator.js)
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+const DB_FILE = process.env.SQLITE_FILE || ':memory:';
+
+let openDatabase = null;
+
+const isInMemory = () => DB_FILE === ':memory:';
+
+// Write the whole database back to disk (sql.js keeps it in memory)
+const persist = (db) => {
+    if (isInMemory()) return;
+    fs.mkdirSync(path.dirname(path.resolve(DB_FILE)), { recursive: true });
+    fs.writeFileSync(DB_FILE, Buffer.from(db.export()));
+    db.run('PRAGMA foreign_keys = ON'); // export() resets connection pragmas
+};
+
+const open = async () => {
+    const SQL = await initSqlJs();
+    const fileExists = !isInMemory() && fs.existsSync(DB_FILE);
+    const db = fileExists ? new SQL.Database(fs.readFileSync(DB_FILE)) : new SQL.Database();
+
+    db.run('PRAGMA foreign_keys = ON');
+    return db;
+};
+
+const connect = () => {
+    if (!openDatabase) {
+        openDatabase = open().catch(error => {
+            openDatabase = null;
+            throw error;
+        });
+    }
+    return openDatabase;
+};
+
+// sql.js only binds strings, numbers, null and byte arrays
+const toSqliteValue = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+};
+
+const bindParams = (params) => {
+    const bound = {};
+    Object.keys(params).forEach(key => {
+        bound[`@${key}`] = toSqliteValue(params[key]);
+    });
+    return bound;
+};
+
+const isReadOnly = (sqlQuery) => /^\s*(select|with)\b/i.test(sqlQuery);
+
+// Builds query helpers on top of the open database
+const createScope = (db, { autoPersist }) => {
+    const runStatement = (sqlQuery, params = {}) => {
+        const statement = db.prepare(sqlQuery);
+        const rows = [];
+
+        try {
+            statement.bind(bindParams(params));
+            while (statement.step()) {
+                rows.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return rows;
+    };
+
+    const runQuery = (sqlQuery, params) => {
+        const rows = runStatement(sqlQuery, params);
+        if (autoPersist && !isReadOnly(sqlQuery)) {
+            persist(db);
+        }
+        return rows;
+    };
+
+    // Runs an UPDATE / DELETE and returns how many rows it changed
+    const runExecute = (sqlQuery, params) => {
+        runStatement(sqlQuery, params);
+        const changed = db.getRowsModified();
+        if (autoPersist) {
+            persist(db);
+        }
+        return changed;
+    };
+
+    // Runs an INSERT and returns the rowid it generated (read before export() reopens the db)
+    const runInsert = (sqlQuery, params) => {
+        runStatement(sqlQuery, params);
+        const [row] = runStatement('SELECT last_insert_rowid() AS id');
+        if (autoPersist) {
+            persist(db);
+        }
+        return row.id;
+    };
+
+    // Runs a whole script of statements without parameters (migrations)
+    const runBatch = (script) => {
+        db.exec(script);
+        if (autoPersist) {
+            persist(db);
+        }
+    };
+
+    return {
+        query: async (sqlQuery, params) => runQuery(sqlQuery, params),
+        execute: async (sqlQuery, params) => runExecute(sqlQuery, params),
+        insert: async (sqlQuery, params) => runInsert(sqlQuery, params),
+        batch: async (script) => runBatch(script)
+    };
+};
+
+// There is a single connection, so statements and transactions take turns on it in the order they
+// were asked for - the place in line is taken synchronously, nobody can slip in between two turns
+let queue = Promise.resolve();
+let waiting = 0;
+let busy = false;
+
+const exclusive = (work) => {
+    waiting += 1;
+    const turn = queue.then(async () => {
+        waiting -= 1;
+        busy = true;
+        try {
+            return await work();
+        } finally {
+            busy = false;
+        }
+    });
+    queue = turn.catch(() => {}); // A failed turn still hands the connection on
+    return turn;
+};
+
+// The one connection counts as in use during a turn
+const poolStats = () => ({
+    size: 1,
+    idle: busy ? 0 : 1,
+    in_use: busy ? 1 : 0,
+    pending: waiting
+});
+
+const query = async (sqlQuery, params) => {
+    const db = await connect();
+    return exclusive(() => createScope(db, { autoPersist: true }).query(sqlQuery, params));
+};
+
+const execute = async (sqlQuery, params) => {
+    const db = await connect();
+    return exclusive(() => createScope(db, { autoPersist: true }).execute(sqlQuery, params));
+};
+
+const insert = async (sqlQuery, params) => {
+    const db = await connect();
+    return exclusive(() => createScope(db, { autoPersist: true }).insert(sqlQuery, params));
+};
+
+const batch = async (script) => {
+    const db = await connect();
+    return exclusive(() => createScope(db, { autoPersist: true }).batch(script));
+};
+
+// Runs work(scope) inside a transaction, rolling back if it throws
+// work must use the scope it is given - a plain query() would wait for the transaction to end
+const transaction = async (work) => {
+    const db = await connect();
+
+    return exclusive(async () => {
+        let begun = false;
+        try {
+            db.run('BEGIN');
+            begun = true;
+            const result = await work(createScope(db, { autoPersist: false }));
+            db.run('COMMIT');
+            persist(db);
+            return result;
+        } catch (error) {
+            if (begun) {
+                db.run('ROLLBACK');
+            }
+            throw error;
+        }
+    });
+};
+
+const paginate = (offsetParam = '@offset', limitParam = '@limit') =>
+    `LIMIT ${limitParam} OFFSET ${offsetParam}`;
+
+// Transactions already run one at a time here, and SQLite has no table hints
+const lockForUpdate = () => '';
+
+const close = async () => {
+    if (!openDatabase) return;
+    const db = await openDatabase;
+    persist(db);
+    db.close();
+    openDatabase = null;
+};
+
+module.exports = {
+    name: 'sqlite',
+    connect,
+    query,
+    execute,
+    insert,
+    batch,
+    transaction,
+    paginate,
+    lockForUpdate,
+    poolStats,
+    close
+};
@@ -0,0 +1,6 @@
+-- Drops the tables of the baseline, children before the tables they reference
+
+DROP TABLE [dbo].[inquiries]
+DROP TABLE [dbo].[cars]
+DROP TABLE [dbo].[users]
+GO
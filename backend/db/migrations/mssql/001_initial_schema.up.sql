@@ -0,0 +1,76 @@
+-- Baseline schema: the tables of the old SSMS dump (Database/database-script.sql), without its demo rows
+-- A database that was built from the dump is recorded as migrated with "npm run db:baseline -- 001"
+-- instead of running this file, "npm run db:migrate" then adds everything from 002 on
+
+CREATE TABLE [dbo].[users](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[username] [nvarchar](50) NOT NULL UNIQUE,
+	[email] [nvarchar](100) NOT NULL UNIQUE,
+	[password] [nvarchar](255) NOT NULL,
+	[role] [nvarchar](20) NOT NULL DEFAULT ('customer'),
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [CK_users_role] CHECK ([role] IN ('customer', 'admin'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_users_email] ON [dbo].[users] ([email])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_users_username] ON [dbo].[users] ([username])
+GO
+
+CREATE TABLE [dbo].[cars](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[make] [nvarchar](50) NOT NULL,
+	[model] [nvarchar](50) NOT NULL,
+	[year] [int] NOT NULL,
+	[price] [decimal](10, 2) NOT NULL,
+	[mileage] [int] NOT NULL DEFAULT ((0)),
+	[color] [nvarchar](30) NULL,
+	[fuel_type] [nvarchar](20) NOT NULL DEFAULT ('gasoline'),
+	[transmission] [nvarchar](20) NOT NULL DEFAULT ('manual'),
+	[description] [nvarchar](max) NULL,
+	[image_url] [nvarchar](255) NULL,
+	[is_available] [bit] NOT NULL DEFAULT ((1)),
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [CK_cars_fuel_type] CHECK ([fuel_type] IN ('gasoline', 'diesel', 'electric', 'hybrid')),
+	CONSTRAINT [CK_cars_transmission] CHECK ([transmission] IN ('manual', 'automatic'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_cars_available] ON [dbo].[cars] ([is_available])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_cars_make_model] ON [dbo].[cars] ([make], [model])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_cars_price] ON [dbo].[cars] ([price])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_cars_year] ON [dbo].[cars] ([year])
+GO
+
+CREATE TABLE [dbo].[inquiries](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[car_id] [int] NOT NULL,
+	[message] [nvarchar](max) NOT NULL,
+	[status] [nvarchar](20) NOT NULL DEFAULT ('pending'),
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_inquiries_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_inquiries_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [CK_inquiries_status] CHECK ([status] IN ('pending', 'responded', 'closed'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_inquiries_car_id] ON [dbo].[inquiries] ([car_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_inquiries_status] ON [dbo].[inquiries] ([status])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_inquiries_user_id] ON [dbo].[inquiries] ([user_id])
+GO
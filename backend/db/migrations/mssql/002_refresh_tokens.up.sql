@@ -0,0 +1,23 @@
+-- Hashed refresh tokens grouped into rotation families
+
+CREATE TABLE [dbo].[refresh_tokens](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[token_hash] [char](64) NOT NULL,
+	[family_id] [nvarchar](36) NOT NULL,
+	[expires_at] [datetime2](7) NOT NULL,
+	[revoked_at] [datetime2](7) NULL,
+	[replaced_by] [int] NULL,
+	[user_agent] [nvarchar](255) NULL,
+	[ip_address] [nvarchar](45) NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [UQ_refresh_tokens_token_hash] UNIQUE ([token_hash]),
+	CONSTRAINT [FK_refresh_tokens_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_refresh_tokens_family_id] ON [dbo].[refresh_tokens] ([family_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_refresh_tokens_expires_at] ON [dbo].[refresh_tokens] ([expires_at])
+GO
@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[inquiry_read_markers]
+GO
+
+DROP TABLE [dbo].[inquiry_messages]
+GO
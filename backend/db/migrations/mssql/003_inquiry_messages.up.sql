@@ -0,0 +1,29 @@
+-- Conversation threads on inquiries with per-participant read markers
+
+CREATE TABLE [dbo].[inquiry_messages](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[inquiry_id] [int] NOT NULL,
+	[sender_id] [int] NOT NULL,
+	[sender_role] [nvarchar](20) NOT NULL,
+	[body] [nvarchar](max) NOT NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_inquiry_messages_inquiry_id] FOREIGN KEY ([inquiry_id]) REFERENCES [dbo].[inquiries] ([id]) ON DELETE CASCADE,
+	-- NO ACTION here, SQL Server rejects a second cascade path from users
+	CONSTRAINT [FK_inquiry_messages_sender_id] FOREIGN KEY ([sender_id]) REFERENCES [dbo].[users] ([id]),
+	CONSTRAINT [CK_inquiry_messages_sender_role] CHECK ([sender_role] IN ('customer', 'staff'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_inquiry_messages_inquiry_id] ON [dbo].[inquiry_messages] ([inquiry_id])
+GO
+
+CREATE TABLE [dbo].[inquiry_read_markers](
+	[inquiry_id] [int] NOT NULL,
+	[user_id] [int] NOT NULL,
+	[last_read_message_id] [int] NOT NULL,
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [PK_inquiry_read_markers] PRIMARY KEY ([inquiry_id], [user_id]),
+	CONSTRAINT [FK_inquiry_read_markers_inquiry_id] FOREIGN KEY ([inquiry_id]) REFERENCES [dbo].[inquiries] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_inquiry_read_markers_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id])
+)
+GO
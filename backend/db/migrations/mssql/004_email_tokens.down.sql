@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[user_tokens]
+GO
+
+ALTER TABLE [dbo].[users] DROP COLUMN [email_verified_at]
+GO
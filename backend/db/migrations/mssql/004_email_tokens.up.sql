@@ -0,0 +1,25 @@
+-- Email verification status and single-use email tokens (password reset, email verification)
+
+ALTER TABLE [dbo].[users] ADD [email_verified_at] [datetime2](7) NULL
+GO
+
+-- Accounts that existed before verification was introduced count as verified
+UPDATE [dbo].[users] SET [email_verified_at] = [created_at] WHERE [email_verified_at] IS NULL
+GO
+
+CREATE TABLE [dbo].[user_tokens](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[purpose] [nvarchar](30) NOT NULL,
+	[token_hash] [char](64) NOT NULL,
+	[expires_at] [datetime2](7) NOT NULL,
+	[used_at] [datetime2](7) NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [UQ_user_tokens_token_hash] UNIQUE ([token_hash]),
+	CONSTRAINT [FK_user_tokens_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [CK_user_tokens_purpose] CHECK ([purpose] IN ('password_reset', 'email_verification'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_user_tokens_user_id] ON [dbo].[user_tokens] ([user_id])
+GO
@@ -0,0 +1,2 @@
+DROP TABLE [dbo].[car_images]
+GO
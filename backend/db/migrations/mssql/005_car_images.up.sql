@@ -0,0 +1,22 @@
+-- Uploaded photos per car, the *_key columns are storage keys of each variant
+
+CREATE TABLE [dbo].[car_images](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[car_id] [int] NOT NULL,
+	[position] [int] NOT NULL DEFAULT ((0)),
+	[is_primary] [bit] NOT NULL DEFAULT ((0)),
+	[original_key] [nvarchar](255) NOT NULL,
+	[large_key] [nvarchar](255) NOT NULL,
+	[thumbnail_key] [nvarchar](255) NOT NULL,
+	[original_name] [nvarchar](255) NULL,
+	[mime_type] [nvarchar](50) NOT NULL,
+	[size_bytes] [int] NOT NULL,
+	[width] [int] NULL,
+	[height] [int] NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_car_images_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_car_images_car_id] ON [dbo].[car_images] ([car_id], [position])
+GO
@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[test_drives]
+GO
+
+DROP TABLE [dbo].[settings]
+GO
@@ -0,0 +1,37 @@
+-- Admin-editable settings (JSON values) and test-drive bookings
+
+CREATE TABLE [dbo].[settings](
+	[setting_key] [nvarchar](100) NOT NULL PRIMARY KEY,
+	[value] [nvarchar](max) NOT NULL,
+	[updated_by] [int] NULL,
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_settings_updated_by] FOREIGN KEY ([updated_by]) REFERENCES [dbo].[users] ([id]) ON DELETE SET NULL
+)
+GO
+
+-- starts_at/ends_at are UTC
+CREATE TABLE [dbo].[test_drives](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[car_id] [int] NOT NULL,
+	[user_id] [int] NOT NULL,
+	[starts_at] [datetime2](7) NOT NULL,
+	[ends_at] [datetime2](7) NOT NULL,
+	[status] [nvarchar](20) NOT NULL DEFAULT ('pending'),
+	[notes] [nvarchar](500) NULL,
+	[cancel_reason] [nvarchar](500) NULL,
+	[cancelled_by] [int] NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_test_drives_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_test_drives_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	-- NO ACTION here, SQL Server rejects a second cascade path from users
+	CONSTRAINT [FK_test_drives_cancelled_by] FOREIGN KEY ([cancelled_by]) REFERENCES [dbo].[users] ([id]),
+	CONSTRAINT [CK_test_drives_status] CHECK ([status] IN ('pending', 'confirmed', 'cancelled'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_test_drives_car_id] ON [dbo].[test_drives] ([car_id], [starts_at])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_test_drives_user_id] ON [dbo].[test_drives] ([user_id])
+GO
@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[sales]
+GO
+
+DROP TABLE [dbo].[reservations]
+GO
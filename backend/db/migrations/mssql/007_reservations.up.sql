@@ -0,0 +1,45 @@
+-- Customer holds on cars and recorded sales
+
+CREATE TABLE [dbo].[reservations](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[car_id] [int] NOT NULL,
+	[user_id] [int] NOT NULL,
+	[status] [nvarchar](20) NOT NULL DEFAULT ('active'),
+	[expires_at] [datetime2](7) NOT NULL,
+	[cancelled_by] [int] NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_reservations_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_reservations_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	-- NO ACTION here, SQL Server rejects a second cascade path from users
+	CONSTRAINT [FK_reservations_cancelled_by] FOREIGN KEY ([cancelled_by]) REFERENCES [dbo].[users] ([id]),
+	CONSTRAINT [CK_reservations_status] CHECK ([status] IN ('active', 'expired', 'cancelled', 'converted'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_reservations_car_id] ON [dbo].[reservations] ([car_id], [status])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_reservations_status] ON [dbo].[reservations] ([status], [expires_at])
+GO
+
+-- A car is sold once, reservation_id is set when the sale came from a hold
+CREATE TABLE [dbo].[sales](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[car_id] [int] NOT NULL,
+	[reservation_id] [int] NULL,
+	[buyer_id] [int] NOT NULL,
+	[sale_price] [decimal](10, 2) NOT NULL,
+	[notes] [nvarchar](1000) NULL,
+	[sold_by] [int] NULL,
+	[sold_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [UQ_sales_car_id] UNIQUE ([car_id]),
+	CONSTRAINT [FK_sales_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_sales_reservation_id] FOREIGN KEY ([reservation_id]) REFERENCES [dbo].[reservations] ([id]),
+	CONSTRAINT [FK_sales_buyer_id] FOREIGN KEY ([buyer_id]) REFERENCES [dbo].[users] ([id]),
+	CONSTRAINT [FK_sales_sold_by] FOREIGN KEY ([sold_by]) REFERENCES [dbo].[users] ([id])
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_sales_buyer_id] ON [dbo].[sales] ([buyer_id])
+GO
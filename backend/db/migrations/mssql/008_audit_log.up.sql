@@ -0,0 +1,24 @@
+-- Audit trail of admin changes, changes is JSON { field: { from, to } }
+
+CREATE TABLE [dbo].[audit_log](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[actor_id] [int] NULL,
+	[action] [nvarchar](50) NOT NULL,
+	[entity_type] [nvarchar](50) NOT NULL,
+	[entity_id] [nvarchar](100) NULL,
+	[changes] [nvarchar](max) NOT NULL,
+	[ip_address] [nvarchar](45) NULL,
+	[user_agent] [nvarchar](255) NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_audit_log_actor_id] FOREIGN KEY ([actor_id]) REFERENCES [dbo].[users] ([id]) ON DELETE SET NULL
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_audit_log_entity] ON [dbo].[audit_log] ([entity_type], [entity_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_audit_log_actor_id] ON [dbo].[audit_log] ([actor_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_audit_log_created_at] ON [dbo].[audit_log] ([created_at])
+GO
@@ -0,0 +1,8 @@
+DROP TABLE [dbo].[notifications]
+GO
+
+DROP TABLE [dbo].[price_alerts]
+GO
+
+DROP TABLE [dbo].[car_price_history]
+GO
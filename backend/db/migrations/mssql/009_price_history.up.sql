@@ -0,0 +1,49 @@
+-- Price history, price-drop alerts and the in-app notification feed
+
+-- old_price is NULL for the first listing price
+CREATE TABLE [dbo].[car_price_history](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[car_id] [int] NOT NULL,
+	[old_price] [decimal](10, 2) NULL,
+	[new_price] [decimal](10, 2) NOT NULL,
+	[changed_by] [int] NULL,
+	[changed_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_car_price_history_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_car_price_history_changed_by] FOREIGN KEY ([changed_by]) REFERENCES [dbo].[users] ([id]) ON DELETE SET NULL
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_car_price_history_car_id] ON [dbo].[car_price_history] ([car_id], [changed_at])
+GO
+
+-- target_price NULL means every drop
+CREATE TABLE [dbo].[price_alerts](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[car_id] [int] NOT NULL,
+	[target_price] [decimal](10, 2) NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [UQ_price_alerts_user_car] UNIQUE ([user_id], [car_id]),
+	CONSTRAINT [FK_price_alerts_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_price_alerts_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_price_alerts_car_id] ON [dbo].[price_alerts] ([car_id])
+GO
+
+CREATE TABLE [dbo].[notifications](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[type] [nvarchar](50) NOT NULL,
+	[title] [nvarchar](200) NOT NULL,
+	[body] [nvarchar](1000) NOT NULL,
+	[data] [nvarchar](max) NULL,
+	[read_at] [datetime2](7) NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_notifications_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_notifications_user_id] ON [dbo].[notifications] ([user_id], [created_at])
+GO
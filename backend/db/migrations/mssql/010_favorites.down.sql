@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[saved_searches]
+GO
+
+DROP TABLE [dbo].[favorites]
+GO
@@ -0,0 +1,30 @@
+-- Favorite cars and saved searches of customers
+
+CREATE TABLE [dbo].[favorites](
+	[user_id] [int] NOT NULL,
+	[car_id] [int] NOT NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [PK_favorites] PRIMARY KEY ([user_id], [car_id]),
+	CONSTRAINT [FK_favorites_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_favorites_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_favorites_car_id] ON [dbo].[favorites] ([car_id])
+GO
+
+-- filters is the GET /api/cars query string as JSON
+CREATE TABLE [dbo].[saved_searches](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[name] [nvarchar](100) NOT NULL,
+	[filters] [nvarchar](max) NOT NULL,
+	[notify] [bit] NOT NULL DEFAULT ((1)),
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_saved_searches_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_saved_searches_user_id] ON [dbo].[saved_searches] ([user_id])
+GO
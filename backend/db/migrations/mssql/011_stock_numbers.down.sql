@@ -0,0 +1,5 @@
+DROP INDEX [UQ_cars_stock_number] ON [dbo].[cars]
+GO
+
+ALTER TABLE [dbo].[cars] DROP COLUMN [stock_number]
+GO
@@ -0,0 +1,8 @@
+-- Dealer stock numbers, used to match rows of a CSV import to existing cars
+
+ALTER TABLE [dbo].[cars] ADD [stock_number] [nvarchar](30) NULL
+GO
+
+-- Unique when set, cars without one are left alone
+CREATE UNIQUE NONCLUSTERED INDEX [UQ_cars_stock_number] ON [dbo].[cars] ([stock_number]) WHERE [stock_number] IS NOT NULL
+GO
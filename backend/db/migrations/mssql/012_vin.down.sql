@@ -0,0 +1,5 @@
+DROP INDEX [UQ_cars_vin] ON [dbo].[cars]
+GO
+
+ALTER TABLE [dbo].[cars] DROP COLUMN [vin]
+GO
@@ -0,0 +1,7 @@
+-- Vehicle identification numbers, one listing per VIN
+
+ALTER TABLE [dbo].[cars] ADD [vin] [nchar](17) NULL
+GO
+
+CREATE UNIQUE NONCLUSTERED INDEX [UQ_cars_vin] ON [dbo].[cars] ([vin]) WHERE [vin] IS NOT NULL
+GO
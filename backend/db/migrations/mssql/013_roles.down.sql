@@ -0,0 +1,7 @@
+-- Fails while staff accounts exist, move them back to customer or admin first
+ALTER TABLE [dbo].[users] DROP CONSTRAINT [CK_users_role]
+GO
+
+ALTER TABLE [dbo].[users] WITH CHECK ADD CONSTRAINT [CK_users_role]
+	CHECK ([role] IN ('customer', 'admin'))
+GO
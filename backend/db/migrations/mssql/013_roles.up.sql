@@ -0,0 +1,8 @@
+-- Staff roles next to customer and admin, see config/permissions.js for what each may do
+
+ALTER TABLE [dbo].[users] DROP CONSTRAINT [CK_users_role]
+GO
+
+ALTER TABLE [dbo].[users] WITH CHECK ADD CONSTRAINT [CK_users_role]
+	CHECK ([role] IN ('customer', 'salesperson', 'inventory_manager', 'admin'))
+GO
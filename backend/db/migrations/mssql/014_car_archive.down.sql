@@ -0,0 +1,5 @@
+DROP INDEX [IX_cars_archived_at] ON [dbo].[cars]
+GO
+
+ALTER TABLE [dbo].[cars] DROP COLUMN [archived_at]
+GO
@@ -0,0 +1,8 @@
+-- Cars are archived instead of deleted, so their inquiries and history survive
+-- Archived cars are deleted for good by POST /api/cars/purge after the retention period
+
+ALTER TABLE [dbo].[cars] ADD [archived_at] [datetime2](7) NULL
+GO
+
+CREATE NONCLUSTERED INDEX [IX_cars_archived_at] ON [dbo].[cars] ([archived_at])
+GO
@@ -0,0 +1,2 @@
+DROP TABLE [dbo].[finance_quotes]
+GO
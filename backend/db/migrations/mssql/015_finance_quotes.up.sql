@@ -0,0 +1,31 @@
+-- Financing quotes customers saved, optionally attached to one of their inquiries
+-- The inputs and results are kept as quoted, the car's price may change later
+
+CREATE TABLE [dbo].[finance_quotes](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[car_id] [int] NOT NULL,
+	[inquiry_id] [int] NULL,
+	[price] [decimal](10, 2) NOT NULL,
+	[down_payment] [decimal](10, 2) NOT NULL DEFAULT ((0)),
+	[trade_in_credit] [decimal](10, 2) NOT NULL DEFAULT ((0)),
+	[amount_financed] [decimal](10, 2) NOT NULL,
+	[term_months] [int] NOT NULL,
+	[apr] [decimal](5, 2) NOT NULL,
+	[credit_tier] [nvarchar](30) NULL,
+	[monthly_payment] [decimal](10, 2) NOT NULL,
+	[total_interest] [decimal](10, 2) NOT NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_finance_quotes_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	CONSTRAINT [FK_finance_quotes_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE CASCADE,
+	-- NO ACTION here, SQL Server rejects a second cascade path from users and cars
+	-- Deleting an inquiry detaches its quotes first (routes/inquiries.js)
+	CONSTRAINT [FK_finance_quotes_inquiry_id] FOREIGN KEY ([inquiry_id]) REFERENCES [dbo].[inquiries] ([id])
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_finance_quotes_user_id] ON [dbo].[finance_quotes] ([user_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_finance_quotes_inquiry_id] ON [dbo].[finance_quotes] ([inquiry_id])
+GO
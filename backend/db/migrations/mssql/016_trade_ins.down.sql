@@ -0,0 +1,5 @@
+DROP TABLE [dbo].[trade_in_photos]
+GO
+
+DROP TABLE [dbo].[trade_ins]
+GO
@@ -0,0 +1,57 @@
+-- Trade-in appraisals: the customer describes their car, staff make an offer that expires,
+-- the customer accepts or declines it and an accepted trade-in can become a car in the inventory (car_id)
+
+CREATE TABLE [dbo].[trade_ins](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[user_id] [int] NOT NULL,
+	[make] [nvarchar](50) NOT NULL,
+	[model] [nvarchar](50) NOT NULL,
+	[year] [int] NOT NULL,
+	[mileage] [int] NOT NULL,
+	[condition] [nvarchar](20) NOT NULL,
+	[vin] [nchar](17) NULL,
+	[notes] [nvarchar](max) NULL,
+	[status] [nvarchar](20) NOT NULL DEFAULT ('submitted'),
+	[offer_amount] [decimal](10, 2) NULL,
+	[offer_expires_at] [datetime2](7) NULL,
+	[offer_notes] [nvarchar](max) NULL,
+	[appraised_by] [int] NULL,
+	[appraised_at] [datetime2](7) NULL,
+	[responded_at] [datetime2](7) NULL,
+	[car_id] [int] NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	[updated_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_trade_ins_user_id] FOREIGN KEY ([user_id]) REFERENCES [dbo].[users] ([id]) ON DELETE CASCADE,
+	-- NO ACTION here, SQL Server rejects a second cascade path from users
+	CONSTRAINT [FK_trade_ins_appraised_by] FOREIGN KEY ([appraised_by]) REFERENCES [dbo].[users] ([id]),
+	CONSTRAINT [FK_trade_ins_car_id] FOREIGN KEY ([car_id]) REFERENCES [dbo].[cars] ([id]) ON DELETE SET NULL,
+	CONSTRAINT [CK_trade_ins_condition] CHECK ([condition] IN ('excellent', 'good', 'fair', 'poor')),
+	CONSTRAINT [CK_trade_ins_status] CHECK ([status] IN ('submitted', 'offered', 'accepted', 'declined', 'expired', 'withdrawn', 'converted'))
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_trade_ins_user_id] ON [dbo].[trade_ins] ([user_id])
+GO
+
+CREATE NONCLUSTERED INDEX [IX_trade_ins_status] ON [dbo].[trade_ins] ([status], [offer_expires_at])
+GO
+
+-- Photos the customer uploaded, stored like car_images
+CREATE TABLE [dbo].[trade_in_photos](
+	[id] [int] IDENTITY(1,1) NOT NULL PRIMARY KEY,
+	[trade_in_id] [int] NOT NULL,
+	[original_key] [nvarchar](255) NOT NULL,
+	[large_key] [nvarchar](255) NOT NULL,
+	[thumbnail_key] [nvarchar](255) NOT NULL,
+	[original_name] [nvarchar](255) NULL,
+	[mime_type] [nvarchar](50) NOT NULL,
+	[size_bytes] [int] NOT NULL,
+	[width] [int] NULL,
+	[height] [int] NULL,
+	[created_at] [datetime2](7) NOT NULL DEFAULT (getdate()),
+	CONSTRAINT [FK_trade_in_photos_trade_in_id] FOREIGN KEY ([trade_in_id]) REFERENCES [dbo].[trade_ins] ([id]) ON DELETE CASCADE
+)
+GO
+
+CREATE NONCLUSTERED INDEX [IX_trade_in_photos_trade_in_id] ON [dbo].[trade_in_photos] ([trade_in_id])
+GO
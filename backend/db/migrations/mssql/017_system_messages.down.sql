@@ -0,0 +1,5 @@
+ALTER TABLE [dbo].[inquiry_messages] DROP CONSTRAINT [DF_inquiry_messages_is_system]
+GO
+
+ALTER TABLE [dbo].[inquiry_messages] DROP COLUMN [is_system]
+GO
@@ -0,0 +1,10 @@
+-- Messages the app posts itself (e.g. the notice when a car is sold) are flagged, so reports
+-- about staff replies can leave them out - earlier sold notices are recognised by their text
+
+ALTER TABLE [dbo].[inquiry_messages] ADD [is_system] [bit] NOT NULL
+	CONSTRAINT [DF_inquiry_messages_is_system] DEFAULT ((0))
+GO
+
+UPDATE [dbo].[inquiry_messages] SET [is_system] = 1
+WHERE [body] = N'This car has been sold, so this inquiry has been closed. Thank you for your interest!'
+GO
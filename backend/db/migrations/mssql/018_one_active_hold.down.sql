@@ -0,0 +1,2 @@
+DROP INDEX [UQ_reservations_active_car_id] ON [dbo].[reservations]
+GO
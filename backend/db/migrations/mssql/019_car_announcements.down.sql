@@ -0,0 +1,2 @@
+ALTER TABLE [dbo].[cars] DROP COLUMN [announced_at]
+GO
@@ -0,0 +1,12 @@
+-- When saved searches were told about the car, so a listing is announced once however often
+-- it goes off and back on the market
+-- Cars listed so far count as announced, unless they are hidden and were never held or sold
+
+ALTER TABLE [dbo].[cars] ADD [announced_at] [datetime2](7) NULL
+GO
+
+UPDATE [dbo].[cars] SET [announced_at] = [created_at]
+WHERE [is_available] = 1
+	OR [id] IN (SELECT [car_id] FROM [dbo].[reservations])
+	OR [id] IN (SELECT [car_id] FROM [dbo].[sales])
+GO
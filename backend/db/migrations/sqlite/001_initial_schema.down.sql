@@ -0,0 +1,20 @@
+-- Drops every table of the baseline, children before the tables they reference
+
+DROP TABLE saved_searches;
+DROP TABLE favorites;
+DROP TABLE notifications;
+DROP TABLE price_alerts;
+DROP TABLE car_price_history;
+DROP TABLE audit_log;
+DROP TABLE sales;
+DROP TABLE reservations;
+DROP TABLE test_drives;
+DROP TABLE settings;
+DROP TABLE car_images;
+DROP TABLE user_tokens;
+DROP TABLE inquiry_read_markers;
+DROP TABLE inquiry_messages;
+DROP TABLE refresh_tokens;
+DROP TABLE inquiries;
+DROP TABLE cars;
+DROP TABLE users;
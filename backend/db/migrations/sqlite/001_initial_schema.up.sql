@@ -0,0 +1,260 @@
+-- Baseline schema, SQLite version of mssql/001 to 014 in one script for local development
+-- (SQLite databases never came from the SSMS dump, so they start from the complete schema and
+-- continue at 015 like SQL Server does)
+-- Timestamps are stored as ISO-8601 text so they sort and compare like the JS dates we bind
+
+CREATE TABLE users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username TEXT NOT NULL UNIQUE,
+  email TEXT NOT NULL UNIQUE,
+  password TEXT NOT NULL,
+  role TEXT NOT NULL DEFAULT 'customer' CHECK (role IN ('customer', 'salesperson', 'inventory_manager', 'admin')),
+  email_verified_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE cars (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  stock_number TEXT,
+  vin TEXT,
+  make TEXT NOT NULL,
+  model TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  price REAL NOT NULL,
+  mileage INTEGER NOT NULL DEFAULT 0,
+  color TEXT,
+  fuel_type TEXT NOT NULL DEFAULT 'gasoline' CHECK (fuel_type IN ('gasoline', 'diesel', 'electric', 'hybrid')),
+  transmission TEXT NOT NULL DEFAULT 'manual' CHECK (transmission IN ('manual', 'automatic')),
+  description TEXT,
+  image_url TEXT,
+  is_available INTEGER NOT NULL DEFAULT 1,
+  -- Set when the car is archived instead of deleted, purged after the retention period
+  archived_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE inquiries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'responded', 'closed')),
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_cars_available ON cars (is_available);
+CREATE INDEX IX_cars_archived_at ON cars (archived_at);
+CREATE INDEX IX_cars_make_model ON cars (make, model);
+CREATE INDEX IX_cars_price ON cars (price);
+CREATE INDEX IX_cars_year ON cars (year);
+CREATE UNIQUE INDEX UQ_cars_stock_number ON cars (stock_number) WHERE stock_number IS NOT NULL;
+CREATE UNIQUE INDEX UQ_cars_vin ON cars (vin) WHERE vin IS NOT NULL;
+CREATE INDEX IX_inquiries_car_id ON inquiries (car_id);
+CREATE INDEX IX_inquiries_status ON inquiries (status);
+CREATE INDEX IX_inquiries_user_id ON inquiries (user_id);
+
+-- Hashed refresh tokens grouped into rotation families
+CREATE TABLE refresh_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  family_id TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  revoked_at TEXT,
+  replaced_by INTEGER,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_refresh_tokens_family_id ON refresh_tokens (family_id);
+CREATE INDEX IX_refresh_tokens_expires_at ON refresh_tokens (expires_at);
+
+-- Replies on an inquiry thread, sender_role is 'customer' or 'staff'
+CREATE TABLE inquiry_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  inquiry_id INTEGER NOT NULL REFERENCES inquiries (id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL REFERENCES users (id),
+  sender_role TEXT NOT NULL CHECK (sender_role IN ('customer', 'staff')),
+  body TEXT NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_inquiry_messages_inquiry_id ON inquiry_messages (inquiry_id);
+
+-- Last message each participant has read in a thread
+CREATE TABLE inquiry_read_markers (
+  inquiry_id INTEGER NOT NULL REFERENCES inquiries (id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  last_read_message_id INTEGER NOT NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (inquiry_id, user_id)
+);
+
+-- Single-use email tokens (password reset, email verification), stored hashed
+CREATE TABLE user_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verification')),
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_user_tokens_user_id ON user_tokens (user_id);
+
+-- Uploaded photos per car, the *_key columns are storage keys of each variant
+CREATE TABLE car_images (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  is_primary INTEGER NOT NULL DEFAULT 0,
+  original_key TEXT NOT NULL,
+  large_key TEXT NOT NULL,
+  thumbnail_key TEXT NOT NULL,
+  original_name TEXT,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_car_images_car_id ON car_images (car_id, position);
+
+-- Admin-editable settings, value is JSON
+CREATE TABLE settings (
+  setting_key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Test-drive bookings, starts_at/ends_at are UTC
+CREATE TABLE test_drives (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  starts_at TEXT NOT NULL,
+  ends_at TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'cancelled')),
+  notes TEXT,
+  cancel_reason TEXT,
+  cancelled_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_test_drives_car_id ON test_drives (car_id, starts_at);
+CREATE INDEX IX_test_drives_user_id ON test_drives (user_id);
+
+-- Customer holds on a car, is_available is 0 while one is active
+CREATE TABLE reservations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'expired', 'cancelled', 'converted')),
+  expires_at TEXT NOT NULL,
+  cancelled_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_reservations_car_id ON reservations (car_id, status);
+CREATE INDEX IX_reservations_status ON reservations (status, expires_at);
+
+-- A car is sold once, reservation_id is set when the sale came from a hold
+CREATE TABLE sales (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL UNIQUE REFERENCES cars (id) ON DELETE CASCADE,
+  reservation_id INTEGER REFERENCES reservations (id),
+  buyer_id INTEGER NOT NULL REFERENCES users (id),
+  sale_price REAL NOT NULL,
+  notes TEXT,
+  sold_by INTEGER REFERENCES users (id),
+  sold_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_sales_buyer_id ON sales (buyer_id);
+
+-- Admin changes, changes is JSON { field: { from, to } }
+CREATE TABLE audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  actor_id INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  action TEXT NOT NULL,
+  entity_type TEXT NOT NULL,
+  entity_id TEXT,
+  changes TEXT NOT NULL,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_audit_log_entity ON audit_log (entity_type, entity_id);
+CREATE INDEX IX_audit_log_actor_id ON audit_log (actor_id);
+CREATE INDEX IX_audit_log_created_at ON audit_log (created_at);
+
+-- Every price a car has had, old_price is NULL for the first listing price
+CREATE TABLE car_price_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  old_price REAL,
+  new_price REAL NOT NULL,
+  changed_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  changed_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_car_price_history_car_id ON car_price_history (car_id, changed_at);
+
+-- Price-drop subscriptions, target_price NULL means every drop
+CREATE TABLE price_alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  target_price REAL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (user_id, car_id)
+);
+
+CREATE INDEX IX_price_alerts_car_id ON price_alerts (car_id);
+
+-- In-app notification feed, data is JSON
+CREATE TABLE notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data TEXT,
+  read_at TEXT,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_notifications_user_id ON notifications (user_id, created_at);
+
+-- Cars a customer starred
+CREATE TABLE favorites (
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (user_id, car_id)
+);
+
+CREATE INDEX IX_favorites_car_id ON favorites (car_id);
+
+-- Saved GET /api/cars filter sets, filters is JSON
+CREATE TABLE saved_searches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  filters TEXT NOT NULL,
+  notify INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_saved_searches_user_id ON saved_searches (user_id);
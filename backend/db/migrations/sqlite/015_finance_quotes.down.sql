@@ -0,0 +1 @@
+DROP TABLE finance_quotes;
@@ -0,0 +1,21 @@
+-- Financing quotes customers saved, optionally attached to one of their inquiries
+-- The inputs and results are kept as quoted, the car's price may change later
+CREATE TABLE finance_quotes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  car_id INTEGER NOT NULL REFERENCES cars (id) ON DELETE CASCADE,
+  inquiry_id INTEGER REFERENCES inquiries (id) ON DELETE SET NULL,
+  price REAL NOT NULL,
+  down_payment REAL NOT NULL DEFAULT 0,
+  trade_in_credit REAL NOT NULL DEFAULT 0,
+  amount_financed REAL NOT NULL,
+  term_months INTEGER NOT NULL,
+  apr REAL NOT NULL,
+  credit_tier TEXT,
+  monthly_payment REAL NOT NULL,
+  total_interest REAL NOT NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_finance_quotes_user_id ON finance_quotes (user_id);
+CREATE INDEX IX_finance_quotes_inquiry_id ON finance_quotes (inquiry_id);
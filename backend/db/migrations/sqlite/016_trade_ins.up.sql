@@ -0,0 +1,44 @@
+-- Trade-in appraisals: the customer describes their car, staff make an offer that expires,
+-- the customer accepts or declines it and an accepted trade-in can become a car in the inventory (car_id)
+CREATE TABLE trade_ins (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+  make TEXT NOT NULL,
+  model TEXT NOT NULL,
+  year INTEGER NOT NULL,
+  mileage INTEGER NOT NULL,
+  condition TEXT NOT NULL CHECK (condition IN ('excellent', 'good', 'fair', 'poor')),
+  vin TEXT,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'submitted'
+    CHECK (status IN ('submitted', 'offered', 'accepted', 'declined', 'expired', 'withdrawn', 'converted')),
+  offer_amount REAL,
+  offer_expires_at TEXT,
+  offer_notes TEXT,
+  appraised_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+  appraised_at TEXT,
+  responded_at TEXT,
+  car_id INTEGER REFERENCES cars (id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_trade_ins_user_id ON trade_ins (user_id);
+CREATE INDEX IX_trade_ins_status ON trade_ins (status, offer_expires_at);
+
+-- Photos the customer uploaded, stored like car_images
+CREATE TABLE trade_in_photos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trade_in_id INTEGER NOT NULL REFERENCES trade_ins (id) ON DELETE CASCADE,
+  original_key TEXT NOT NULL,
+  large_key TEXT NOT NULL,
+  thumbnail_key TEXT NOT NULL,
+  original_name TEXT,
+  mime_type TEXT NOT NULL,
+  size_bytes INTEGER NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IX_trade_in_photos_trade_in_id ON trade_in_photos (trade_in_id);
@@ -0,0 +1 @@
+ALTER TABLE inquiry_messages DROP COLUMN is_system;
@@ -0,0 +1,6 @@
+-- Messages the app posts itself (e.g. the notice when a car is sold) are flagged, so reports
+-- about staff replies can leave them out - earlier sold notices are recognised by their text
+ALTER TABLE inquiry_messages ADD COLUMN is_system INTEGER NOT NULL DEFAULT 0;
+
+UPDATE inquiry_messages SET is_system = 1
+WHERE body = 'This car has been sold, so this inquiry has been closed. Thank you for your interest!';
@@ -0,0 +1 @@
+DROP INDEX UQ_reservations_active_car_id;
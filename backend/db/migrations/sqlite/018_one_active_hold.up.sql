@@ -0,0 +1,3 @@
+-- A car has at most one active hold, whatever the application checks missed
+-- Fails while a car still has two active holds, cancel the extra one first
+CREATE UNIQUE INDEX UQ_reservations_active_car_id ON reservations (car_id) WHERE status = 'active';
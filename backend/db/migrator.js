@@ -0,0 +1,247 @@
+// Versioned schema migrations
+// Each migration is a pair of scripts in db/migrations/<dialect>: NNN_name.up.sql and NNN_name.down.sql
+// Applied migrations are recorded in schema_migrations together with a checksum of their up script,
+// so a migration that was edited or deleted after it ran is reported instead of silently drifting
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('../config/database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations', db.dialect);
+const FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const TRACKING_TABLE = {
+    sqlite: {
+        exists: "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'",
+        create: `CREATE TABLE schema_migrations (
+            version TEXT NOT NULL PRIMARY KEY,
+            name TEXT NOT NULL,
+            checksum TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )`
+    },
+    mssql: {
+        exists: "SELECT name FROM sys.tables WHERE name = 'schema_migrations'",
+        create: `CREATE TABLE [dbo].[schema_migrations](
+            [version] [nvarchar](20) NOT NULL PRIMARY KEY,
+            [name] [nvarchar](200) NOT NULL,
+            [checksum] [char](64) NOT NULL,
+            [applied_at] [datetime2](7) NOT NULL
+        )`
+    }
+};
+
+// Problems with the migration files or history, the CLI prints these without a stack trace
+class MigrationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MigrationError';
+    }
+}
+
+// Line endings are normalized so a checkout with CRLF doesn't count as a change
+const checksum = (script) => crypto
+    .createHash('sha256')
+    .update(script.replace(/\r\n/g, '\n'))
+    .digest('hex');
+
+// Read the migration files for the current dialect, ordered by version
+const loadMigrations = () => {
+    const byVersion = new Map();
+
+    fs.readdirSync(MIGRATIONS_DIR).forEach(file => {
+        const match = FILE_PATTERN.exec(file);
+        if (!match) {
+            throw new MigrationError(`Unexpected file ${file} in ${MIGRATIONS_DIR} (expected NNN_name.up.sql or NNN_name.down.sql)`);
+        }
+
+        const [, version, name, direction] = match;
+        const migration = byVersion.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new MigrationError(`Migration ${version} has two names: ${migration.name} and ${name}`);
+        }
+
+        migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+        byVersion.set(version, migration);
+    });
+
+    return [...byVersion.values()]
+        .map(migration => {
+            if (migration.up === undefined || migration.down === undefined) {
+                throw new MigrationError(`Migration ${migration.version}_${migration.name} needs both an up and a down script`);
+            }
+            return { ...migration, checksum: checksum(migration.up) };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const trackingTableExists = async (scope = db) => {
+    const rows = await scope.query(TRACKING_TABLE[db.dialect].exists);
+    return rows.length > 0;
+};
+
+// Applied migrations in the order they ran, empty if nothing was ever migrated
+const appliedMigrations = async () => {
+    if (!(await trackingTableExists())) {
+        return [];
+    }
+    const rows = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+    return rows.sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+const ensureTrackingTable = async () => {
+    if (!(await trackingTableExists())) {
+        await db.query(TRACKING_TABLE[db.dialect].create);
+    }
+};
+
+// Compare the files with the history - every migration gets a state:
+// applied, pending, changed (file edited after it ran) or missing (file deleted after it ran)
+const status = async () => {
+    const migrations = loadMigrations();
+    const applied = await appliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+    const known = migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        if (!row) {
+            return { version: migration.version, name: migration.name, state: 'pending', applied_at: null };
+        }
+        return {
+            version: migration.version,
+            name: migration.name,
+            state: row.checksum === migration.checksum ? 'applied' : 'changed',
+            applied_at: row.applied_at
+        };
+    });
+
+    const fileVersions = new Set(migrations.map(migration => migration.version));
+    const missing = applied
+        .filter(row => !fileVersions.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, state: 'missing', applied_at: row.applied_at }));
+
+    return [...known, ...missing].sort((a, b) => Number(a.version) - Number(b.version));
+};
+
+// Refuse to touch the schema while the history and the files disagree
+const assertConsistent = (states) => {
+    const broken = states.find(migration => migration.state === 'changed' || migration.state === 'missing');
+    if (broken) {
+        throw new MigrationError(
+            `Migration ${broken.version}_${broken.name} was ${broken.state === 'changed' ? 'edited' : 'deleted'} after it was applied - ` +
+            'restore the original file and add a new migration instead'
+        );
+    }
+
+    const lastApplied = states.filter(migration => migration.state === 'applied').pop();
+    const outOfOrder = lastApplied && states.find(migration =>
+        migration.state === 'pending' && Number(migration.version) < Number(lastApplied.version));
+    if (outOfOrder) {
+        throw new MigrationError(
+            `Migration ${outOfOrder.version}_${outOfOrder.name} is older than the applied ${lastApplied.version}_${lastApplied.name} - ` +
+            'renumber it so it comes last'
+        );
+    }
+};
+
+// Apply pending migrations in order, each one in its own transaction
+// Stops after version "to" when given, returns the migrations that ran
+const migrate = async ({ to } = {}) => {
+    const migrations = loadMigrations();
+    const states = await status();
+    assertConsistent(states);
+
+    const pendingVersions = new Set(states.filter(m => m.state === 'pending').map(m => m.version));
+    const pending = migrations.filter(migration =>
+        pendingVersions.has(migration.version) && (to === undefined || Number(migration.version) <= Number(to)));
+
+    if (pending.length === 0) {
+        return [];
+    }
+
+    await ensureTrackingTable();
+
+    const ran = [];
+    for (const migration of pending) {
+        try {
+            await db.transaction(async (tx) => {
+                await tx.batch(migration.up);
+                await tx.query(
+                    `INSERT INTO schema_migrations (version, name, checksum, applied_at)
+                     VALUES (@version, @name, @checksum, @now)`,
+                    { version: migration.version, name: migration.name, checksum: migration.checksum, now: new Date() }
+                );
+            });
+        } catch (error) {
+            throw new MigrationError(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+        ran.push({ version: migration.version, name: migration.name });
+    }
+    return ran;
+};
+
+// Undo the last "steps" applied migrations, newest first, returns the migrations that were undone
+const rollback = async ({ steps = 1 } = {}) => {
+    const migrations = loadMigrations();
+    const states = await status();
+    assertConsistent(states);
+
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+    const toUndo = states
+        .filter(migration => migration.state === 'applied')
+        .reverse()
+        .slice(0, steps)
+        .map(migration => byVersion.get(migration.version));
+
+    const undone = [];
+    for (const migration of toUndo) {
+        try {
+            await db.transaction(async (tx) => {
+                await tx.batch(migration.down);
+                await tx.query('DELETE FROM schema_migrations WHERE version = @version', { version: migration.version });
+            });
+        } catch (error) {
+            throw new MigrationError(`Rolling back ${migration.version}_${migration.name} failed: ${error.message}`);
+        }
+        undone.push({ version: migration.version, name: migration.name });
+    }
+    return undone;
+};
+
+// Record migrations up to "version" as applied without running them
+// For databases that already have that schema, e.g. one built from the old SSMS dump
+const baseline = async (version) => {
+    const migrations = loadMigrations();
+    if (!migrations.some(migration => migration.version === version)) {
+        throw new MigrationError(`There is no migration ${version}`);
+    }
+    if ((await appliedMigrations()).length > 0) {
+        throw new MigrationError('This database already has migration history, baseline only works on an untracked database');
+    }
+
+    await ensureTrackingTable();
+
+    const marked = migrations.filter(migration => Number(migration.version) <= Number(version));
+    await db.transaction(async (tx) => {
+        const now = new Date();
+        for (const migration of marked) {
+            await tx.query(
+                `INSERT INTO schema_migrations (version, name, checksum, applied_at)
+                 VALUES (@version, @name, @checksum, @now)`,
+                { version: migration.version, name: migration.name, checksum: migration.checksum, now }
+            );
+        }
+    });
+    return marked.map(migration => ({ version: migration.version, name: migration.name }));
+};
+
+module.exports = {
+    MigrationError,
+    loadMigrations,
+    appliedMigrations,
+    status,
+    migrate,
+    rollback,
+    baseline
+};
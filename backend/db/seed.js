@@ -0,0 +1,136 @@
+// Demo data - the admin and customer accounts and cars from the original SSMS dump (admin / admin123)
+// Safe to run more than once: existing users are left alone and cars are only added to an empty inventory
+
+const db = require('../config/database');
+
+const DEMO_USERS = [
+    {
+        username: 'admin',
+        email: 'admin@carshop.com',
+        password: '$2a$12$DKjqetCQlwwRHvBJXVnrTOuXkaLzJwGq3yzuaNt7auGWoD1JqHXX2',
+        role: 'admin'
+    },
+    {
+        username: 'customer1',
+        email: 'customer@example.com',
+        password: '$2a$12$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi',
+        role: 'customer'
+    }
+];
+
+const DEMO_CARS = [
+    {
+        make: 'Toyota', model: 'Camry', year: 2020, price: 25000, mileage: 45000, color: 'Silver',
+        fuel_type: 'gasoline', transmission: 'automatic', is_available: true,
+        description: 'Well-maintained Toyota Camry with excellent fuel economy and reliability. Perfect for daily commuting.',
+        image_url: 'https://example.com/camry.jpg'
+    },
+    {
+        make: 'Honda', model: 'Civic', year: 2019, price: 22000, mileage: 38000, color: 'Blue',
+        fuel_type: 'gasoline', transmission: 'manual', is_available: true,
+        description: 'Sporty Honda Civic with manual transmission. Great for driving enthusiasts who prefer more control.',
+        image_url: 'https://example.com/civic.jpg'
+    },
+    {
+        make: 'BMW', model: 'X5', year: 2018, price: 35000, mileage: 62000, color: 'Black',
+        fuel_type: 'diesel', transmission: 'automatic', is_available: true,
+        description: 'Luxury SUV with powerful diesel engine. Perfect for families who need space and performance.',
+        image_url: 'https://example.com/x5.jpg'
+    },
+    {
+        make: 'Ford', model: 'Mustang', year: 2020, price: 32000, mileage: 28000, color: 'Red',
+        fuel_type: 'gasoline', transmission: 'manual', is_available: true,
+        description: 'Classic American muscle car with V8 engine. For those who love power and style.',
+        image_url: 'https://example.com/mustang.jpg'
+    },
+    {
+        make: 'Audi', model: 'A4', year: 2019, price: 28000, mileage: 41000, color: 'Gray',
+        fuel_type: 'gasoline', transmission: 'automatic', is_available: true,
+        description: 'Elegant sedan with premium interior and advanced safety features.',
+        image_url: 'https://example.com/a4.jpg'
+    },
+    {
+        make: 'Nissan', model: 'Leaf', year: 2020, price: 24000, mileage: 22000, color: 'Green',
+        fuel_type: 'electric', transmission: 'automatic', is_available: true,
+        description: 'Affordable electric vehicle perfect for city driving and short commutes.',
+        image_url: 'https://example.com/leaf.jpg'
+    },
+    {
+        make: 'Mercedes-Benz', model: 'C-Class', year: 2021, price: 42000, mileage: 18000, color: 'Silver',
+        fuel_type: 'hybrid', transmission: 'automatic', is_available: false,
+        description: 'Luxury hybrid sedan combining performance with fuel efficiency.',
+        image_url: 'https://example.com/c-class.jpg'
+    }
+];
+
+// Inquiries point at users and cars by name because their ids depend on the database
+const DEMO_INQUIRIES = [
+    {
+        username: 'customer1',
+        car: 'Toyota Camry',
+        message: 'Hi, I am interested in the Toyota Camry. Is it still available? Can we schedule a test drive?'
+    },
+    {
+        username: 'customer1',
+        car: 'Ford Mustang',
+        message: 'Is the Ford Mustang price negotiable? I am very interested in purchasing it.'
+    }
+];
+
+// Load the demo data - returns how many users, cars and inquiries were added
+const seed = () => db.transaction(async (tx) => {
+    const now = new Date();
+    const added = { users: 0, cars: 0, inquiries: 0 };
+    const userIds = {};
+
+    for (const user of DEMO_USERS) {
+        const existing = await tx.query(
+            'SELECT id FROM users WHERE username = @username OR email = @email',
+            { username: user.username, email: user.email }
+        );
+        if (existing.length > 0) {
+            userIds[user.username] = existing[0].id;
+            continue;
+        }
+
+        // Demo accounts don't have to go through email verification
+        userIds[user.username] = await tx.insert(
+            `INSERT INTO users (username, email, password, role, email_verified_at, created_at, updated_at)
+             VALUES (@username, @email, @password, @role, @now, @now, @now)`,
+            { ...user, now }
+        );
+        added.users += 1;
+    }
+
+    const [{ count }] = await tx.query('SELECT COUNT(*) AS count FROM cars');
+    if (count > 0) {
+        return added;
+    }
+
+    const carIds = {};
+    for (const car of DEMO_CARS) {
+        carIds[`${car.make} ${car.model}`] = await tx.insert(
+            `INSERT INTO cars (make, model, year, price, mileage, color, fuel_type, transmission,
+                               description, image_url, is_available, announced_at, created_at, updated_at)
+             VALUES (@make, @model, @year, @price, @mileage, @color, @fuel_type, @transmission,
+                     @description, @image_url, @is_available, @announcedAt, @now, @now)`,
+            { ...car, announcedAt: car.is_available ? now : null, now }
+        );
+        added.cars += 1;
+    }
+
+    for (const inquiry of DEMO_INQUIRIES) {
+        await tx.insert(
+            `INSERT INTO inquiries (user_id, car_id, message, status, created_at, updated_at)
+             VALUES (@userId, @carId, @message, 'pending', @now, @now)`,
+            { userId: userIds[inquiry.username], carId: carIds[inquiry.car], message: inquiry.message, now }
+        );
+        added.inquiries += 1;
+    }
+
+    return added;
+});
+
+module.exports = {
+    seed
+};
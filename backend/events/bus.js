@@ -0,0 +1,128 @@
+// Live events pushed to GET /api/events
+// Events are kept in memory only: the latest few hundred are buffered so a client that reconnects
+// with Last-Event-ID gets what it missed, anything older (or from before a restart) means it has to reload
+// With several API processes each one only sees its own events
+
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+
+// How many past events a reconnecting client can catch up on
+const REPLAY_SIZE = parseInt(process.env.EVENT_REPLAY_SIZE, 10) || 500;
+
+// Ids look like "<startup time>-<sequence>", so ids handed out before a restart are recognised as stale
+const STREAM_ID = Date.now().toString(36);
+
+let sequence = 0;
+const recent = [];
+const subscribers = new Set();
+
+// Staff with events:view see everything, customers only events about themselves (event.userId)
+const canSee = (user, event) =>
+  hasPermission(user, PERMISSIONS.EVENTS_VIEW) || (event.userId !== null && event.userId === user.id);
+
+const publish = ({ type, data, userId = null }) => {
+  sequence += 1;
+  const event = { id: `${STREAM_ID}-${sequence}`, sequence, type, userId, data: { ...data, occurred_at: new Date() } };
+
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) {
+    recent.shift();
+  }
+
+  subscribers.forEach(subscriber => {
+    if (canSee(subscriber.user, event)) {
+      subscriber.send(event);
+    }
+  });
+};
+
+// Publish an event - pass the transaction scope when inside one, the event then waits for the commit
+const publishEvent = (event, db) => {
+  if (db && db.afterCommit) {
+    db.afterCommit(() => publish(event));
+  } else {
+    publish(event);
+  }
+};
+
+// Start receiving events the user may see - returns the unsubscribe function
+const subscribe = (user, { send, close }) => {
+  const subscriber = { user, send, close };
+  subscribers.add(subscriber);
+  return () => subscribers.delete(subscriber);
+};
+
+// Buffered events after lastEventId that the user may see
+// complete is false when the id is unknown or events after it have already dropped out of the buffer
+const eventsSince = (user, lastEventId) => {
+  const [streamId, lastSequence] = String(lastEventId).split('-');
+  const since = Number(lastSequence);
+
+  if (streamId !== STREAM_ID || !Number.isInteger(since) || since > sequence) {
+    return { complete: false, events: [] };
+  }
+
+  const oldestBuffered = recent.length > 0 ? recent[0].sequence : sequence + 1;
+  return {
+    complete: since >= oldestBuffered - 1,
+    events: recent.filter(event => event.sequence > since && canSee(user, event))
+  };
+};
+
+// End every open stream, used on shutdown so the server can close
+const closeAllStreams = () => {
+  subscribers.forEach(subscriber => subscriber.close());
+  subscribers.clear();
+};
+
+// Shared events, published from more than one place
+
+const publishInquiryStatusChange = ({ inquiry, from, to }, db) => {
+  if (from === to) return;
+  publishEvent({
+    type: 'inquiry.status_changed',
+    userId: inquiry.user_id,
+    data: { inquiry_id: inquiry.id, car_id: inquiry.car_id, user_id: inquiry.user_id, from, to }
+  }, db);
+};
+
+const publishCarCreated = (car, db) => {
+  publishEvent({
+    type: 'car.created',
+    data: {
+      car_id: car.id,
+      make: car.make,
+      model: car.model,
+      year: car.year,
+      price: car.price,
+      is_available: Boolean(car.is_available)
+    }
+  }, db);
+};
+
+const publishCarAvailabilityChange = ({ carId, from, to }, db) => {
+  if (Boolean(from) === Boolean(to)) return;
+  publishEvent({
+    type: 'car.availability_changed',
+    data: { car_id: Number(carId), is_available: Boolean(to) }
+  }, db);
+};
+
+const publishTradeInStatusChange = ({ tradeIn, from, to }, db) => {
+  if (from === to) return;
+  publishEvent({
+    type: 'trade_in.status_changed',
+    userId: tradeIn.user_id,
+    data: { trade_in_id: tradeIn.id, user_id: tradeIn.user_id, from, to }
+  }, db);
+};
+
+module.exports = {
+  publishEvent,
+  subscribe,
+  eventsSince,
+  closeAllStreams,
+  publishInquiryStatusChange,
+  publishCarCreated,
+  publishCarAvailabilityChange,
+  publishTradeInStatusChange
+};
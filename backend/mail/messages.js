@@ -0,0 +1,34 @@
+// Email contents for account related messages
+
+const { APP_URL } = require('../config/mailer');
+
+const verificationMessage = (user, token) => ({
+  to: user.email,
+  subject: 'Confirm your Car Shop email address',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Please confirm your email address by opening the link below:',
+    `${APP_URL}/verify-email?token=${token}`,
+    '',
+    'The link is valid for 24 hours.'
+  ].join('\n')
+});
+
+const passwordResetMessage = (user, token) => ({
+  to: user.email,
+  subject: 'Reset your Car Shop password',
+  text: [
+    `Hi ${user.username},`,
+    '',
+    'Someone asked to reset the password for your account. Open the link below to choose a new one:',
+    `${APP_URL}/reset-password?token=${token}`,
+    '',
+    'The link is valid for 1 hour. If you did not ask for this you can ignore this email.'
+  ].join('\n')
+});
+
+module.exports = {
+  verificationMessage,
+  passwordResetMessage
+};
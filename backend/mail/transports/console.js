@@ -0,0 +1,13 @@
+// Console mail transport - prints messages instead of sending them (local development)
+
+const send = async (message) => {
+  console.log('---------- Outgoing email ----------');
+  console.log(`From: ${message.from}`);
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('------------------------------------');
+};
+
+module.exports = { name: 'console', send };
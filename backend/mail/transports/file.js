@@ -0,0 +1,24 @@
+// File mail transport - writes each message as a .eml file into MAIL_DIR (local development)
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'data', 'mail');
+
+const send = async (message) => {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.eml`;
+  const contents = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    '',
+    message.text
+  ].join('\r\n');
+
+  await fs.writeFile(path.join(MAIL_DIR, fileName), contents, 'utf8');
+};
+
+module.exports = { name: 'file', send };
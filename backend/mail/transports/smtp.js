@@ -0,0 +1,19 @@
+// SMTP mail transport - sends real email through nodemailer
+
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT || '587'),
+  secure: process.env.SMTP_SECURE === 'true', // true for port 465
+  auth: process.env.SMTP_USER ? {
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASSWORD
+  } : undefined
+});
+
+const send = async (message) => {
+  await transporter.sendMail(message);
+};
+
+module.exports = { name: 'smtp', send };
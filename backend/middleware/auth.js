@@ -1,12 +1,17 @@
 // This protects routes and checks if user has valid tokens
 
 const { verifyAccessToken } = require('../config/jwt');
+const { hasPermission } = require('../config/permissions');
 
-// Main authentication middleware
-const checkAuth = (req, res, next) => {
-  // Get token from Authorization header
+// Get token from Authorization header
+const bearerToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Remove 'Bearer ' prefix
+  return authHeader && authHeader.split(' ')[1]; // Remove 'Bearer ' prefix
+};
+
+// Builds the authentication middleware around a way of finding the token
+const authenticateWith = (getToken) => (req, res, next) => {
+  const token = getToken(req);
 
   if (!token) {
     return res.status(401).json({ message: 'Access token is required' });
@@ -32,11 +37,16 @@ const checkAuth = (req, res, next) => {
   }
 };
 
-// Admin-only middleware - use after checkAuth
-const requireAdmin = (req, res, next) => {
-  // Check if user has admin role
-  if (req.user.role !== 'admin') {
-    return res.status(403).json({ message: 'Admin privileges required' });
+// Main authentication middleware
+const checkAuth = authenticateWith(bearerToken);
+
+// For the event stream - browsers' EventSource can't set headers, so ?access_token= works too
+const checkStreamAuth = authenticateWith(req => bearerToken(req) || req.query.access_token);
+
+// Permission middleware - use after checkAuth, passes if the user's role has any of the permissions
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!permissions.some(permission => hasPermission(req.user, permission))) {
+    return res.status(403).json({ message: 'You do not have permission to do this' });
   }
   next();
 };
@@ -62,6 +72,7 @@ const optionalAuth = (req, res, next) => {
 
 module.exports = {
   authenticateToken: checkAuth,
-  requireAdmin,
+  authenticateStream: checkStreamAuth,
+  requirePermission,
   optionalAuth
 };
\ No newline at end of file
@@ -0,0 +1,73 @@
+// Checks requests against the OpenAPI document in openapi/
+// In development responses are checked as well and mismatches are logged, so the spec can't quietly go stale
+
+const OpenApiValidator = require('express-openapi-validator');
+const spec = require('../openapi');
+const logger = require('../config/logger');
+
+const isDevelopment = (process.env.NODE_ENV || 'development') === 'development';
+
+// Log responses that don't match the spec instead of failing the request
+const reportResponseMismatch = (error, body, req) => {
+  logger.error('Response does not match the OpenAPI spec', {
+    method: req.method,
+    path: req.originalUrl.split('?')[0],
+    error: error.message
+  });
+};
+
+const validateApi = OpenApiValidator.middleware({
+  // The validator resolves $refs in place, the served document keeps them
+  apiSpec: JSON.parse(JSON.stringify(spec)),
+  validateRequests: {
+    // HTML forms and query strings only send text
+    coerceTypes: true
+  },
+  validateResponses: isDevelopment ? { onError: reportResponseMismatch } : false,
+  // authenticateToken and requirePermission already guard the routes
+  validateSecurity: false,
+  // Upload routes run their own multer with their own limits
+  fileUploader: false,
+  // SQL Server returns timestamps as Date objects
+  serDes: [{
+    format: 'date-time',
+    serialize: value => (value instanceof Date ? value.toISOString() : value)
+  }]
+});
+
+const isValidatorError = (err) => Object.values(OpenApiValidator.error).some(ErrorClass => err instanceof ErrorClass);
+
+// "/body/hours/monday/open" => { location: 'body', path: 'hours.monday.open' }, like express-validator reports it
+const toFieldError = (error) => {
+  const [, location, ...path] = error.path.split('/');
+  return { type: 'field', msg: error.message, path: path.join('.'), location };
+};
+
+// Rejected requests get the same response shapes as the route handlers use
+const handleApiErrors = (err, req, res, next) => {
+  if (!isValidatorError(err) || err.status >= 500) {
+    return next(err);
+  }
+
+  if (err.status === 404) {
+    return res.status(404).json({ message: 'Endpoint not found' });
+  }
+
+  if (err.status === 400) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: err.errors.map(toFieldError)
+    });
+  }
+
+  // 405 comes with an Allow header
+  if (err.headers) {
+    res.set(err.headers);
+  }
+  res.status(err.status).json({ message: err.message });
+};
+
+module.exports = {
+  validateApi,
+  handleApiErrors
+};
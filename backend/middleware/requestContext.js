@@ -0,0 +1,63 @@
+// Gives every request an id (X-Request-Id, taken from the caller when it sends a sane one),
+// logs it once it is answered and records its latency and status for /metrics
+
+const crypto = require('crypto');
+const logger = require('../config/logger');
+const metrics = require('../config/metrics');
+
+// Ids from proxies or clients are passed on as they are, anything else gets replaced
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requestDuration = metrics.histogram(
+  'http_request_duration_seconds',
+  'Time from receiving a request until its response was sent',
+  ['method', 'route']
+);
+
+const requestsTotal = metrics.counter(
+  'http_requests_total',
+  'Requests answered, by route and status code',
+  ['method', 'route', 'status_code']
+);
+
+// Route template rather than the URL, so /api/cars/1 and /api/cars/2 end up in the same series
+// Everything under /api is matched by the OpenAPI validator, the rest only by its Express route
+const routeOf = (req) => {
+  if (req.openapi && req.openapi.openApiRoute) return req.openapi.openApiRoute;
+  if (req.route) return `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, '$1');
+  return 'unmatched';
+};
+
+const requestContext = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const incomingId = req.get('X-Request-Id');
+
+  req.id = incomingId && VALID_REQUEST_ID.test(incomingId) ? incomingId : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  res.on('finish', () => {
+    const route = routeOf(req);
+    const seconds = metrics.elapsedSeconds(start);
+
+    requestDuration.observe({ method: req.method, route }, seconds);
+    requestsTotal.inc({ method: req.method, route, status_code: res.statusCode });
+
+    // The query string is left out, it can carry tokens (e.g. email verification links)
+    logger.runWithRequestId(req.id, () => {
+      logger[res.statusCode >= 500 ? 'error' : 'info']('Request completed', {
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        route,
+        status: res.statusCode,
+        duration_ms: Math.round(seconds * 1000),
+        ...(req.user ? { user_id: req.user.id } : {})
+      });
+    });
+  });
+
+  logger.runWithRequestId(req.id, next);
+};
+
+module.exports = {
+  requestContext
+};
@@ -0,0 +1,297 @@
+// Dashboard reports over a date range, bucketed by day, week or month (UTC)
+// Rows are fetched with plain range queries and bucketed here, so the SQL stays the same on both drivers
+// Every report returns { columns, rows, summary } - columns is the CSV layout of rows
+
+const { query } = require('../config/database');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const CONVERSION_GROUPS = ['make', 'fuel_type'];
+
+// More buckets than this and the chart is unreadable anyway, ask for a longer interval
+const MAX_BUCKETS = 400;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Both drivers hand dates back differently (ISO strings on SQLite, Date on SQL Server)
+const toDate = (value) => (value === null || value === undefined ? null : new Date(value));
+
+const isoDay = (date) => date.toISOString().slice(0, 10);
+
+const round = (value, decimals = 1) => (value === null ? null : Number(value.toFixed(decimals)));
+
+const average = (values) => (values.length === 0 ? null : values.reduce((sum, value) => sum + value, 0) / values.length);
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Start of the bucket the date falls in - weeks start on Monday
+const bucketStart = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Buckets covering [from, to) - returns [{ start, end }] or null when there would be too many
+const buildBuckets = ({ from, to, interval }) => {
+  const buckets = [];
+  for (let start = bucketStart(from, interval); start < to; start = nextBucket(start, interval)) {
+    if (buckets.length === MAX_BUCKETS) return null;
+    buckets.push({ start, end: nextBucket(start, interval) });
+  }
+  return buckets;
+};
+
+// Put rows into the buckets by one of their dates
+const groupIntoBuckets = (buckets, rows, dateOf) => {
+  const grouped = buckets.map(() => []);
+  rows.forEach(row => {
+    const date = dateOf(row);
+    const index = buckets.findIndex(bucket => date >= bucket.start && date < bucket.end);
+    if (index !== -1) grouped[index].push(row);
+  });
+  return grouped;
+};
+
+const periodColumns = (bucket) => ({ period_start: isoDay(bucket.start), period_end: isoDay(bucket.end) });
+
+// Inquiries created per bucket, split by their current status
+const inquiriesOverTime = async (range) => {
+  const buckets = buildBuckets(range);
+  const inquiries = await query(
+    'SELECT id, status, created_at FROM inquiries WHERE created_at >= @from AND created_at < @to',
+    { from: range.from, to: range.to }
+  );
+
+  const rows = groupIntoBuckets(buckets, inquiries, inquiry => toDate(inquiry.created_at)).map((group, index) => ({
+    ...periodColumns(buckets[index]),
+    inquiries: group.length,
+    pending: group.filter(inquiry => inquiry.status === 'pending').length,
+    responded: group.filter(inquiry => inquiry.status === 'responded').length,
+    closed: group.filter(inquiry => inquiry.status === 'closed').length
+  }));
+
+  return {
+    columns: ['period_start', 'period_end', 'inquiries', 'pending', 'responded', 'closed'],
+    rows,
+    summary: { inquiries: inquiries.length }
+  };
+};
+
+// Hours from an inquiry to the first staff reply in its thread, by the bucket the inquiry was created in
+// Notices the app posts on staff's behalf (is_system, e.g. "car sold") are not replies
+const responseTimes = async (range) => {
+  const buckets = buildBuckets(range);
+  const inquiries = await query(`
+    SELECT i.id, i.created_at, MIN(m.created_at) AS first_response_at
+    FROM inquiries i
+    LEFT JOIN inquiry_messages m ON m.inquiry_id = i.id AND m.sender_role = 'staff' AND m.is_system = 0
+    WHERE i.created_at >= @from AND i.created_at < @to
+    GROUP BY i.id, i.created_at
+  `, { from: range.from, to: range.to });
+
+  const hoursToRespond = (inquiry) =>
+    (toDate(inquiry.first_response_at) - toDate(inquiry.created_at)) / HOUR_MS;
+
+  const describe = (group) => {
+    const answered = group.filter(inquiry => inquiry.first_response_at);
+    const hours = answered.map(hoursToRespond);
+    return {
+      inquiries: group.length,
+      answered: answered.length,
+      unanswered: group.length - answered.length,
+      average_hours: round(average(hours)),
+      median_hours: round(median(hours))
+    };
+  };
+
+  const rows = groupIntoBuckets(buckets, inquiries, inquiry => toDate(inquiry.created_at)).map((group, index) => ({
+    ...periodColumns(buckets[index]),
+    ...describe(group)
+  }));
+
+  return {
+    columns: ['period_start', 'period_end', 'inquiries', 'answered', 'unanswered', 'average_hours', 'median_hours'],
+    rows,
+    summary: describe(inquiries)
+  };
+};
+
+// Every car that was on the lot during the range, and how long it stayed (or has been there by the end of it)
+// A car leaves the lot when it is sold or archived
+const daysOnLot = async (range) => {
+  const cars = await query(`
+    SELECT c.id, c.stock_number, c.make, c.model, c.year, c.price, c.created_at, c.archived_at, s.sold_at
+    FROM cars c
+    LEFT JOIN sales s ON s.car_id = c.id
+    WHERE c.created_at < @to
+      AND (s.sold_at IS NULL OR s.sold_at >= @from)
+      AND (c.archived_at IS NULL OR c.archived_at >= @from)
+    ORDER BY c.created_at ASC, c.id ASC
+  `, { from: range.from, to: range.to });
+
+  const rows = cars.map(car => {
+    const listedAt = toDate(car.created_at);
+    const soldAt = toDate(car.sold_at);
+    const archivedAt = toDate(car.archived_at);
+    const leftAt = soldAt || archivedAt;
+    const until = leftAt && leftAt < range.to ? leftAt : new Date(Math.min(range.to, Date.now()));
+
+    return {
+      car_id: car.id,
+      stock_number: car.stock_number,
+      make: car.make,
+      model: car.model,
+      year: car.year,
+      price: car.price,
+      listed_at: listedAt.toISOString(),
+      left_at: leftAt ? leftAt.toISOString() : null,
+      left_reason: soldAt ? 'sold' : (archivedAt ? 'archived' : null),
+      days_on_lot: round((until - listedAt) / DAY_MS)
+    };
+  });
+
+  const days = rows.map(row => row.days_on_lot);
+  const gone = rows.filter(row => row.left_at && new Date(row.left_at) < range.to);
+
+  return {
+    columns: ['car_id', 'stock_number', 'make', 'model', 'year', 'price', 'listed_at', 'left_at', 'left_reason', 'days_on_lot'],
+    rows,
+    summary: {
+      cars: rows.length,
+      average_days: round(average(days)),
+      median_days: round(median(days)),
+      average_days_until_sold: round(average(gone.filter(row => row.left_reason === 'sold').map(row => row.days_on_lot)))
+    }
+  };
+};
+
+// Inquiries created in the range per make or fuel type, and how many ended in a sale of that car
+// An inquiry converted when the customer who asked bought the car
+const conversion = async (range, groupBy) => {
+  const inquiries = await query(`
+    SELECT i.id, i.user_id, i.car_id, c.${groupBy} AS group_value, s.buyer_id
+    FROM inquiries i
+    JOIN cars c ON i.car_id = c.id
+    LEFT JOIN sales s ON s.car_id = i.car_id
+    WHERE i.created_at >= @from AND i.created_at < @to
+  `, { from: range.from, to: range.to });
+
+  const describe = (group) => {
+    const inquiredCars = new Set(group.map(inquiry => inquiry.car_id));
+    const soldCars = new Set(group.filter(inquiry => inquiry.buyer_id !== null).map(inquiry => inquiry.car_id));
+    const converted = group.filter(inquiry => inquiry.buyer_id === inquiry.user_id).length;
+    return {
+      inquiries: group.length,
+      converted_inquiries: converted,
+      conversion_rate: group.length ? round(converted / group.length * 100) : null,
+      cars_inquired: inquiredCars.size,
+      cars_sold: soldCars.size,
+      cars_sold_rate: inquiredCars.size ? round(soldCars.size / inquiredCars.size * 100) : null
+    };
+  };
+
+  const groups = new Map();
+  inquiries.forEach(inquiry => {
+    if (!groups.has(inquiry.group_value)) groups.set(inquiry.group_value, []);
+    groups.get(inquiry.group_value).push(inquiry);
+  });
+
+  const rows = [...groups.entries()]
+    .map(([value, group]) => ({ [groupBy]: value, ...describe(group) }))
+    .sort((a, b) => b.inquiries - a.inquiries || String(a[groupBy]).localeCompare(String(b[groupBy])));
+
+  return {
+    columns: [groupBy, 'inquiries', 'converted_inquiries', 'conversion_rate', 'cars_inquired', 'cars_sold', 'cars_sold_rate'],
+    rows,
+    summary: describe(inquiries)
+  };
+};
+
+// Cars on the lot and their combined list price at the end of each bucket
+// List prices are taken from the price history, cars older than the history use their current price
+const inventoryValue = async (range) => {
+  const buckets = buildBuckets(range);
+  const cars = await query(`
+    SELECT c.id, c.price, c.created_at, c.archived_at, s.sold_at
+    FROM cars c
+    LEFT JOIN sales s ON s.car_id = c.id
+    WHERE c.created_at < @to
+  `, { to: range.to });
+  const history = await query(
+    'SELECT car_id, new_price, changed_at FROM car_price_history WHERE changed_at < @to ORDER BY changed_at ASC, id ASC',
+    { to: range.to }
+  );
+
+  const pricesByCar = new Map();
+  history.forEach(change => {
+    if (!pricesByCar.has(change.car_id)) pricesByCar.set(change.car_id, []);
+    pricesByCar.get(change.car_id).push({ at: toDate(change.changed_at), price: Number(change.new_price) });
+  });
+
+  const priceAt = (car, at) => {
+    const changes = (pricesByCar.get(car.id) || []).filter(change => change.at <= at);
+    return changes.length ? changes[changes.length - 1].price : Number(car.price);
+  };
+
+  const onLotAt = (car, at) => {
+    const leftAt = toDate(car.sold_at) || toDate(car.archived_at);
+    return toDate(car.created_at) <= at && (!leftAt || leftAt > at);
+  };
+
+  const rows = buckets.map(bucket => {
+    const asOf = new Date(Math.min(bucket.end, range.to, Date.now()));
+    const prices = cars.filter(car => onLotAt(car, asOf)).map(car => priceAt(car, asOf));
+    const total = prices.reduce((sum, price) => sum + price, 0);
+
+    return {
+      ...periodColumns(bucket),
+      as_of: asOf.toISOString(),
+      cars_on_lot: prices.length,
+      inventory_value: round(total, 2),
+      average_price: prices.length ? round(total / prices.length, 2) : null
+    };
+  });
+
+  const last = rows[rows.length - 1];
+
+  return {
+    columns: ['period_start', 'period_end', 'as_of', 'cars_on_lot', 'inventory_value', 'average_price'],
+    rows,
+    summary: {
+      cars_on_lot: last ? last.cars_on_lot : 0,
+      inventory_value: last ? last.inventory_value : 0
+    }
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  CONVERSION_GROUPS,
+  MAX_BUCKETS,
+  buildBuckets,
+  inquiriesOverTime,
+  responseTimes,
+  daysOnLot,
+  conversion,
+  inventoryValue
+};
@@ -0,0 +1,73 @@
+// Audit trail of admin changes - who changed what, when, from where
+// Only the fields that actually changed are stored, as { field: { from, to } }
+
+const { insert } = require('../config/database');
+const logger = require('../config/logger');
+
+// Bookkeeping columns that change on every write and would only add noise
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Comparable, JSON-friendly form of a column value
+const normalizeValue = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Field-level diff between two versions of a row
+// Creates (no before) and deletes (no after) list every field, updates only the changed ones
+const diffFields = (before, after) => {
+  const source = after || before || {};
+  const changes = {};
+
+  Object.keys(source)
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    // Joined columns in the updated row have nothing to compare against
+    .filter(field => !before || !after || field in before)
+    .forEach(field => {
+      const from = before ? normalizeValue(before[field]) : null;
+      const to = after ? normalizeValue(after[field]) : null;
+
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes[field] = { from, to };
+      }
+    });
+
+  return changes;
+};
+
+// Write one audit entry for the request's user
+// A failed audit write is logged, it never fails the change that was already made
+const recordAudit = async (req, { action, entity, entityId, before = null, after = null }, db = { insert }) => {
+  const changes = diffFields(before, after);
+
+  // Nothing changed, nothing to record
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  try {
+    return await db.insert(
+      `INSERT INTO audit_log (actor_id, action, entity_type, entity_id, changes, ip_address, user_agent, created_at)
+       VALUES (@actorId, @action, @entityType, @entityId, @changes, @ipAddress, @userAgent, @now)`,
+      {
+        actorId: req.user ? req.user.id : null,
+        action,
+        entityType: entity,
+        entityId: entityId === undefined || entityId === null ? null : String(entityId),
+        changes: JSON.stringify(changes),
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent') ? req.get('user-agent').substring(0, 255) : null,
+        now: new Date()
+      }
+    );
+  } catch (error) {
+    logger.error('Audit log write failed', { error });
+    return null;
+  }
+};
+
+module.exports = {
+  diffFields,
+  recordAudit
+};
@@ -0,0 +1,126 @@
+// Archiving cars instead of deleting them
+// An archived car drops out of the public listings but keeps its inquiries, bookings and
+// history - it is only deleted for good by purgeArchivedCars once the retention period is over
+
+const { transaction, listParams } = require('../config/database');
+const { notifyFavoriteChange } = require('./favorite');
+const { getCarImageKeys } = require('./carImage');
+const { publishCarAvailabilityChange } = require('../events/bus');
+const { invalidateCars } = require('./carCache');
+
+// How long an archived car is kept before a purge may delete it
+const ARCHIVE_RETENTION_DAYS = parseInt(process.env.CAR_ARCHIVE_RETENTION_DAYS, 10) || 365;
+
+const ARCHIVED_TEST_DRIVE_REASON = 'This car is no longer listed';
+
+// Archive a car - returns { before, after } or { error, status }
+const archiveCar = (carId, userId) => transaction(async (tx) => {
+  const now = new Date();
+
+  const cars = await tx.query('SELECT * FROM cars WHERE id = @carId', { carId });
+  if (cars.length === 0) {
+    return { status: 404, error: 'Car not found' };
+  }
+  if (cars[0].archived_at) {
+    return { status: 409, error: 'Car is already archived' };
+  }
+
+  const activeHolds = await tx.query(
+    "SELECT id FROM reservations WHERE car_id = @carId AND status = 'active'",
+    { carId }
+  );
+  if (activeHolds.length > 0) {
+    return { status: 409, error: 'Car is on hold - convert or cancel that reservation first' };
+  }
+
+  await tx.query('UPDATE cars SET archived_at = @now, updated_at = @now WHERE id = @carId', { carId, now });
+  invalidateCars(tx);
+
+  // Upcoming test drives can't take place any more, past ones stay as they were
+  await tx.query(
+    `UPDATE test_drives SET status = 'cancelled', cancel_reason = @reason, cancelled_by = @userId, updated_at = @now
+     WHERE car_id = @carId AND status IN ('pending', 'confirmed') AND starts_at > @now`,
+    { carId, reason: ARCHIVED_TEST_DRIVE_REASON, userId, now }
+  );
+
+  // For customers an archived car is simply no longer available
+  if (cars[0].is_available) {
+    await notifyFavoriteChange({ carId, changes: { is_available: { from: true, to: false } } }, tx);
+    publishCarAvailabilityChange({ carId, from: true, to: false }, tx);
+  }
+
+  const archived = await tx.query('SELECT * FROM cars WHERE id = @carId', { carId });
+  return { before: cars[0], after: archived[0] };
+});
+
+// Put an archived car back into the listings - returns { before, after } or { error, status }
+const restoreCar = (carId) => transaction(async (tx) => {
+  const now = new Date();
+
+  const cars = await tx.query('SELECT * FROM cars WHERE id = @carId', { carId });
+  if (cars.length === 0) {
+    return { status: 404, error: 'Car not found' };
+  }
+  if (!cars[0].archived_at) {
+    return { status: 409, error: 'Car is not archived' };
+  }
+
+  await tx.query('UPDATE cars SET archived_at = NULL, updated_at = @now WHERE id = @carId', { carId, now });
+  invalidateCars(tx);
+
+  if (cars[0].is_available) {
+    await notifyFavoriteChange({ carId, changes: { is_available: { from: false, to: true } } }, tx);
+    publishCarAvailabilityChange({ carId, from: false, to: true }, tx);
+  }
+
+  const restored = await tx.query('SELECT * FROM cars WHERE id = @carId', { carId });
+  return { before: cars[0], after: restored[0] };
+});
+
+// Delete cars archived before the retention cutoff, together with everything that hangs off them
+// Sold cars are kept because the sale is a business record
+// Returns { cutoff, purged: [car rows], kept: [{ id, reason }], imageKeys } - imageKeys are the files to remove
+const purgeArchivedCars = ({ retentionDays = ARCHIVE_RETENTION_DAYS, dryRun = false } = {}) => transaction(async (tx) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+  const candidates = await tx.query(
+    'SELECT * FROM cars WHERE archived_at IS NOT NULL AND archived_at < @cutoff ORDER BY archived_at, id',
+    { cutoff }
+  );
+
+  if (candidates.length === 0) {
+    return { cutoff, purged: [], kept: [], imageKeys: [] };
+  }
+
+  const candidateIds = listParams('carId', candidates.map(car => car.id));
+  const sold = await tx.query(
+    `SELECT DISTINCT car_id FROM sales WHERE car_id IN (${candidateIds.placeholders})`,
+    candidateIds.params
+  );
+  const soldIds = new Set(sold.map(sale => sale.car_id));
+
+  const purged = candidates.filter(car => !soldIds.has(car.id));
+  const kept = candidates
+    .filter(car => soldIds.has(car.id))
+    .map(car => ({ id: car.id, reason: 'Car has a recorded sale' }));
+
+  if (dryRun || purged.length === 0) {
+    return { cutoff, purged, kept, imageKeys: [] };
+  }
+
+  const purgedIds = listParams('carId', purged.map(car => car.id));
+  const imageKeys = await getCarImageKeys(purged.map(car => car.id), tx);
+
+  // Inquiries, bookings, photos, price history and favorites go with the car (ON DELETE CASCADE)
+  await tx.query(`DELETE FROM cars WHERE id IN (${purgedIds.placeholders})`, purgedIds.params);
+  invalidateCars(tx);
+
+  return { cutoff, purged, kept, imageKeys };
+});
+
+module.exports = {
+  ARCHIVE_RETENTION_DAYS,
+  archiveCar,
+  restoreCar,
+  purgeArchivedCars
+};
@@ -0,0 +1,33 @@
+// Cached car listings and details - any change to a car or its photos drops them all,
+// inventory changes a few times a day so that is cheap and can't leave a stale page behind
+
+const crypto = require('crypto');
+const { remember, lastChangedAt, invalidate } = require('../config/cache');
+
+const CARS_NAMESPACE = 'cars';
+
+// Short stable hash of anything JSON, used for ETags
+const hashOf = (value) => crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url').slice(0, 27);
+
+// Last-Modified of a payload: the latest updated_at of its cars, or the last change to any car if that
+// is later - archiving a car or removing a photo changes a listing without a newer updated_at in it
+const lastModifiedOf = async (cars) => cars.reduce((latest, car) => {
+  const updatedAt = new Date(car.updated_at);
+  return updatedAt > latest ? updatedAt : latest;
+}, await lastChangedAt(CARS_NAMESPACE));
+
+// Cached { body, hash, lastModified } for the key, load returns the body and the cars it is about
+const rememberCars = (key, load) => remember(CARS_NAMESPACE, key, async () => {
+  const { body, cars } = await load();
+  const lastModified = await lastModifiedOf(cars);
+  return { body, hash: hashOf(body), lastModified: lastModified.toISOString() };
+});
+
+// Call after writing to cars or car_images - pass the transaction scope when inside one
+const invalidateCars = (db) => invalidate(CARS_NAMESPACE, db);
+
+module.exports = {
+  hashOf,
+  rememberCars,
+  invalidateCars
+};
@@ -0,0 +1,101 @@
+// Side-by-side comparison of a few cars - aligned specs, which ones differ and derived value metrics
+// Every requested id gets an entry in the requested order, missing ones are reported instead of failing
+
+const { query, listParams } = require('../config/database');
+
+const MAX_COMPARE_CARS = 4;
+
+// Spec rows of the comparison table, in display order
+const SPEC_FIELDS = ['make', 'model', 'year', 'price', 'mileage', 'color', 'fuel_type', 'transmission', 'is_available'];
+
+// Derived rows, worked out per car by carMetrics
+const METRIC_FIELDS = ['age_years', 'price_per_year_of_age', 'mileage_per_year', 'price_difference', 'price_difference_percent'];
+
+const roundTo = (value, decimals) => Number(value.toFixed(decimals));
+
+// A car from this year counts as one year old, so the per-year figures stay finite
+const carMetrics = (car, cheapestPrice, currentYear) => {
+  const age = Math.max(currentYear - car.year, 0);
+  const perYear = Math.max(age, 1);
+  const difference = Number(car.price) - cheapestPrice;
+
+  return {
+    age_years: age,
+    price_per_year_of_age: roundTo(Number(car.price) / perYear, 2),
+    mileage_per_year: Math.round(car.mileage / perYear),
+    price_difference: roundTo(difference, 2),
+    price_difference_percent: cheapestPrice > 0 ? roundTo(difference / cheapestPrice * 100, 1) : null
+  };
+};
+
+// available, reserved (active hold), sold or unavailable (taken off the market by staff)
+const carStatuses = async (carIds) => {
+  const { placeholders, params } = listParams('carId', carIds);
+
+  const sold = await query(`SELECT car_id FROM sales WHERE car_id IN (${placeholders})`, params);
+  const held = await query(
+    `SELECT car_id FROM reservations WHERE status = 'active' AND car_id IN (${placeholders})`,
+    params
+  );
+
+  const soldIds = new Set(sold.map(row => row.car_id));
+  const heldIds = new Set(held.map(row => row.car_id));
+
+  return (car) => {
+    if (soldIds.has(car.id)) return 'sold';
+    if (heldIds.has(car.id)) return 'reserved';
+    return car.is_available ? 'available' : 'unavailable';
+  };
+};
+
+// Compare the cars with these ids (already de-duplicated)
+// Archived cars are reported as not found unless includeArchived is set
+const compareCars = async (ids, { includeArchived = false } = {}) => {
+  const { placeholders, params } = listParams('id', ids);
+  const rows = await query(`SELECT * FROM cars WHERE id IN (${placeholders})`, params);
+
+  const found = rows.filter(car => includeArchived || !car.archived_at);
+  const byId = new Map(found.map(car => [car.id, car]));
+  const statusOf = found.length > 0 ? await carStatuses(found.map(car => car.id)) : null;
+
+  const cheapest = found.reduce((lowest, car) => (!lowest || Number(car.price) < Number(lowest.price) ? car : lowest), null);
+  const currentYear = new Date().getFullYear();
+
+  const items = ids.map(id => {
+    const car = byId.get(id);
+    if (!car) {
+      return { id, status: 'not_found', car: null, metrics: null };
+    }
+    return {
+      id,
+      status: statusOf(car),
+      car,
+      metrics: carMetrics(car, Number(cheapest.price), currentYear)
+    };
+  });
+
+  // One row per attribute with a value per requested car (null where the car is missing)
+  // differs compares the cars that were found, so a missing one doesn't make every row differ
+  const row = (attribute, valueOf, derived) => {
+    const values = items.map(item => (item.car ? valueOf(item) : null));
+    const present = items.filter(item => item.car).map(valueOf).map(value => JSON.stringify(value));
+    return { attribute, derived, values, differs: new Set(present).size > 1 };
+  };
+
+  const specs = [
+    ...SPEC_FIELDS.map(field => row(field, item => (field === 'is_available' ? Boolean(item.car[field]) : item.car[field]), false)),
+    ...METRIC_FIELDS.map(field => row(field, item => item.metrics[field], true))
+  ];
+
+  return {
+    items,
+    specs,
+    cheapest_car_id: cheapest ? cheapest.id : null,
+    differing_attributes: specs.filter(spec => spec.differs).map(spec => spec.attribute)
+  };
+};
+
+module.exports = {
+  MAX_COMPARE_CARS,
+  compareCars
+};
@@ -0,0 +1,283 @@
+// Bulk inventory import and export as CSV
+// Import rows go through the same express-validator rules as POST /api/cars and are
+// matched to existing cars by stock number (rows without one always create a car)
+
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const { transaction } = require('../config/database');
+const { recordPriceChange } = require('./priceHistory');
+const { notifyFavoriteChange } = require('./favorite');
+const { publishCarCreated, publishCarAvailabilityChange } = require('../events/bus');
+const { normalizeVin } = require('../vin/decoder');
+const { invalidateCars } = require('./carCache');
+
+// Columns an import may set, in export order
+const CAR_COLUMNS = [
+  'stock_number',
+  'vin',
+  'make',
+  'model',
+  'year',
+  'price',
+  'mileage',
+  'color',
+  'fuel_type',
+  'transmission',
+  'description',
+  'image_url',
+  'is_available'
+];
+
+// Exported for reference, ignored on import so an export can be re-imported as is
+const READ_ONLY_COLUMNS = ['id', 'created_at', 'updated_at'];
+
+const EXPORT_COLUMNS = ['id', ...CAR_COLUMNS, 'created_at', 'updated_at'];
+
+const MAX_IMPORT_ROWS = 5000;
+
+class InvalidCsvError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidCsvError';
+  }
+}
+
+// "yes", "1", "true" => 1, "no", "0", "false" => 0, anything else => null
+const parseAvailability = (value) => {
+  const normalized = String(value).trim().toLowerCase();
+  if (['1', 'true', 'yes', 'y'].includes(normalized)) return 1;
+  if (['0', 'false', 'no', 'n'].includes(normalized)) return 0;
+  return null;
+};
+
+// Parse the uploaded file into { columns, rows }, rows keyed by column with empty cells dropped
+const parseCarCsv = (buffer) => {
+  let records;
+  try {
+    records = parse(buffer, {
+      bom: true,
+      columns: header => header.map(column => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true
+    });
+  } catch (error) {
+    throw new InvalidCsvError(`Could not read CSV: ${error.message}`);
+  }
+
+  if (records.length === 0) {
+    throw new InvalidCsvError('CSV has no data rows');
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new InvalidCsvError(`CSV has ${records.length} rows, the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  const columns = Object.keys(records[0]);
+  const unknownColumns = columns.filter(column => !CAR_COLUMNS.includes(column) && !READ_ONLY_COLUMNS.includes(column));
+  if (unknownColumns.length > 0) {
+    throw new InvalidCsvError(`Unknown column(s): ${unknownColumns.join(', ')}`);
+  }
+
+  const rows = records.map(record => CAR_COLUMNS.reduce((row, column) => {
+    if (record[column] !== undefined && record[column] !== '') {
+      row[column] = record[column];
+    }
+    return row;
+  }, {}));
+
+  return { columns, rows };
+};
+
+// Run the car validation rules on one row, returns [{ field, message }]
+const validateRow = async (row, rules) => {
+  const fakeRequest = { body: { ...row } };
+  for (const rule of rules) {
+    await rule.run(fakeRequest);
+  }
+
+  const errors = validationResult(fakeRequest).array().map(error => ({ field: error.path, message: error.msg }));
+
+  if (row.is_available !== undefined && parseAvailability(row.is_available) === null) {
+    errors.push({ field: 'is_available', message: 'is_available must be yes/no, true/false or 1/0' });
+  }
+
+  return errors;
+};
+
+// Validated row => column values, with the POST /api/cars defaults for new cars
+const toCarValues = (row, existing = null) => {
+  const defaults = existing || {
+    mileage: 0,
+    fuel_type: 'gasoline',
+    transmission: 'manual',
+    is_available: 1
+  };
+
+  const values = CAR_COLUMNS.reduce((result, column) => {
+    result[column] = row[column] !== undefined ? row[column] : (defaults[column] === undefined ? null : defaults[column]);
+    return result;
+  }, {});
+
+  values.vin = values.vin ? normalizeVin(values.vin) : null;
+  values.year = parseInt(values.year);
+  values.price = parseFloat(values.price);
+  values.mileage = parseInt(values.mileage);
+  values.is_available = row.is_available !== undefined ? parseAvailability(row.is_available) : (values.is_available ? 1 : 0);
+
+  return values;
+};
+
+// Validate and (unless dryRun) upsert every row in one transaction - nothing is written if any row fails
+// Returns { summary, errors, createdIds, updatedIds }, row numbers count the header as line 1
+const importCars = async (rows, rules, { dryRun, userId }) => {
+  const errors = [];
+  const seenStockNumbers = new Map();
+  const seenVins = new Map();
+
+  for (const [index, row] of rows.entries()) {
+    const line = index + 2;
+    const rowErrors = await validateRow(row, rules);
+
+    if (row.stock_number) {
+      if (seenStockNumbers.has(row.stock_number)) {
+        rowErrors.push({ field: 'stock_number', message: `Duplicate stock number, already used on line ${seenStockNumbers.get(row.stock_number)}` });
+      } else {
+        seenStockNumbers.set(row.stock_number, line);
+      }
+    }
+
+    // Compare VINs the way they will be stored
+    const vin = row.vin ? normalizeVin(row.vin) : null;
+    if (vin) {
+      if (seenVins.has(vin)) {
+        rowErrors.push({ field: 'vin', message: `Duplicate VIN, already used on line ${seenVins.get(vin)}` });
+      } else {
+        seenVins.set(vin, line);
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push({ line, stock_number: row.stock_number || null, errors: rowErrors });
+    }
+  }
+
+  return transaction(async (tx) => {
+    const now = new Date();
+    const createdIds = [];
+    const updatedIds = [];
+    const plan = [];
+
+    // Match stock numbers to existing cars and apply the availability lock of held or sold cars
+    for (const [index, row] of rows.entries()) {
+      const line = index + 2;
+      if (errors.some(error => error.line === line)) continue;
+
+      const existing = row.stock_number
+        ? (await tx.query('SELECT * FROM cars WHERE stock_number = @stockNumber', { stockNumber: row.stock_number }))[0]
+        : null;
+      const values = toCarValues(row, existing);
+
+      if (values.vin) {
+        const vinOwners = await tx.query('SELECT id FROM cars WHERE vin = @vin', { vin: values.vin });
+        if (vinOwners.some(owner => !existing || owner.id !== existing.id)) {
+          errors.push({
+            line,
+            stock_number: row.stock_number || null,
+            errors: [{ field: 'vin', message: `A car with VIN ${values.vin} is already listed` }]
+          });
+          continue;
+        }
+      }
+
+      if (existing && values.is_available && !existing.is_available) {
+        const locks = await tx.query(`
+          SELECT
+            (SELECT COUNT(*) FROM reservations WHERE car_id = @id AND status = 'active') AS active_holds,
+            (SELECT COUNT(*) FROM sales WHERE car_id = @id) AS sales
+        `, { id: existing.id });
+
+        if (locks[0].active_holds > 0 || locks[0].sales > 0) {
+          errors.push({
+            line,
+            stock_number: row.stock_number,
+            errors: [{ field: 'is_available', message: 'Car is on hold or sold and cannot be made available' }]
+          });
+          continue;
+        }
+      }
+
+      plan.push({ existing, values });
+    }
+
+    const summary = {
+      rows: rows.length,
+      created: plan.filter(item => !item.existing).length,
+      updated: plan.filter(item => item.existing).length,
+      failed: errors.length,
+      dry_run: Boolean(dryRun)
+    };
+
+    errors.sort((a, b) => a.line - b.line);
+
+    if (dryRun || errors.length > 0) {
+      return { summary, errors, createdIds, updatedIds };
+    }
+
+    invalidateCars(tx);
+
+    for (const { existing, values } of plan) {
+      if (existing) {
+        await tx.query(
+          `UPDATE cars SET
+           vin = @vin, make = @make, model = @model, year = @year, price = @price, mileage = @mileage,
+           color = @color, fuel_type = @fuel_type, transmission = @transmission,
+           description = @description, image_url = @image_url, is_available = @is_available,
+           updated_at = @now
+           WHERE id = @id`,
+          { ...values, id: existing.id, now }
+        );
+
+        const alertedUserIds = await recordPriceChange({
+          car: { ...existing, ...values },
+          oldPrice: existing.price,
+          newPrice: values.price,
+          changedBy: userId
+        }, tx);
+
+        await notifyFavoriteChange({
+          carId: existing.id,
+          changes: {
+            price: { from: existing.price, to: values.price },
+            is_available: { from: Boolean(existing.is_available), to: Boolean(values.is_available) }
+          },
+          priceNotifiedUserIds: alertedUserIds
+        }, tx);
+
+        publishCarAvailabilityChange({ carId: existing.id, from: existing.is_available, to: values.is_available }, tx);
+
+        updatedIds.push(existing.id);
+      } else {
+        const carId = await tx.insert(
+          `INSERT INTO cars (stock_number, vin, make, model, year, price, mileage, color, fuel_type, transmission,
+                             description, image_url, is_available, created_at, updated_at)
+           VALUES (@stock_number, @vin, @make, @model, @year, @price, @mileage, @color, @fuel_type, @transmission,
+                   @description, @image_url, @is_available, @now, @now)`,
+          { ...values, now }
+        );
+
+        await recordPriceChange({ car: { id: carId, ...values }, oldPrice: null, newPrice: values.price, changedBy: userId }, tx);
+        publishCarCreated({ id: carId, ...values }, tx);
+
+        createdIds.push(carId);
+      }
+    }
+
+    return { summary, errors, createdIds, updatedIds };
+  });
+};
+
+module.exports = {
+  EXPORT_COLUMNS,
+  InvalidCsvError,
+  parseCarCsv,
+  importCars
+};
@@ -0,0 +1,100 @@
+// Facet counts for the car listing filter panel
+// Every facet is computed under all active filters except its own, so picking
+// "diesel" still shows how many hybrids there are to add to the selection
+
+const { query } = require('../config/database');
+const { buildWhereClause } = require('./carFilters');
+
+const DEFAULT_MILEAGE_BUCKET = 25000;
+
+// Count of cars per distinct value of a column
+const countByValue = async (conditions, filterKey, column) => {
+  const { whereConditions, queryParams } = buildWhereClause(conditions, filterKey);
+
+  const rows = await query(`
+    SELECT ${column} AS value, COUNT(*) AS count
+    FROM cars
+    ${whereConditions} AND ${column} IS NOT NULL
+    GROUP BY ${column}
+    ORDER BY count DESC, ${column} ASC
+  `, queryParams);
+
+  return rows.map(row => ({ value: row.value, count: row.count }));
+};
+
+const yearHistogram = async (conditions) => {
+  const { whereConditions, queryParams } = buildWhereClause(conditions, 'year');
+
+  const rows = await query(`
+    SELECT year, COUNT(*) AS count
+    FROM cars
+    ${whereConditions}
+    GROUP BY year
+    ORDER BY year ASC
+  `, queryParams);
+
+  return rows.map(row => ({ year: row.year, count: row.count }));
+};
+
+// Mileage grouped into fixed-size buckets, e.g. 0-24999, 25000-49999
+const mileageHistogram = async (conditions, bucketSize) => {
+  const { whereConditions, queryParams } = buildWhereClause(conditions, 'mileage');
+
+  // Integer division works the same on SQL Server and SQLite
+  const rows = await query(`
+    SELECT bucket, COUNT(*) AS count
+    FROM (
+      SELECT (mileage / @bucketSize) * @bucketSize AS bucket
+      FROM cars
+      ${whereConditions}
+    ) buckets
+    GROUP BY bucket
+    ORDER BY bucket ASC
+  `, { ...queryParams, bucketSize });
+
+  return rows.map(row => ({
+    from: row.bucket,
+    to: row.bucket + bucketSize - 1,
+    count: row.count
+  }));
+};
+
+const priceRange = async (conditions) => {
+  const { whereConditions, queryParams } = buildWhereClause(conditions, 'price');
+
+  const rows = await query(`
+    SELECT MIN(price) AS min, MAX(price) AS max
+    FROM cars
+    ${whereConditions}
+  `, queryParams);
+
+  return { min: rows[0].min, max: rows[0].max };
+};
+
+// All facets for the current filters
+const getCarFacets = async (conditions, { mileageBucketSize = DEFAULT_MILEAGE_BUCKET } = {}) => {
+  const [make, fuelType, transmission, color, year, mileage, price] = await Promise.all([
+    countByValue(conditions, 'make', 'make'),
+    countByValue(conditions, 'fuelType', 'fuel_type'),
+    countByValue(conditions, 'transmission', 'transmission'),
+    countByValue(conditions, 'color', 'color'),
+    yearHistogram(conditions),
+    mileageHistogram(conditions, mileageBucketSize),
+    priceRange(conditions)
+  ]);
+
+  return {
+    make,
+    fuel_type: fuelType,
+    transmission,
+    color,
+    year,
+    mileage,
+    price
+  };
+};
+
+module.exports = {
+  DEFAULT_MILEAGE_BUCKET,
+  getCarFacets
+};
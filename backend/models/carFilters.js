@@ -0,0 +1,151 @@
+// Turns the GET /api/cars query string into SQL conditions
+// Each filter keeps its own key so facets can leave their own filter out
+
+const { listParams } = require('../config/database');
+
+// Query string keys buildCarFilters understands
+const FILTER_KEYS = [
+  'make',
+  'model',
+  'minPrice',
+  'maxPrice',
+  'minYear',
+  'maxYear',
+  'minMileage',
+  'maxMileage',
+  'fuelType',
+  'transmission',
+  'color',
+  'available'
+];
+
+// Split "diesel,hybrid" (or ?fuelType=diesel&fuelType=hybrid) into clean values
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : [value];
+  return values.flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+};
+
+// Numbers from the query string, invalid values are ignored
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Partial match on any of the values, e.g. make=bmw,audi
+const likeAny = (key, column, values) => {
+  const params = {};
+  const conditions = values.map((value, index) => {
+    params[`${key}${index}`] = `%${value}%`;
+    return `${column} LIKE @${key}${index}`;
+  });
+  return { key, sql: `(${conditions.join(' OR ')})`, params };
+};
+
+// Exact match on any of the values
+const inList = (key, column, values) => {
+  const { placeholders, params } = listParams(key, values);
+  return { key, sql: `${column} IN (${placeholders})`, params };
+};
+
+// Numeric range, either end may be missing
+const range = (key, column, min, max) => {
+  const conditions = [];
+  const params = {};
+
+  if (min !== null) {
+    conditions.push(`${column} >= @${key}Min`);
+    params[`${key}Min`] = min;
+  }
+  if (max !== null) {
+    conditions.push(`${column} <= @${key}Max`);
+    params[`${key}Max`] = max;
+  }
+
+  return conditions.length > 0 ? { key, sql: conditions.join(' AND '), params } : null;
+};
+
+// Build the list of active filters from req.query
+const buildCarFilters = (filters = {}) => {
+  const {
+    make,
+    model,
+    minPrice,
+    maxPrice,
+    minYear,
+    maxYear,
+    minMileage,
+    maxMileage,
+    fuelType,
+    transmission,
+    color,
+    available = 'true',
+    archived = 'false'
+  } = filters;
+
+  const conditions = [];
+
+  if (available === 'true' || available === true) {
+    conditions.push({ key: 'available', sql: 'is_available = 1', params: {} });
+  }
+
+  // Archived cars are left out unless asked for: 'true' = only archived, 'all' = both
+  if (archived === 'true' || archived === true) {
+    conditions.push({ key: 'archived', sql: 'archived_at IS NOT NULL', params: {} });
+  } else if (archived !== 'all') {
+    conditions.push({ key: 'archived', sql: 'archived_at IS NULL', params: {} });
+  }
+
+  const makes = toList(make);
+  if (makes.length > 0) conditions.push(likeAny('make', 'make', makes));
+
+  const models = toList(model);
+  if (models.length > 0) conditions.push(likeAny('model', 'model', models));
+
+  const fuelTypes = toList(fuelType);
+  if (fuelTypes.length > 0) conditions.push(inList('fuelType', 'fuel_type', fuelTypes));
+
+  const transmissions = toList(transmission);
+  if (transmissions.length > 0) conditions.push(inList('transmission', 'transmission', transmissions));
+
+  // Colors are free text, so compare them case-insensitively
+  const colors = toList(color).map(value => value.toLowerCase());
+  if (colors.length > 0) conditions.push(inList('color', 'LOWER(color)', colors));
+
+  conditions.push(range('price', 'price', toNumber(minPrice), toNumber(maxPrice)));
+  conditions.push(range('year', 'year', toNumber(minYear), toNumber(maxYear)));
+  conditions.push(range('mileage', 'mileage', toNumber(minMileage), toNumber(maxMileage)));
+
+  return conditions.filter(Boolean);
+};
+
+// Only the filter keys of a query string / request body, empty values dropped (used for saved searches)
+const pickFilters = (source = {}) => FILTER_KEYS.reduce((filters, key) => {
+  const value = source[key];
+  if (value === undefined || value === null || value === '') return filters;
+  filters[key] = Array.isArray(value) ? value.map(String) : String(value);
+  return filters;
+}, {});
+
+// Combine filters into a WHERE clause, optionally leaving one filter out
+const buildWhereClause = (conditions, excludeKey = null) => {
+  let whereConditions = 'WHERE 1=1'; // Always true condition to start
+  const queryParams = {};
+
+  conditions
+    .filter(condition => condition.key !== excludeKey)
+    .forEach(condition => {
+      whereConditions += ` AND ${condition.sql}`;
+      Object.assign(queryParams, condition.params);
+    });
+
+  return { whereConditions, queryParams };
+};
+
+module.exports = {
+  FILTER_KEYS,
+  pickFilters,
+  buildCarFilters,
+  buildWhereClause
+};
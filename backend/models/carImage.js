@@ -0,0 +1,65 @@
+// Queries and response formatting for car photo galleries
+
+const { query, listParams } = require('../config/database');
+const { getUrl } = require('../config/storage');
+
+// Turn a car_images row into the shape the API returns
+const formatImage = (row) => ({
+  id: row.id,
+  position: row.position,
+  is_primary: Boolean(row.is_primary),
+  url: getUrl(row.large_key),
+  thumbnail_url: getUrl(row.thumbnail_key),
+  original_url: getUrl(row.original_key),
+  width: row.width,
+  height: row.height,
+  mime_type: row.mime_type,
+  size_bytes: row.size_bytes,
+  created_at: row.created_at
+});
+
+// Full gallery for one car, in display order
+const getCarImages = async (carId) => {
+  const images = await query(
+    'SELECT * FROM car_images WHERE car_id = @carId ORDER BY position ASC, id ASC',
+    { carId }
+  );
+  return images.map(formatImage);
+};
+
+// Primary image for each of the given cars, as { [carId]: image }
+const getPrimaryImages = async (carIds) => {
+  if (carIds.length === 0) return {};
+
+  const { placeholders, params } = listParams('carId', carIds);
+
+  const images = await query(
+    `SELECT * FROM car_images WHERE is_primary = 1 AND car_id IN (${placeholders})`,
+    params
+  );
+
+  return images.reduce((byCar, image) => {
+    byCar[image.car_id] = formatImage(image);
+    return byCar;
+  }, {});
+};
+
+// Every stored file of the given cars, used to clean up after the cars are deleted
+const getCarImageKeys = async (carIds, db = { query }) => {
+  if (carIds.length === 0) return [];
+
+  const { placeholders, params } = listParams('carId', carIds);
+
+  const images = await db.query(
+    `SELECT original_key, large_key, thumbnail_key FROM car_images WHERE car_id IN (${placeholders})`,
+    params
+  );
+  return images.flatMap(image => [image.original_key, image.large_key, image.thumbnail_key]);
+};
+
+module.exports = {
+  formatImage,
+  getCarImages,
+  getPrimaryImages,
+  getCarImageKeys
+};
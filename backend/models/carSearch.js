@@ -0,0 +1,152 @@
+// Free-text inventory search ranked by relevance
+// Runs on plain SELECTs and scores in JS, so it needs no SQL Server full-text services
+
+// How much a match in each field is worth
+const FIELD_WEIGHTS = {
+  make: 10,
+  model: 8,
+  year: 6,
+  fuel_type: 5,
+  transmission: 5,
+  color: 5,
+  description: 1
+};
+
+// Multipliers for how well a query token matched a word in the field
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.8,
+  fuzzy: 0.6
+};
+
+// Words people use that mean one of our stored values
+const SYNONYMS = {
+  auto: 'automatic',
+  petrol: 'gasoline',
+  gas: 'gasoline',
+  ev: 'electric',
+  stick: 'manual',
+  grey: 'gray',
+  merc: 'mercedes',
+  chevy: 'chevrolet',
+  vw: 'volkswagen'
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'with', 'for', 'in', 'of', 'or', 'car', 'cars']);
+
+// Lowercase words and numbers, punctuation is a separator ("Mercedes-Benz" => mercedes, benz)
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+// Query tokens without filler words, with synonyms mapped to stored values
+const tokenizeQuery = (text) => [...new Set(
+  tokenize(text)
+    .filter(token => !STOP_WORDS.has(token))
+    .map(token => SYNONYMS[token] || token)
+)];
+
+// Optimal string alignment distance (Levenshtein plus swapped neighbours), stops early past maxDistance
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (previousPrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, previousPrevious[j - 2] + 1);
+      }
+
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+
+    if (rowMinimum > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Longer words may have more typos, short words and numbers must match exactly
+const allowedTypos = (token) => {
+  if (/^\d+$/.test(token) || token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+};
+
+// How well a query token matches one word, 0 when it doesn't
+const matchWord = (token, word) => {
+  if (token === word) return MATCH_QUALITY.exact;
+  if (token.length >= 3 && !/^\d+$/.test(token) && word.startsWith(token)) return MATCH_QUALITY.prefix;
+
+  const typos = allowedTypos(token);
+  if (typos > 0 && editDistance(token, word, typos) <= typos) return MATCH_QUALITY.fuzzy;
+
+  return 0;
+};
+
+// Words of every searchable field of a car
+const indexCar = (car) => Object.keys(FIELD_WEIGHTS).reduce((fields, field) => {
+  fields[field] = [...new Set(tokenize(car[field]))];
+  return fields;
+}, {});
+
+// Best score for one token across all fields of a car
+const scoreToken = (token, fields) => {
+  let best = 0;
+
+  Object.entries(fields).forEach(([field, words]) => {
+    words.forEach(word => {
+      const score = matchWord(token, word) * FIELD_WEIGHTS[field];
+      if (score > best) best = score;
+    });
+  });
+
+  return best;
+};
+
+// Score and sort cars for a free-text query, cars that match nothing are dropped
+const rankCars = (cars, searchText) => {
+  const tokens = tokenizeQuery(searchText);
+  if (tokens.length === 0) return [];
+
+  return cars
+    .map(car => {
+      const fields = indexCar(car);
+      const matchedTerms = [];
+      let score = 0;
+
+      tokens.forEach(token => {
+        const tokenScore = scoreToken(token, fields);
+        if (tokenScore > 0) {
+          matchedTerms.push(token);
+          score += tokenScore;
+        }
+      });
+
+      // Scale by the share of terms matched, so cars matching every term rank higher
+      const coverage = matchedTerms.length / tokens.length;
+      return {
+        car,
+        relevance: Math.round(score * coverage * 100) / 100,
+        matched_terms: matchedTerms
+      };
+    })
+    .filter(result => result.matched_terms.length > 0)
+    .sort((a, b) => b.relevance - a.relevance || new Date(b.car.created_at) - new Date(a.car.created_at));
+};
+
+module.exports = {
+  tokenizeQuery,
+  rankCars
+};
@@ -0,0 +1,71 @@
+// Starred cars of customers, and the notifications they get when one changes
+
+const { query, insert, listParams } = require('../config/database');
+const { createNotification } = require('./notification');
+const { formatPrice } = require('./priceHistory');
+
+// Which of the given cars the user has starred, as a Set of car ids
+const getFavoriteIds = async (userId, carIds) => {
+  if (!userId || carIds.length === 0) return new Set();
+
+  const { placeholders, params } = listParams('carId', carIds);
+  const rows = await query(
+    `SELECT car_id FROM favorites WHERE user_id = @userId AND car_id IN (${placeholders})`,
+    { ...params, userId }
+  );
+  return new Set(rows.map(row => row.car_id));
+};
+
+// Add is_favorite to each car for the logged-in user (always false for guests)
+const flagFavorites = async (user, cars) => {
+  const favoriteIds = await getFavoriteIds(user && user.id, cars.map(car => car.id));
+  return cars.map(car => ({ ...car, is_favorite: favoriteIds.has(car.id) }));
+};
+
+// Sentences describing what changed, e.g. price { from, to } and is_available { from, to }
+const describeChanges = ({ price, is_available: isAvailable }) => {
+  const sentences = [];
+
+  if (price && Number(price.from) !== Number(price.to)) {
+    sentences.push(`Price changed from ${formatPrice(price.from)} to ${formatPrice(price.to)}.`);
+  }
+  if (isAvailable && Boolean(isAvailable.from) !== Boolean(isAvailable.to)) {
+    sentences.push(isAvailable.to ? 'It is available again.' : 'It is no longer available.');
+  }
+
+  return sentences;
+};
+
+// Notify everyone who starred the car about a price or availability change
+// priceNotifiedUserIds already heard about the price (e.g. through a price-drop alert)
+const notifyFavoriteChange = async ({ carId, changes, priceNotifiedUserIds = [] }, db = { query, insert }) => {
+  if (describeChanges(changes).length === 0) return 0;
+
+  const cars = await db.query('SELECT id, make, model, year FROM cars WHERE id = @carId', { carId });
+  const favorites = await db.query('SELECT user_id FROM favorites WHERE car_id = @carId', { carId });
+  const car = cars[0];
+  let notified = 0;
+
+  for (const favorite of favorites) {
+    const userChanges = priceNotifiedUserIds.includes(favorite.user_id) ? { ...changes, price: null } : changes;
+    const sentences = describeChanges(userChanges);
+    if (sentences.length === 0) continue;
+
+    await createNotification({
+      userId: favorite.user_id,
+      type: 'favorite_update',
+      title: `Update on your favorite: ${car.year} ${car.make} ${car.model}`,
+      body: sentences.join(' '),
+      data: { car_id: car.id, changes: userChanges }
+    }, db);
+    notified += 1;
+  }
+
+  return notified;
+};
+
+module.exports = {
+  getFavoriteIds,
+  flagFavorites,
+  notifyFavoriteChange
+};
@@ -0,0 +1,121 @@
+// Financing quotes - monthly payment and amortization schedule of a car loan
+// Amounts are worked out in cents so the schedule adds up exactly to what is financed
+
+const { query } = require('../config/database');
+const { getSetting, saveSetting } = require('./settings');
+
+const FINANCE_SETTING = 'finance_terms';
+
+// Used until an admin saves their own, a quote without an APR gets the rate of its credit tier
+const DEFAULT_FINANCE_TERMS = {
+  terms: [24, 36, 48, 60, 72],
+  apr_tiers: [
+    { name: 'excellent', apr: 5.9 },
+    { name: 'good', apr: 7.9 },
+    { name: 'fair', apr: 11.9 },
+    { name: 'poor', apr: 17.9 }
+  ],
+  default_tier: 'good'
+};
+
+const MAX_APR = 40;
+
+const getFinanceTerms = () => getSetting(FINANCE_SETTING, DEFAULT_FINANCE_TERMS);
+
+const saveFinanceTerms = (terms, userId) => saveSetting(FINANCE_SETTING, terms, userId);
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+// Loan figures and the month by month schedule - returns the quote or { error }
+// The last payment absorbs the rounding, so it can differ slightly from the others
+const calculateQuote = ({ price, downPayment = 0, tradeInCredit = 0, termMonths, apr }) => {
+  const principal = toCents(price) - toCents(downPayment) - toCents(tradeInCredit);
+
+  if (principal <= 0) {
+    return { error: 'The down payment and trade-in credit already cover the price, there is nothing to finance' };
+  }
+
+  const monthlyRate = apr / 100 / 12;
+  const payment = monthlyRate === 0
+    ? Math.ceil(principal / termMonths)
+    : Math.round(principal * monthlyRate / (1 - Math.pow(1 + monthlyRate, -termMonths)));
+
+  const schedule = [];
+  let balance = principal;
+  let totalInterest = 0;
+  let totalPaid = 0;
+
+  for (let month = 1; month <= termMonths && balance > 0; month++) {
+    const interest = Math.round(balance * monthlyRate);
+    const principalPaid = month === termMonths ? balance : Math.min(payment - interest, balance);
+    balance -= principalPaid;
+    totalInterest += interest;
+    totalPaid += principalPaid + interest;
+
+    schedule.push({
+      month,
+      payment: fromCents(principalPaid + interest),
+      principal: fromCents(principalPaid),
+      interest: fromCents(interest),
+      balance: fromCents(balance)
+    });
+  }
+
+  return {
+    price: Number(price),
+    down_payment: Number(downPayment),
+    trade_in_credit: Number(tradeInCredit),
+    amount_financed: fromCents(principal),
+    term_months: termMonths,
+    apr,
+    monthly_payment: fromCents(payment),
+    total_interest: fromCents(totalInterest),
+    total_of_payments: fromCents(totalPaid),
+    total_cost: fromCents(totalPaid + toCents(downPayment) + toCents(tradeInCredit)),
+    schedule
+  };
+};
+
+// API shape of a finance_quotes row - the schedule is worked out again from the saved inputs
+const formatFinanceQuote = (row, { withSchedule = true } = {}) => {
+  const quote = calculateQuote({
+    price: row.price,
+    downPayment: row.down_payment,
+    tradeInCredit: row.trade_in_credit,
+    termMonths: row.term_months,
+    apr: Number(row.apr)
+  });
+
+  const formatted = {
+    id: row.id,
+    car_id: row.car_id,
+    inquiry_id: row.inquiry_id,
+    credit_tier: row.credit_tier,
+    ...quote,
+    created_at: row.created_at
+  };
+  if (!withSchedule) {
+    delete formatted.schedule;
+  }
+  return formatted;
+};
+
+// Quotes attached to an inquiry, oldest first, without their schedules
+const getInquiryQuotes = async (inquiryId) => {
+  const rows = await query(
+    'SELECT * FROM finance_quotes WHERE inquiry_id = @inquiryId ORDER BY created_at, id',
+    { inquiryId }
+  );
+  return rows.map(row => formatFinanceQuote(row, { withSchedule: false }));
+};
+
+module.exports = {
+  DEFAULT_FINANCE_TERMS,
+  MAX_APR,
+  getFinanceTerms,
+  saveFinanceTerms,
+  calculateQuote,
+  formatFinanceQuote,
+  getInquiryQuotes
+};
@@ -0,0 +1,36 @@
+// In-app notification feed, other features drop messages here for a user
+
+const { query, insert } = require('../config/database');
+
+// Add a notification to a user's feed - data is any JSON the client needs to link it up
+const createNotification = ({ userId, type, title, body, data = null }, db = { insert }) => db.insert(
+  `INSERT INTO notifications (user_id, type, title, body, data, created_at)
+   VALUES (@userId, @type, @title, @body, @data, @now)`,
+  { userId, type, title, body, data: data ? JSON.stringify(data) : null, now: new Date() }
+);
+
+// API shape of a notifications row
+const formatNotification = (row) => ({
+  id: row.id,
+  type: row.type,
+  title: row.title,
+  body: row.body,
+  data: row.data ? JSON.parse(row.data) : null,
+  is_read: row.read_at !== null,
+  read_at: row.read_at,
+  created_at: row.created_at
+});
+
+const countUnread = async (userId) => {
+  const rows = await query(
+    'SELECT COUNT(*) AS total FROM notifications WHERE user_id = @userId AND read_at IS NULL',
+    { userId }
+  );
+  return rows[0].total;
+};
+
+module.exports = {
+  createNotification,
+  formatNotification,
+  countUnread
+};
@@ -0,0 +1,71 @@
+// Price changes of cars and the price-drop alerts they trigger
+
+const { query, insert } = require('../config/database');
+const { createNotification } = require('./notification');
+
+// "$23,500"
+const formatPrice = (price) => `$${Number(price).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+// Tell subscribers about a lower price - alerts with a target only fire once the price reaches it
+const notifyPriceDrop = async (db, car, oldPrice, newPrice) => {
+  const alerts = await db.query(
+    `SELECT user_id FROM price_alerts
+     WHERE car_id = @carId AND (target_price IS NULL OR target_price >= @newPrice)`,
+    { carId: car.id, newPrice }
+  );
+
+  for (const alert of alerts) {
+    await createNotification({
+      userId: alert.user_id,
+      type: 'price_drop',
+      title: `Price drop: ${car.year} ${car.make} ${car.model}`,
+      body: `Now ${formatPrice(newPrice)}, reduced by ${formatPrice(oldPrice - newPrice)}.`,
+      data: { car_id: car.id, old_price: oldPrice, new_price: newPrice }
+    }, db);
+  }
+
+  return alerts.map(alert => alert.user_id);
+};
+
+// Record a price change (oldPrice is null for a new listing), drops notify subscribers
+// Pass a transaction so the history row commits together with the car update
+// Returns the ids of the users that got a price-drop alert
+const recordPriceChange = async ({ car, oldPrice, newPrice, changedBy }, db = { query, insert }) => {
+  const from = oldPrice === null || oldPrice === undefined ? null : Number(oldPrice);
+  const to = Number(newPrice);
+
+  if (from === to) return [];
+
+  await db.insert(
+    `INSERT INTO car_price_history (car_id, old_price, new_price, changed_by, changed_at)
+     VALUES (@carId, @oldPrice, @newPrice, @changedBy, @now)`,
+    { carId: car.id, oldPrice: from, newPrice: to, changedBy, now: new Date() }
+  );
+
+  if (from !== null && to < from) {
+    return notifyPriceDrop(db, car, from, to);
+  }
+  return [];
+};
+
+// Full price timeline of a car, oldest first
+const getPriceHistory = async (carId) => {
+  const rows = await query(
+    `SELECT old_price, new_price, changed_at FROM car_price_history
+     WHERE car_id = @carId ORDER BY changed_at ASC, id ASC`,
+    { carId }
+  );
+
+  return rows.map(row => ({
+    old_price: row.old_price,
+    new_price: row.new_price,
+    change: row.old_price === null ? null : Math.round((row.new_price - row.old_price) * 100) / 100,
+    changed_at: row.changed_at
+  }));
+};
+
+module.exports = {
+  formatPrice,
+  recordPriceChange,
+  getPriceHistory
+};
@@ -0,0 +1,87 @@
+// Database-backed refresh token store
+// Only SHA-256 hashes are stored, and every login starts a token family so a
+// replayed (already rotated) token can revoke the whole chain
+
+const crypto = require('crypto');
+const { query, insert, transaction } = require('../config/database');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Save a newly issued refresh token - pass familyId to continue an existing chain
+const saveRefreshToken = async ({ token, userId, familyId, expiresAt, userAgent, ipAddress }, db = { insert }) => {
+  const family = familyId || crypto.randomUUID();
+
+  const id = await db.insert(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at, user_agent, ip_address)
+     VALUES (@userId, @tokenHash, @familyId, @expiresAt, @userAgent, @ipAddress)`,
+    {
+      userId,
+      tokenHash: hashToken(token),
+      familyId: family,
+      expiresAt,
+      userAgent: userAgent ? userAgent.substring(0, 255) : null,
+      ipAddress
+    }
+  );
+
+  return { id, familyId: family };
+};
+
+// Look up the stored row for a raw refresh token
+const findRefreshToken = async (token) => {
+  const tokens = await query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = @tokenHash',
+    { tokenHash: hashToken(token) }
+  );
+  return tokens[0] || null;
+};
+
+// Store the replacement in the same family and mark the current token as rotated
+// Returns false (and stores nothing) when a concurrent request rotated or revoked the token first
+const rotateRefreshToken = (currentToken, nextToken) => transaction(async (tx) => {
+  const claimed = await tx.execute(
+    'UPDATE refresh_tokens SET revoked_at = @now WHERE id = @id AND replaced_by IS NULL AND revoked_at IS NULL',
+    { id: currentToken.id, now: new Date() }
+  );
+  if (claimed === 0) {
+    return false;
+  }
+
+  const replacement = await saveRefreshToken({ ...nextToken, familyId: currentToken.family_id }, tx);
+
+  await tx.query(
+    'UPDATE refresh_tokens SET replaced_by = @replacedBy WHERE id = @id',
+    { id: currentToken.id, replacedBy: replacement.id }
+  );
+  return true;
+});
+
+// Revoke every token in a family (logout or detected reuse)
+const revokeTokenFamily = async (familyId) => {
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = @now WHERE family_id = @familyId AND revoked_at IS NULL',
+    { familyId, now: new Date() }
+  );
+};
+
+// Revoke every active token a user has (e.g. after a password reset)
+const revokeUserRefreshTokens = async (userId) => {
+  await query(
+    'UPDATE refresh_tokens SET revoked_at = @now WHERE user_id = @userId AND revoked_at IS NULL',
+    { userId, now: new Date() }
+  );
+};
+
+// Remove tokens that have expired - revoked ones are kept until then for reuse detection
+const purgeExpiredTokens = async () => {
+  await query('DELETE FROM refresh_tokens WHERE expires_at < @now', { now: new Date() });
+};
+
+module.exports = {
+  saveRefreshToken,
+  findRefreshToken,
+  rotateRefreshToken,
+  revokeTokenFamily,
+  revokeUserRefreshTokens,
+  purgeExpiredTokens
+};
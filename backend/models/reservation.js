@@ -0,0 +1,260 @@
+// Reservation (hold) and sale lifecycle of a car
+// Every transition flips cars.is_available inside the same transaction, so the
+// flag always matches the active hold / recorded sale
+
+const { query, transaction, lockForUpdate } = require('../config/database');
+const { notifyFavoriteChange } = require('./favorite');
+const { publishInquiryStatusChange, publishCarAvailabilityChange } = require('../events/bus');
+const { invalidateCars } = require('./carCache');
+
+// How long a customer hold lasts unless they ask for less
+const DEFAULT_HOLD_HOURS = parseInt(process.env.RESERVATION_HOLD_HOURS, 10) || 48;
+const MAX_HOLD_HOURS = 72;
+
+// Customers can't lock up half the inventory
+const MAX_ACTIVE_HOLDS = 2;
+
+const SOLD_NOTICE = 'This car has been sold, so this inquiry has been closed. Thank you for your interest!';
+
+// One reservation with the car and customer details the UI shows
+const getReservation = async (id, db = { query }) => {
+  const reservations = await db.query(`
+    SELECT
+      r.*,
+      c.make,
+      c.model,
+      c.year,
+      c.price,
+      u.username,
+      u.email
+    FROM reservations r
+    JOIN cars c ON r.car_id = c.id
+    JOIN users u ON r.user_id = u.id
+    WHERE r.id = @id
+  `, { id });
+  return reservations[0] || null;
+};
+
+// One sale with car, buyer and reservation details
+const getSale = async (id, db = { query }) => {
+  const sales = await db.query(`
+    SELECT
+      s.*,
+      c.make,
+      c.model,
+      c.year,
+      c.price AS list_price,
+      u.username AS buyer_username,
+      u.email AS buyer_email
+    FROM sales s
+    JOIN cars c ON s.car_id = c.id
+    JOIN users u ON s.buyer_id = u.id
+    WHERE s.id = @id
+  `, { id });
+  return sales[0] || null;
+};
+
+// Tell customers who starred the car (and staff watching the event stream) that it came on or off the market
+const notifyAvailability = (tx, carId, isAvailable) => {
+  publishCarAvailabilityChange({ carId, from: !isAvailable, to: isAvailable }, tx);
+  return notifyFavoriteChange({
+    carId,
+    changes: { is_available: { from: !isAvailable, to: isAvailable } }
+  }, tx);
+};
+
+// Put a car back on the market, unless it has been sold in the meantime
+const releaseCar = async (tx, carId, now) => {
+  const sales = await tx.query('SELECT id FROM sales WHERE car_id = @carId', { carId });
+  if (sales.length === 0) {
+    await tx.query(
+      'UPDATE cars SET is_available = 1, updated_at = @now WHERE id = @carId',
+      { carId, now }
+    );
+    invalidateCars(tx);
+    await notifyAvailability(tx, carId, true);
+  }
+};
+
+// Close the car's pending inquiries, leaving a notice in each thread
+const closeInquiriesForSoldCar = async (tx, carId, staffUserId, now) => {
+  const inquiries = await tx.query(
+    "SELECT id, user_id, car_id FROM inquiries WHERE car_id = @carId AND status = 'pending'",
+    { carId }
+  );
+
+  for (const inquiry of inquiries) {
+    await tx.insert(
+      `INSERT INTO inquiry_messages (inquiry_id, sender_id, sender_role, body, is_system, created_at)
+       VALUES (@inquiryId, @staffUserId, 'staff', @body, 1, @now)`,
+      { inquiryId: inquiry.id, staffUserId, body: SOLD_NOTICE, now }
+    );
+    await tx.query(
+      "UPDATE inquiries SET status = 'closed', updated_at = @now WHERE id = @inquiryId",
+      { inquiryId: inquiry.id, now }
+    );
+    publishInquiryStatusChange({ inquiry, from: 'pending', to: 'closed' }, tx);
+  }
+
+  return inquiries.length;
+};
+
+// Place a hold on an available car - returns { reservationId } or { error, status }
+// The car and customer rows stay locked until commit, so concurrent holds can't both find the car
+// available or both slip under MAX_ACTIVE_HOLDS
+const placeHold = (carId, userId, hours) => transaction(async (tx) => {
+  const now = new Date();
+
+  const cars = await tx.query(`SELECT id, is_available, archived_at FROM cars ${lockForUpdate()} WHERE id = @carId`, { carId });
+  if (cars.length === 0 || cars[0].archived_at) {
+    return { status: 404, error: 'Car not found' };
+  }
+  if (!cars[0].is_available) {
+    return { status: 409, error: 'Car is already reserved or sold' };
+  }
+
+  await tx.query(`SELECT id FROM users ${lockForUpdate()} WHERE id = @userId`, { userId });
+  const activeHolds = await tx.query(
+    "SELECT COUNT(*) AS total FROM reservations WHERE user_id = @userId AND status = 'active' AND expires_at > @now",
+    { userId, now }
+  );
+  if (activeHolds[0].total >= MAX_ACTIVE_HOLDS) {
+    return { status: 409, error: `You can hold at most ${MAX_ACTIVE_HOLDS} cars at a time` };
+  }
+
+  const expiresAt = new Date(now.getTime() + hours * 60 * 60 * 1000);
+
+  const reservationId = await tx.insert(
+    `INSERT INTO reservations (car_id, user_id, status, expires_at, created_at, updated_at)
+     VALUES (@carId, @userId, 'active', @expiresAt, @now, @now)`,
+    { carId, userId, expiresAt, now }
+  );
+
+  await tx.query('UPDATE cars SET is_available = 0, updated_at = @now WHERE id = @carId', { carId, now });
+  invalidateCars(tx);
+  await notifyAvailability(tx, carId, false);
+
+  return { reservationId };
+});
+
+// Cancel an active hold and release the car
+const cancelHold = (reservationId, userId) => transaction(async (tx) => {
+  const now = new Date();
+  const reservations = await tx.query('SELECT id, car_id, status FROM reservations WHERE id = @reservationId', { reservationId });
+
+  if (reservations[0].status !== 'active') {
+    return { status: 400, error: `Only active reservations can be cancelled (this one is ${reservations[0].status})` };
+  }
+
+  await tx.query(
+    `UPDATE reservations SET status = 'cancelled', cancelled_by = @userId, updated_at = @now
+     WHERE id = @reservationId`,
+    { reservationId, userId, now }
+  );
+  await releaseCar(tx, reservations[0].car_id, now);
+
+  return {};
+});
+
+// Record a sale, either converting a hold (reservationId) or selling an available car directly
+const recordSale = ({ carId, reservationId = null, buyerId, salePrice, notes, soldBy }) => transaction(async (tx) => {
+  const now = new Date();
+
+  const cars = await tx.query(`SELECT id, is_available, archived_at FROM cars ${lockForUpdate()} WHERE id = @carId`, { carId });
+  if (cars.length === 0) {
+    return { status: 404, error: 'Car not found' };
+  }
+  if (cars[0].archived_at) {
+    return { status: 409, error: 'Car is archived - restore it before selling it' };
+  }
+
+  const existingSales = await tx.query('SELECT id FROM sales WHERE car_id = @carId', { carId });
+  if (existingSales.length > 0) {
+    return { status: 409, error: 'Car has already been sold' };
+  }
+
+  const activeHolds = await tx.query(
+    "SELECT id FROM reservations WHERE car_id = @carId AND status = 'active'",
+    { carId }
+  );
+
+  if (reservationId) {
+    if (!activeHolds.some(hold => hold.id === reservationId)) {
+      return { status: 400, error: 'Only active reservations can be converted to a sale' };
+    }
+  } else if (activeHolds.length > 0) {
+    return { status: 409, error: 'Car is on hold - convert or cancel that reservation first' };
+  } else if (!cars[0].is_available) {
+    return { status: 409, error: 'Car is not available for sale' };
+  }
+
+  const buyers = await tx.query('SELECT id FROM users WHERE id = @buyerId', { buyerId });
+  if (buyers.length === 0) {
+    return { status: 400, error: 'Buyer not found' };
+  }
+
+  const saleId = await tx.insert(
+    `INSERT INTO sales (car_id, reservation_id, buyer_id, sale_price, notes, sold_by, sold_at)
+     VALUES (@carId, @reservationId, @buyerId, @salePrice, @notes, @soldBy, @now)`,
+    { carId, reservationId, buyerId, salePrice, notes, soldBy, now }
+  );
+
+  if (reservationId) {
+    await tx.query(
+      "UPDATE reservations SET status = 'converted', updated_at = @now WHERE id = @reservationId",
+      { reservationId, now }
+    );
+  }
+
+  await tx.query('UPDATE cars SET is_available = 0, updated_at = @now WHERE id = @carId', { carId, now });
+  invalidateCars(tx);
+
+  // A converted hold already took the car off the market
+  if (cars[0].is_available) {
+    await notifyAvailability(tx, carId, false);
+  }
+
+  const closedInquiries = await closeInquiriesForSoldCar(tx, carId, soldBy, now);
+
+  return { saleId, closedInquiries };
+});
+
+// Expire holds past their expiry and release their cars
+const releaseExpiredHolds = async () => {
+  const expired = await query(
+    "SELECT id FROM reservations WHERE status = 'active' AND expires_at <= @now",
+    { now: new Date() }
+  );
+
+  for (const reservation of expired) {
+    await transaction(async (tx) => {
+      const now = new Date();
+      const current = await tx.query(
+        "SELECT car_id FROM reservations WHERE id = @id AND status = 'active'",
+        { id: reservation.id }
+      );
+
+      // Converted or cancelled since we looked
+      if (current.length === 0) return;
+
+      await tx.query(
+        "UPDATE reservations SET status = 'expired', updated_at = @now WHERE id = @id",
+        { id: reservation.id, now }
+      );
+      await releaseCar(tx, current[0].car_id, now);
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  DEFAULT_HOLD_HOURS,
+  MAX_HOLD_HOURS,
+  getReservation,
+  getSale,
+  placeHold,
+  cancelHold,
+  recordSale,
+  releaseExpiredHolds
+};
@@ -0,0 +1,75 @@
+// Saved car searches - the stored filters are the GET /api/cars query string as JSON
+// New listings are checked with the same SQL the listing uses, so a match here is a match there
+
+const { query, insert, execute } = require('../config/database');
+const { buildCarFilters, buildWhereClause } = require('./carFilters');
+const { createNotification } = require('./notification');
+const { formatPrice } = require('./priceHistory');
+const { invalidateCars } = require('./carCache');
+
+const MAX_SAVED_SEARCHES = 20;
+
+// API shape of a saved_searches row
+const formatSavedSearch = (row) => ({
+  id: row.id,
+  name: row.name,
+  filters: JSON.parse(row.filters),
+  notify: Boolean(row.notify),
+  created_at: row.created_at,
+  updated_at: row.updated_at
+});
+
+// Does the car satisfy the saved filters
+const carMatches = async (db, carId, filters) => {
+  const { whereConditions, queryParams } = buildWhereClause(buildCarFilters(filters));
+  const rows = await db.query(
+    `SELECT id FROM cars ${whereConditions} AND id = @matchCarId`,
+    { ...queryParams, matchCarId: carId }
+  );
+  return rows.length > 0;
+};
+
+// Notify owners of saved searches (with notify on) that the new car matches
+const notifySavedSearchMatches = async (car, db = { query, insert }) => {
+  const searches = await db.query('SELECT id, user_id, name, filters FROM saved_searches WHERE notify = 1');
+  const notifiedUsers = new Set();
+
+  for (const search of searches) {
+    // One notification per user even if several of their searches match
+    if (notifiedUsers.has(search.user_id)) continue;
+    if (!(await carMatches(db, car.id, JSON.parse(search.filters)))) continue;
+
+    await createNotification({
+      userId: search.user_id,
+      type: 'saved_search_match',
+      title: `New match for "${search.name}"`,
+      body: `${car.year} ${car.make} ${car.model} for ${formatPrice(car.price)} was just listed.`,
+      data: { car_id: car.id, saved_search_id: search.id }
+    }, db);
+    notifiedUsers.add(search.user_id);
+  }
+
+  return notifiedUsers.size;
+};
+
+// Announce a listing to saved searches the first time it is on the market - cars.announced_at records that,
+// so taking a car off the market and putting it back doesn't announce it again
+const announceListing = async (car, db = { query, insert, execute }) => {
+  if (!car.is_available || car.announced_at) return 0;
+
+  // Claimed first, two requests putting the same car on the market announce it once
+  const claimed = await db.execute(
+    'UPDATE cars SET announced_at = @now WHERE id = @carId AND announced_at IS NULL',
+    { carId: car.id, now: new Date() }
+  );
+  if (claimed !== 1) return 0;
+  await invalidateCars(db);
+
+  return notifySavedSearchMatches(car, db);
+};
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  formatSavedSearch,
+  announceListing
+};
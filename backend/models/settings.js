@@ -0,0 +1,40 @@
+// Admin-editable settings stored as JSON in the settings table
+// Callers pass their defaults, so a missing row just means "not configured yet"
+
+const { query, transaction } = require('../config/database');
+
+// Read a setting, stored values are merged over the defaults
+const getSetting = async (key, defaults = {}) => {
+  const rows = await query('SELECT value FROM settings WHERE setting_key = @key', { key });
+
+  if (rows.length === 0) {
+    return { ...defaults };
+  }
+  return { ...defaults, ...JSON.parse(rows[0].value) };
+};
+
+// Insert or replace a setting
+const saveSetting = (key, value, updatedBy) => transaction(async (tx) => {
+  const params = { key, value: JSON.stringify(value), updatedBy, now: new Date() };
+  const existing = await tx.query('SELECT setting_key FROM settings WHERE setting_key = @key', { key });
+
+  if (existing.length === 0) {
+    await tx.query(
+      `INSERT INTO settings (setting_key, value, updated_by, updated_at)
+       VALUES (@key, @value, @updatedBy, @now)`,
+      params
+    );
+  } else {
+    await tx.query(
+      'UPDATE settings SET value = @value, updated_by = @updatedBy, updated_at = @now WHERE setting_key = @key',
+      params
+    );
+  }
+
+  return value;
+});
+
+module.exports = {
+  getSetting,
+  saveSetting
+};
@@ -0,0 +1,172 @@
+// Test-drive schedule, slot calculation and booking conflict checks
+// Opening hours are local times in the schedule's timezone, bookings are stored as UTC instants
+
+const { query, lockForUpdate } = require('../config/database');
+const { getSetting, saveSetting } = require('./settings');
+
+const SCHEDULE_SETTING = 'test_drive_schedule';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Used until an admin saves their own schedule, null means closed that day
+const DEFAULT_SCHEDULE = {
+  timezone: 'UTC',
+  slot_minutes: 30,
+  hours: {
+    monday: { open: '09:00', close: '18:00' },
+    tuesday: { open: '09:00', close: '18:00' },
+    wednesday: { open: '09:00', close: '18:00' },
+    thursday: { open: '09:00', close: '18:00' },
+    friday: { open: '09:00', close: '18:00' },
+    saturday: { open: '10:00', close: '14:00' },
+    sunday: null
+  }
+};
+
+const getSchedule = () => getSetting(SCHEDULE_SETTING, DEFAULT_SCHEDULE);
+
+const saveSchedule = (schedule, userId) => saveSetting(SCHEDULE_SETTING, schedule, userId);
+
+// "09:30" => 570
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Calendar date, weekday and minutes since midnight of an instant in the given timezone
+const getLocalParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((result, part) => {
+    result[part.type] = part.value;
+    return result;
+  }, {});
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+
+  return {
+    date: localDate,
+    weekday: WEEKDAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+// Offset of the timezone from UTC at the given instant, in milliseconds
+const getTimezoneOffset = (date, timeZone) => {
+  const local = getLocalParts(date, timeZone);
+  const localAsUtc = Date.parse(`${local.date}T00:00:00Z`) + local.minutes * 60 * 1000;
+  const truncated = Math.floor(date.getTime() / 60000) * 60000;
+  return localAsUtc - truncated;
+};
+
+// Local date + minutes in the timezone => UTC Date (checked twice for DST changes)
+const localTimeToUtc = (localDate, minutes, timeZone) => {
+  const asUtc = Date.parse(`${localDate}T00:00:00Z`) + minutes * 60 * 1000;
+  let result = asUtc - getTimezoneOffset(new Date(asUtc), timeZone);
+  const correctedOffset = getTimezoneOffset(new Date(result), timeZone);
+  result = asUtc - correctedOffset;
+  return new Date(result);
+};
+
+// Every slot of the schedule on a local calendar date
+const getDaySlots = (localDate, schedule) => {
+  const weekday = WEEKDAYS[new Date(`${localDate}T00:00:00Z`).getUTCDay()];
+  const hours = schedule.hours[weekday];
+  if (!hours) return [];
+
+  const slots = [];
+  const close = toMinutes(hours.close);
+
+  for (let start = toMinutes(hours.open); start + schedule.slot_minutes <= close; start += schedule.slot_minutes) {
+    const startsAt = localTimeToUtc(localDate, start, schedule.timezone);
+    slots.push({
+      starts_at: startsAt,
+      ends_at: new Date(startsAt.getTime() + schedule.slot_minutes * 60 * 1000)
+    });
+  }
+
+  return slots;
+};
+
+// Why a start time can't be booked, or null when it fits the schedule
+const checkSlot = (startsAt, schedule) => {
+  if (startsAt.getTime() <= Date.now()) {
+    return 'Test drives must be booked in the future';
+  }
+
+  const local = getLocalParts(startsAt, schedule.timezone);
+  const hours = schedule.hours[local.weekday];
+
+  if (!hours) {
+    return `We are closed on ${local.weekday}`;
+  }
+
+  const open = toMinutes(hours.open);
+  const close = toMinutes(hours.close);
+
+  if (local.minutes < open || local.minutes + schedule.slot_minutes > close) {
+    return `Test drives on ${local.weekday} are between ${hours.open} and ${hours.close}`;
+  }
+
+  if ((local.minutes - open) % schedule.slot_minutes !== 0 || startsAt.getUTCSeconds() !== 0 || startsAt.getUTCMilliseconds() !== 0) {
+    return `Test drives start every ${schedule.slot_minutes} minutes from ${hours.open}`;
+  }
+
+  return null;
+};
+
+// Pending and confirmed bookings of the car that overlap the given period
+// Inside a transaction the range stays locked until commit, so two bookings can't both find the slot free
+const findConflicts = async (carId, startsAt, endsAt, excludeId = null, db = { query }) => {
+  let sqlQuery = `
+    SELECT id, starts_at, ends_at, status FROM test_drives ${lockForUpdate()}
+    WHERE car_id = @carId
+      AND status IN ('pending', 'confirmed')
+      AND starts_at < @endsAt
+      AND ends_at > @startsAt
+  `;
+  const params = { carId, startsAt, endsAt };
+
+  if (excludeId) {
+    sqlQuery += ' AND id <> @excludeId';
+    params.excludeId = excludeId;
+  }
+
+  return db.query(sqlQuery, params);
+};
+
+// One booking with the car and customer details the UI shows
+const getTestDrive = async (id) => {
+  const bookings = await query(`
+    SELECT
+      td.*,
+      c.make,
+      c.model,
+      c.year,
+      u.username,
+      u.email
+    FROM test_drives td
+    JOIN cars c ON td.car_id = c.id
+    JOIN users u ON td.user_id = u.id
+    WHERE td.id = @id
+  `, { id });
+  return bookings[0] || null;
+};
+
+module.exports = {
+  WEEKDAYS,
+  getSchedule,
+  saveSchedule,
+  toMinutes,
+  getLocalParts,
+  getDaySlots,
+  checkSlot,
+  findConflicts,
+  getTestDrive
+};
@@ -0,0 +1,238 @@
+// Trade-in appraisals: submitted -> offered -> accepted / declined / expired, or withdrawn by the customer
+// An accepted trade-in is converted into a new car listing, staff can make a new offer after a decline or expiry
+
+const { query, transaction } = require('../config/database');
+const { getUrl } = require('../config/storage');
+const { createNotification } = require('./notification');
+const { recordPriceChange } = require('./priceHistory');
+const { announceListing } = require('./savedSearch');
+const { publishCarCreated, publishTradeInStatusChange } = require('../events/bus');
+const { invalidateCars } = require('./carCache');
+
+const TRADE_IN_CONDITIONS = ['excellent', 'good', 'fair', 'poor'];
+
+const TRADE_IN_STATUSES = ['submitted', 'offered', 'accepted', 'declined', 'expired', 'withdrawn', 'converted'];
+
+// How long an offer stands unless the appraiser says otherwise
+const DEFAULT_OFFER_DAYS = parseInt(process.env.TRADE_IN_OFFER_DAYS, 10) || 7;
+const MAX_OFFER_DAYS = 30;
+
+// Staff can (re)appraise from these, an accepted offer is final
+const OFFERABLE_STATUSES = ['submitted', 'offered', 'declined', 'expired'];
+
+// The customer can pull out until they accepted
+const WITHDRAWABLE_STATUSES = ['submitted', 'offered'];
+
+// "$23,500"
+const formatAmount = (amount) => `$${Number(amount).toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+
+// One trade-in with the customer details the UI shows
+const getTradeIn = async (id, db = { query }) => {
+  const tradeIns = await db.query(`
+    SELECT
+      t.*,
+      u.username,
+      u.email
+    FROM trade_ins t
+    JOIN users u ON t.user_id = u.id
+    WHERE t.id = @id
+  `, { id });
+  return tradeIns[0] || null;
+};
+
+// API shape of a trade_in_photos row
+const formatTradeInPhoto = (row) => ({
+  id: row.id,
+  url: getUrl(row.large_key),
+  thumbnail_url: getUrl(row.thumbnail_key),
+  original_url: getUrl(row.original_key),
+  width: row.width,
+  height: row.height,
+  mime_type: row.mime_type,
+  size_bytes: row.size_bytes,
+  created_at: row.created_at
+});
+
+const getTradeInPhotos = async (tradeInId) => {
+  const photos = await query(
+    'SELECT * FROM trade_in_photos WHERE trade_in_id = @tradeInId ORDER BY id',
+    { tradeInId }
+  );
+  return photos.map(formatTradeInPhoto);
+};
+
+// Move a trade-in to another status, telling the customer (event stream) about it
+const setStatus = async (tx, tradeIn, status, now, extraSql = '', extraParams = {}) => {
+  await tx.query(
+    `UPDATE trade_ins SET status = @status, updated_at = @now${extraSql} WHERE id = @id`,
+    { id: tradeIn.id, status, now, ...extraParams }
+  );
+  publishTradeInStatusChange({ tradeIn, from: tradeIn.status, to: status }, tx);
+};
+
+// Mark a lapsed offer as expired and let the customer know
+const expireOffer = async (tx, tradeIn, now) => {
+  await setStatus(tx, tradeIn, 'expired', now);
+  await createNotification({
+    userId: tradeIn.user_id,
+    type: 'trade_in_update',
+    title: `Trade-in offer expired: ${tradeIn.year} ${tradeIn.make} ${tradeIn.model}`,
+    body: 'The offer for your trade-in has expired. Contact us if you would still like to trade it in.',
+    data: { trade_in_id: tradeIn.id, status: 'expired' }
+  }, tx);
+};
+
+// Appraise a trade-in - returns {} or { error, status }
+const makeOffer = ({ tradeInId, amount, expiresAt, notes = null, appraisedBy }) => transaction(async (tx) => {
+  const now = new Date();
+  const tradeIn = await getTradeIn(tradeInId, tx);
+
+  if (!OFFERABLE_STATUSES.includes(tradeIn.status)) {
+    return { status: 409, error: `An offer can't be made on a trade-in that is ${tradeIn.status}` };
+  }
+
+  await setStatus(tx, tradeIn, 'offered', now,
+    `, offer_amount = @amount, offer_expires_at = @expiresAt, offer_notes = @notes,
+       appraised_by = @appraisedBy, appraised_at = @now, responded_at = NULL`,
+    { amount, expiresAt, notes, appraisedBy });
+
+  await createNotification({
+    userId: tradeIn.user_id,
+    type: 'trade_in_offer',
+    title: `Trade-in offer: ${tradeIn.year} ${tradeIn.make} ${tradeIn.model}`,
+    body: `We can offer ${formatAmount(amount)} for your trade-in, valid until ${expiresAt.toISOString().substring(0, 10)}.`,
+    data: { trade_in_id: tradeIn.id, offer_amount: amount, offer_expires_at: expiresAt }
+  }, tx);
+
+  return {};
+});
+
+// Customer accepts or declines the current offer - returns {} or { error, status }
+// An offer found past its expiry is expired on the spot
+const respondToOffer = (tradeInId, accept) => transaction(async (tx) => {
+  const now = new Date();
+  const tradeIn = await getTradeIn(tradeInId, tx);
+
+  if (tradeIn.status !== 'offered') {
+    return { status: 409, error: `There is no open offer on this trade-in (it is ${tradeIn.status})` };
+  }
+
+  if (new Date(tradeIn.offer_expires_at) <= now) {
+    await expireOffer(tx, tradeIn, now);
+    return { status: 409, error: 'This offer has expired' };
+  }
+
+  await setStatus(tx, tradeIn, accept ? 'accepted' : 'declined', now, ', responded_at = @now');
+
+  return {};
+});
+
+// Customer pulls the trade-in - returns {} or { error, status }
+const withdrawTradeIn = (tradeInId) => transaction(async (tx) => {
+  const tradeIn = await getTradeIn(tradeInId, tx);
+
+  if (!WITHDRAWABLE_STATUSES.includes(tradeIn.status)) {
+    return { status: 409, error: `A trade-in that is ${tradeIn.status} can't be withdrawn` };
+  }
+
+  await setStatus(tx, tradeIn, 'withdrawn', new Date());
+
+  return {};
+});
+
+// Add an accepted trade-in to the inventory - returns { carId } or { error, status }
+// The vehicle details come from the trade-in, the listing details (price, colour, ...) from staff
+// The customer's photos stay with the trade-in, the listing gets its own
+const convertTradeIn = ({ tradeInId, listing, convertedBy }) => transaction(async (tx) => {
+  const now = new Date();
+  const tradeIn = await getTradeIn(tradeInId, tx);
+
+  if (tradeIn.status !== 'accepted') {
+    return { status: 409, error: `Only accepted trade-ins can be added to the inventory (this one is ${tradeIn.status})` };
+  }
+
+  if (listing.stock_number) {
+    const taken = await tx.query('SELECT id FROM cars WHERE stock_number = @stockNumber', { stockNumber: listing.stock_number });
+    if (taken.length > 0) {
+      return { status: 409, error: `Stock number ${listing.stock_number} is already in use` };
+    }
+  }
+
+  if (tradeIn.vin) {
+    const listed = await tx.query('SELECT id FROM cars WHERE vin = @vin', { vin: tradeIn.vin });
+    if (listed.length > 0) {
+      return { status: 409, error: `A car with VIN ${tradeIn.vin} is already listed` };
+    }
+  }
+
+  const carId = await tx.insert(
+    `INSERT INTO cars (stock_number, vin, make, model, year, price, mileage, color, fuel_type, transmission,
+                       description, is_available)
+     VALUES (@stockNumber, @vin, @make, @model, @year, @price, @mileage, @color, @fuelType, @transmission,
+             @description, @isAvailable)`,
+    {
+      stockNumber: listing.stock_number || null,
+      vin: tradeIn.vin,
+      make: tradeIn.make,
+      model: tradeIn.model,
+      year: tradeIn.year,
+      price: listing.price,
+      mileage: tradeIn.mileage,
+      color: listing.color || null,
+      fuelType: listing.fuel_type || 'gasoline',
+      transmission: listing.transmission || 'manual',
+      description: listing.description || null,
+      isAvailable: listing.is_available ? 1 : 0
+    }
+  );
+  invalidateCars(tx);
+
+  await setStatus(tx, tradeIn, 'converted', now, ', car_id = @carId', { carId });
+
+  const cars = await tx.query('SELECT * FROM cars WHERE id = @carId', { carId });
+  const car = cars[0];
+
+  await recordPriceChange({ car, oldPrice: null, newPrice: car.price, changedBy: convertedBy }, tx);
+
+  // Listings that start hidden are announced once they go on the market (PUT /api/cars/:id or a CSV import)
+  await announceListing(car, tx);
+  publishCarCreated(car, tx);
+
+  return { carId };
+});
+
+// Expire offers past their expiry
+const expireTradeInOffers = async () => {
+  const expired = await query(
+    "SELECT id FROM trade_ins WHERE status = 'offered' AND offer_expires_at <= @now",
+    { now: new Date() }
+  );
+
+  for (const { id } of expired) {
+    await transaction(async (tx) => {
+      const tradeIn = await getTradeIn(id, tx);
+
+      // Answered since we looked
+      if (tradeIn.status !== 'offered') return;
+
+      await expireOffer(tx, tradeIn, new Date());
+    });
+  }
+
+  return expired.length;
+};
+
+module.exports = {
+  TRADE_IN_CONDITIONS,
+  TRADE_IN_STATUSES,
+  DEFAULT_OFFER_DAYS,
+  MAX_OFFER_DAYS,
+  getTradeIn,
+  formatTradeInPhoto,
+  getTradeInPhotos,
+  makeOffer,
+  respondToOffer,
+  withdrawTradeIn,
+  convertTradeIn,
+  expireTradeInOffers
+};
@@ -0,0 +1,63 @@
+// Single-use tokens sent by email (password reset, email verification)
+// Only a SHA-256 hash is stored, the raw token exists only in the email link
+
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+
+const PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Create a new token for the user, any older unused token for the same purpose stops working
+const createUserToken = (userId, purpose, ttlMs) => transaction(async (tx) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await tx.query(
+    'DELETE FROM user_tokens WHERE user_id = @userId AND purpose = @purpose AND used_at IS NULL',
+    { userId, purpose }
+  );
+
+  await tx.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, created_at)
+     VALUES (@userId, @purpose, @tokenHash, @expiresAt, @now)`,
+    { userId, purpose, tokenHash: hashToken(token), expiresAt: new Date(now.getTime() + ttlMs), now }
+  );
+
+  return token;
+});
+
+// Mark a token as used and return its user id, or null if it is unknown, used or expired
+const consumeUserToken = (token, purpose) => transaction(async (tx) => {
+  const tokens = await tx.query(
+    'SELECT id, user_id, expires_at, used_at FROM user_tokens WHERE token_hash = @tokenHash AND purpose = @purpose',
+    { tokenHash: hashToken(token), purpose }
+  );
+
+  const userToken = tokens[0];
+  if (!userToken || userToken.used_at || new Date(userToken.expires_at) < new Date()) {
+    return null;
+  }
+
+  // Only the request that actually marks it used gets the user, a concurrent one with the same token gets null
+  const consumed = await tx.execute(
+    'UPDATE user_tokens SET used_at = @now WHERE id = @id AND used_at IS NULL',
+    { id: userToken.id, now: new Date() }
+  );
+  return consumed === 1 ? userToken.user_id : null;
+});
+
+// Remove tokens that can no longer be used
+const purgeExpiredUserTokens = async () => {
+  await query('DELETE FROM user_tokens WHERE expires_at < @now', { now: new Date() });
+};
+
+module.exports = {
+  PURPOSES,
+  createUserToken,
+  consumeUserToken,
+  purgeExpiredUserTokens
+};
@@ -0,0 +1,704 @@
+// Shared schemas, parameters and responses of the OpenAPI document
+// Flags are 0/1 on SQLite and true/false on SQL Server, so they accept both
+
+const { ref, arrayOf, json } = require('./helpers');
+const { WEEKDAYS } = require('../models/testDrive');
+const { ROLES, PERMISSIONS } = require('../config/permissions');
+const { TRADE_IN_CONDITIONS, TRADE_IN_STATUSES } = require('../models/tradeIn');
+const { INTERVALS } = require('../models/analytics');
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { ...timestamp, nullable: true };
+const nullableString = { type: 'string', nullable: true };
+const nullableInteger = { type: 'integer', nullable: true };
+const nullableNumber = { type: 'number', nullable: true };
+
+const FUEL_TYPES = ['gasoline', 'diesel', 'electric', 'hybrid'];
+const TRANSMISSIONS = ['manual', 'automatic'];
+
+// Referenced as nullable below, OpenAPI 3.0 can't put nullable next to a $ref
+const carImage = {
+  type: 'object',
+  required: ['id', 'position', 'is_primary', 'url', 'thumbnail_url'],
+  properties: {
+    id: { type: 'integer' },
+    position: { type: 'integer' },
+    is_primary: { type: 'boolean' },
+    url: { type: 'string' },
+    thumbnail_url: { type: 'string' },
+    original_url: { type: 'string' },
+    width: nullableInteger,
+    height: nullableInteger,
+    mime_type: { type: 'string' },
+    size_bytes: { type: 'integer' },
+    created_at: timestamp
+  }
+};
+
+// Referenced as nullable below as well
+const car = {
+  type: 'object',
+  required: ['id', 'make', 'model', 'year', 'price', 'is_available'],
+  properties: {
+    id: { type: 'integer' },
+    stock_number: nullableString,
+    vin: nullableString,
+    make: { type: 'string' },
+    model: { type: 'string' },
+    year: { type: 'integer' },
+    price: { type: 'number' },
+    mileage: { type: 'integer' },
+    color: nullableString,
+    fuel_type: { type: 'string', enum: FUEL_TYPES },
+    transmission: { type: 'string', enum: TRANSMISSIONS },
+    description: nullableString,
+    image_url: nullableString,
+    is_available: ref('Flag'),
+    archived_at: nullableTimestamp,
+    announced_at: nullableTimestamp,
+    created_at: timestamp,
+    updated_at: timestamp
+  }
+};
+
+const openingHours = {
+  type: 'object',
+  required: ['open', 'close'],
+  properties: {
+    open: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' },
+    close: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$' }
+  }
+};
+
+const schemas = {
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' }
+    }
+  },
+
+  ValidationError: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string' },
+      errors: arrayOf({
+        type: 'object',
+        description: 'express-validator style error, { type, msg, path, location, value }',
+        properties: {
+          type: { type: 'string' },
+          msg: { type: 'string' },
+          path: { type: 'string' },
+          location: { type: 'string' }
+        }
+      })
+    }
+  },
+
+  Flag: {
+    description: 'Boolean column, true/false or 1/0 depending on the database',
+    oneOf: [
+      { type: 'boolean' },
+      { type: 'integer', enum: [0, 1] }
+    ]
+  },
+
+  Pagination: {
+    type: 'object',
+    required: ['page', 'limit', 'total', 'pages'],
+    properties: {
+      page: { type: 'integer' },
+      limit: { type: 'integer' },
+      total: { type: 'integer' },
+      pages: { type: 'integer' }
+    }
+  },
+
+  User: {
+    type: 'object',
+    required: ['id', 'username', 'email', 'role'],
+    properties: {
+      id: { type: 'integer' },
+      username: { type: 'string' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      email_verified_at: nullableTimestamp,
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  },
+
+  Role: {
+    type: 'object',
+    required: ['role', 'permissions'],
+    properties: {
+      role: { type: 'string', enum: ROLES },
+      permissions: arrayOf({ type: 'string', enum: Object.values(PERMISSIONS) })
+    }
+  },
+
+  AuthTokens: {
+    type: 'object',
+    required: ['accessToken', 'user'],
+    description: 'The refresh token is set as an httpOnly refreshToken cookie',
+    properties: {
+      message: { type: 'string' },
+      accessToken: { type: 'string' },
+      user: ref('User')
+    }
+  },
+
+  CarInput: {
+    type: 'object',
+    required: ['model', 'price'],
+    description: 'make and year may be left out when a valid VIN can fill them in (POST only)',
+    properties: {
+      stock_number: { type: 'string', nullable: true, pattern: '^\\s*[A-Za-z0-9-]{1,30}\\s*$' },
+      vin: { type: 'string', nullable: true, description: '17 characters, spaces and dashes are ignored' },
+      make: { type: 'string', minLength: 1, maxLength: 50 },
+      model: { type: 'string', minLength: 1, maxLength: 50 },
+      year: { type: 'integer', minimum: 1900 },
+      price: { type: 'number', minimum: 0 },
+      mileage: { type: 'integer', minimum: 0 },
+      color: { type: 'string', maxLength: 30 },
+      fuel_type: { type: 'string', enum: FUEL_TYPES },
+      transmission: { type: 'string', enum: TRANSMISSIONS },
+      description: { type: 'string', maxLength: 1000 },
+      image_url: { type: 'string' },
+      is_available: { type: 'boolean' }
+    }
+  },
+
+  Car: car,
+
+  CarListItem: {
+    allOf: [
+      ref('Car'),
+      {
+        type: 'object',
+        properties: {
+          is_favorite: { type: 'boolean' },
+          primary_image: { ...carImage, nullable: true }
+        }
+      }
+    ]
+  },
+
+  CarImage: carImage,
+
+  CarComparison: {
+    type: 'object',
+    required: ['items', 'specs', 'cheapest_car_id', 'differing_attributes'],
+    properties: {
+      items: arrayOf({
+        type: 'object',
+        required: ['id', 'status', 'car', 'metrics'],
+        description: 'One per requested id, in the requested order',
+        properties: {
+          id: { type: 'integer' },
+          status: { type: 'string', enum: ['available', 'reserved', 'sold', 'unavailable', 'not_found'] },
+          car: {
+            ...car,
+            nullable: true,
+            properties: {
+              ...car.properties,
+              is_favorite: { type: 'boolean' },
+              primary_image: { ...carImage, nullable: true }
+            }
+          },
+          metrics: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              age_years: { type: 'integer' },
+              price_per_year_of_age: { type: 'number', description: 'A car from this year counts as one year old' },
+              mileage_per_year: { type: 'integer' },
+              price_difference: { type: 'number', description: 'Against the cheapest car compared' },
+              price_difference_percent: nullableNumber
+            }
+          }
+        }
+      }),
+      specs: arrayOf({
+        type: 'object',
+        required: ['attribute', 'derived', 'values', 'differs'],
+        properties: {
+          attribute: { type: 'string' },
+          derived: { type: 'boolean', description: 'Worked out from the specs rather than stored' },
+          values: arrayOf({ description: 'Aligned with items, null where the car was not found' }),
+          differs: { type: 'boolean', description: 'The cars that were found don\'t all have the same value' }
+        }
+      }),
+      cheapest_car_id: nullableInteger,
+      differing_attributes: arrayOf({ type: 'string' })
+    }
+  },
+
+  CarFacets: {
+    type: 'object',
+    description: 'Each facet is counted under every active filter except its own',
+    properties: {
+      make: arrayOf(ref('FacetCount')),
+      fuel_type: arrayOf(ref('FacetCount')),
+      transmission: arrayOf(ref('FacetCount')),
+      color: arrayOf(ref('FacetCount')),
+      year: arrayOf({
+        type: 'object',
+        properties: { year: { type: 'integer' }, count: { type: 'integer' } }
+      }),
+      mileage: arrayOf({
+        type: 'object',
+        properties: { from: { type: 'integer' }, to: { type: 'integer' }, count: { type: 'integer' } }
+      }),
+      price: {
+        type: 'object',
+        properties: { min: nullableNumber, max: nullableNumber }
+      }
+    }
+  },
+
+  FacetCount: {
+    type: 'object',
+    required: ['value', 'count'],
+    properties: {
+      value: nullableString,
+      count: { type: 'integer' }
+    }
+  },
+
+  CarFilters: {
+    type: 'object',
+    description: 'Filters of GET /api/cars, values are strings or lists of strings',
+    additionalProperties: {
+      oneOf: [
+        { type: 'string' },
+        arrayOf({ type: 'string' })
+      ]
+    }
+  },
+
+  VinDecoding: {
+    type: 'object',
+    required: ['vin', 'wmi', 'model_year_candidates'],
+    properties: {
+      vin: { type: 'string' },
+      wmi: { type: 'string' },
+      make: nullableString,
+      country: nullableString,
+      model_year: nullableInteger,
+      model_year_candidates: arrayOf({ type: 'integer' }),
+      serial_number: { type: 'string' }
+    }
+  },
+
+  PriceChange: {
+    type: 'object',
+    properties: {
+      old_price: nullableNumber,
+      new_price: { type: 'number' },
+      change: nullableNumber,
+      changed_at: timestamp
+    }
+  },
+
+  PriceAlert: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      target_price: nullableNumber,
+      created_at: timestamp
+    }
+  },
+
+  CarImportError: {
+    type: 'object',
+    properties: {
+      line: { type: 'integer', description: 'CSV line, the header is line 1' },
+      stock_number: nullableString,
+      errors: arrayOf({
+        type: 'object',
+        properties: { field: { type: 'string' }, message: { type: 'string' } }
+      })
+    }
+  },
+
+  CarImportSummary: {
+    type: 'object',
+    properties: {
+      rows: { type: 'integer' },
+      created: { type: 'integer' },
+      updated: { type: 'integer' },
+      failed: { type: 'integer' },
+      dry_run: { type: 'boolean' }
+    }
+  },
+
+  Inquiry: {
+    type: 'object',
+    required: ['id', 'user_id', 'car_id', 'message', 'status'],
+    description: 'Listings add the car (make, model, year, price, image_url), the customer and unread_count',
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      message: { type: 'string' },
+      status: { type: 'string', enum: ['pending', 'responded', 'closed'] },
+      created_at: timestamp,
+      updated_at: timestamp,
+      username: { type: 'string' },
+      email: { type: 'string' },
+      make: { type: 'string' },
+      model: { type: 'string' },
+      year: { type: 'integer' },
+      price: { type: 'number' },
+      image_url: nullableString,
+      unread_count: { type: 'integer' },
+      finance_quotes: {
+        ...arrayOf(ref('FinanceQuote')),
+        description: 'Single inquiry only - quotes the customer attached, without schedules'
+      }
+    }
+  },
+
+  InquiryMessage: {
+    type: 'object',
+    required: ['id', 'inquiry_id', 'sender_id', 'sender_role', 'body'],
+    properties: {
+      id: { type: 'integer' },
+      inquiry_id: { type: 'integer' },
+      sender_id: { type: 'integer' },
+      sender_role: { type: 'string', enum: ['customer', 'staff'] },
+      body: { type: 'string' },
+      created_at: timestamp,
+      sender_username: { type: 'string' },
+      is_read: { type: 'boolean' }
+    }
+  },
+
+  TestDriveSchedule: {
+    type: 'object',
+    required: ['timezone', 'slot_minutes', 'hours'],
+    properties: {
+      timezone: { type: 'string', description: 'IANA timezone the opening hours are in' },
+      slot_minutes: { type: 'integer', minimum: 10, maximum: 240 },
+      hours: {
+        type: 'object',
+        description: 'Opening hours per weekday, null when closed',
+        properties: WEEKDAYS.reduce((days, day) => {
+          days[day] = { ...openingHours, nullable: true };
+          return days;
+        }, {})
+      }
+    }
+  },
+
+  OpeningHours: openingHours,
+
+  TestDrive: {
+    type: 'object',
+    required: ['id', 'car_id', 'user_id', 'starts_at', 'ends_at', 'status'],
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      starts_at: timestamp,
+      ends_at: timestamp,
+      status: { type: 'string', enum: ['pending', 'confirmed', 'cancelled'] },
+      notes: nullableString,
+      cancel_reason: nullableString,
+      cancelled_by: nullableInteger,
+      created_at: timestamp,
+      updated_at: timestamp,
+      make: { type: 'string' },
+      model: { type: 'string' },
+      year: { type: 'integer' },
+      username: { type: 'string' },
+      email: { type: 'string' }
+    }
+  },
+
+  Reservation: {
+    type: 'object',
+    required: ['id', 'car_id', 'user_id', 'status', 'expires_at'],
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      status: { type: 'string', enum: ['active', 'expired', 'cancelled', 'converted'] },
+      expires_at: timestamp,
+      cancelled_by: nullableInteger,
+      created_at: timestamp,
+      updated_at: timestamp,
+      make: { type: 'string' },
+      model: { type: 'string' },
+      year: { type: 'integer' },
+      price: { type: 'number' },
+      username: { type: 'string' },
+      email: { type: 'string' }
+    }
+  },
+
+  Sale: {
+    type: 'object',
+    required: ['id', 'car_id', 'buyer_id', 'sale_price', 'sold_at'],
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      reservation_id: nullableInteger,
+      buyer_id: { type: 'integer' },
+      sale_price: { type: 'number' },
+      notes: nullableString,
+      sold_by: nullableInteger,
+      sold_at: timestamp,
+      make: { type: 'string' },
+      model: { type: 'string' },
+      year: { type: 'integer' },
+      list_price: { type: 'number' },
+      buyer_username: { type: 'string' },
+      buyer_email: { type: 'string' }
+    }
+  },
+
+  SaleInput: {
+    type: 'object',
+    required: ['sale_price'],
+    properties: {
+      sale_price: { type: 'number', minimum: 0 },
+      buyer_id: { type: 'integer', minimum: 1 },
+      notes: { type: 'string', maxLength: 1000 }
+    }
+  },
+
+  AuditEntry: {
+    type: 'object',
+    required: ['id', 'action', 'entity_type', 'changes', 'created_at'],
+    properties: {
+      id: { type: 'integer' },
+      actor_id: nullableInteger,
+      actor_username: nullableString,
+      action: { type: 'string' },
+      entity_type: { type: 'string' },
+      entity_id: nullableString,
+      changes: {
+        type: 'object',
+        description: 'Changed fields as { field: { from, to } }',
+        additionalProperties: {
+          type: 'object',
+          properties: { from: {}, to: {} }
+        }
+      },
+      ip_address: nullableString,
+      user_agent: nullableString,
+      created_at: timestamp
+    }
+  },
+
+  Notification: {
+    type: 'object',
+    required: ['id', 'type', 'title', 'body', 'is_read'],
+    properties: {
+      id: { type: 'integer' },
+      type: { type: 'string' },
+      title: { type: 'string' },
+      body: { type: 'string' },
+      data: { type: 'object', nullable: true, description: 'Whatever the client needs to link the notification up' },
+      is_read: { type: 'boolean' },
+      read_at: nullableTimestamp,
+      created_at: timestamp
+    }
+  },
+
+  FinanceTerms: {
+    type: 'object',
+    required: ['terms', 'apr_tiers', 'default_tier'],
+    properties: {
+      terms: arrayOf({ type: 'integer', minimum: 6, maximum: 120 }),
+      apr_tiers: arrayOf({
+        type: 'object',
+        required: ['name', 'apr'],
+        properties: {
+          name: { type: 'string', pattern: '^[a-z][a-z0-9_]{0,29}$' },
+          apr: { type: 'number', minimum: 0, maximum: 40 }
+        }
+      }),
+      default_tier: { type: 'string', description: 'Tier used when a quote names neither an APR nor a tier' }
+    }
+  },
+
+  FinanceQuote: {
+    type: 'object',
+    required: ['car_id', 'price', 'amount_financed', 'term_months', 'apr', 'monthly_payment', 'total_interest'],
+    description: 'id, inquiry_id and created_at are only set on saved quotes, schedule is left out of listings',
+    properties: {
+      id: { type: 'integer' },
+      car_id: { type: 'integer' },
+      inquiry_id: nullableInteger,
+      credit_tier: { ...nullableString, description: 'Tier the APR came from, null when the APR was given' },
+      price: { type: 'number' },
+      down_payment: { type: 'number' },
+      trade_in_credit: { type: 'number' },
+      amount_financed: { type: 'number' },
+      term_months: { type: 'integer' },
+      apr: { type: 'number' },
+      monthly_payment: { type: 'number' },
+      total_interest: { type: 'number' },
+      total_of_payments: { type: 'number' },
+      total_cost: { type: 'number', description: 'Down payment, trade-in credit and every payment' },
+      schedule: arrayOf({
+        type: 'object',
+        required: ['month', 'payment', 'principal', 'interest', 'balance'],
+        properties: {
+          month: { type: 'integer' },
+          payment: { type: 'number' },
+          principal: { type: 'number' },
+          interest: { type: 'number' },
+          balance: { type: 'number', description: 'Left to pay after this payment' }
+        }
+      }),
+      car: {
+        type: 'object',
+        description: 'Listings only',
+        properties: {
+          make: { type: 'string' },
+          model: { type: 'string' },
+          year: { type: 'integer' }
+        }
+      },
+      created_at: timestamp
+    }
+  },
+
+  TradeInInput: {
+    type: 'object',
+    required: ['make', 'model', 'year', 'mileage', 'condition'],
+    properties: {
+      make: { type: 'string', minLength: 1, maxLength: 50 },
+      model: { type: 'string', minLength: 1, maxLength: 50 },
+      year: { type: 'integer', minimum: 1900 },
+      mileage: { type: 'integer', minimum: 0 },
+      condition: { type: 'string', enum: TRADE_IN_CONDITIONS },
+      vin: { type: 'string', nullable: true, description: '17 characters, spaces and dashes are ignored' },
+      notes: { type: 'string', nullable: true, maxLength: 1000 }
+    }
+  },
+
+  TradeIn: {
+    type: 'object',
+    required: ['id', 'user_id', 'make', 'model', 'year', 'mileage', 'condition', 'status'],
+    properties: {
+      id: { type: 'integer' },
+      user_id: { type: 'integer' },
+      make: { type: 'string' },
+      model: { type: 'string' },
+      year: { type: 'integer' },
+      mileage: { type: 'integer' },
+      condition: { type: 'string', enum: TRADE_IN_CONDITIONS },
+      vin: nullableString,
+      notes: nullableString,
+      status: { type: 'string', enum: TRADE_IN_STATUSES },
+      offer_amount: nullableNumber,
+      offer_expires_at: nullableTimestamp,
+      offer_notes: nullableString,
+      appraised_by: nullableInteger,
+      appraised_at: nullableTimestamp,
+      responded_at: nullableTimestamp,
+      car_id: { ...nullableInteger, description: 'Car listing the trade-in was converted into' },
+      created_at: timestamp,
+      updated_at: timestamp,
+      username: { type: 'string' },
+      email: { type: 'string' },
+      photo_count: { type: 'integer', description: 'Listings only' },
+      photos: { ...arrayOf(ref('TradeInPhoto')), description: 'Single trade-ins only' }
+    }
+  },
+
+  TradeInPhoto: {
+    type: 'object',
+    required: ['id', 'url', 'thumbnail_url'],
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      thumbnail_url: { type: 'string' },
+      original_url: { type: 'string' },
+      width: nullableInteger,
+      height: nullableInteger,
+      mime_type: { type: 'string' },
+      size_bytes: { type: 'integer' },
+      created_at: timestamp
+    }
+  },
+
+  AnalyticsReport: {
+    type: 'object',
+    required: ['report', 'from', 'to', 'interval', 'summary', 'rows'],
+    properties: {
+      report: { type: 'string' },
+      from: timestamp,
+      to: { ...timestamp, description: 'Exclusive' },
+      interval: { type: 'string', enum: INTERVALS },
+      summary: { type: 'object', description: 'Totals over the whole range' },
+      rows: arrayOf({ type: 'object', description: 'One per period (per car for days-on-lot, per group for conversion)' })
+    }
+  },
+
+  SavedSearch: {
+    type: 'object',
+    required: ['id', 'name', 'filters', 'notify'],
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      filters: ref('CarFilters'),
+      notify: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp
+    }
+  }
+};
+
+const parameters = {
+  Page: {
+    name: 'page',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, default: 1 }
+  },
+  Limit: {
+    name: 'limit',
+    in: 'query',
+    schema: { type: 'integer', minimum: 1, default: 10 }
+  }
+};
+
+const responses = {
+  BadRequest: json('Invalid input', ref('ValidationError')),
+  Unauthorized: json('Access token missing or expired', ref('Message')),
+  Forbidden: json('Not allowed for this user', ref('Message')),
+  NotFound: json('Not found', ref('Message')),
+  Conflict: json('Conflicts with the current state', ref('Message')),
+  Error: json('Unexpected error', ref('Message'))
+};
+
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Access token from /auth/login, /auth/register or /auth/refresh'
+  }
+};
+
+// Inline copy of a schema that also allows null
+const nullable = (name) => ({ ...schemas[name], nullable: true });
+
+module.exports = {
+  FUEL_TYPES,
+  TRANSMISSIONS,
+  nullable,
+  components: {
+    schemas,
+    parameters,
+    responses,
+    securitySchemes
+  }
+};
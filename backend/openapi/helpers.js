@@ -0,0 +1,119 @@
+// Small builders that keep the path definitions readable
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+
+// Request body in JSON (urlencoded forms are accepted too, express parses both)
+const jsonBody = (schema, required = true) => ({
+  required,
+  content: {
+    'application/json': { schema },
+    'application/x-www-form-urlencoded': { schema }
+  }
+});
+
+// Response with a JSON body
+const json = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+// Response that only carries { message }
+const message = (description) => json(description, ref('Message'));
+
+// Shared error responses by status code, e.g. ...errors(400, 404)
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  409: 'Conflict'
+};
+
+const errors = (...statuses) => statuses.reduce((responses, status) => {
+  responses[status] = { $ref: `#/components/responses/${ERROR_RESPONSES[status]}` };
+  return responses;
+}, {});
+
+// { message, <key>: schema } responses most writes return
+const withMessage = (description, properties) => json(description, {
+  type: 'object',
+  required: ['message', ...Object.keys(properties)],
+  properties: { message: { type: 'string' }, ...properties }
+});
+
+// { <key>: [items], pagination } list responses
+const paginated = (description, key, itemSchema, extraProperties = {}) => json(description, {
+  type: 'object',
+  required: [key, 'pagination'],
+  properties: {
+    [key]: arrayOf(itemSchema),
+    ...extraProperties,
+    pagination: ref('Pagination')
+  }
+});
+
+const pathParam = (name, description, schema = { type: 'integer', minimum: 1 }) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema
+});
+
+const queryParam = (name, description, schema = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  ...(description ? { description } : {}),
+  schema
+});
+
+// Cached GETs - the 200 carries ETag / Last-Modified, a matching If-None-Match gets an empty 304
+const ifNoneMatch = {
+  name: 'If-None-Match',
+  in: 'header',
+  description: 'ETag of the copy the client already has',
+  schema: { type: 'string' }
+};
+
+const cached = (response) => ({
+  200: {
+    ...response,
+    headers: {
+      ETag: { description: 'Changes whenever the body would', schema: { type: 'string' } },
+      'Last-Modified': {
+        description: 'Latest updated_at of the cars in the body, or the last change to any car if later - guests only',
+        schema: { type: 'string' }
+      }
+    }
+  },
+  304: { description: 'Not modified, the copy named by If-None-Match is still current' }
+});
+
+const pageParams = [
+  { $ref: '#/components/parameters/Page' },
+  { $ref: '#/components/parameters/Limit' }
+];
+
+// Operations behind authenticateToken (optionalAuth ones list the empty requirement too)
+const bearer = [{ bearerAuth: [] }];
+const optionalBearer = [{}, { bearerAuth: [] }];
+
+module.exports = {
+  ref,
+  arrayOf,
+  jsonBody,
+  json,
+  message,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  ifNoneMatch,
+  cached,
+  pageParams,
+  bearer,
+  optionalBearer
+};
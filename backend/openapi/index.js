@@ -0,0 +1,92 @@
+// OpenAPI 3 description of the API, served at /api/docs/openapi.json
+// Requests are validated against it, responses too in development (see middleware/openapi.js)
+// Keep paths/ in step with routes/ - each file there describes the routes file of the same name
+
+const { components } = require('./components');
+const { json } = require('./helpers');
+
+const pathFiles = [
+  'auth',
+  'cars',
+  'carImages',
+  'carTestDrives',
+  'carReservations',
+  'carPriceAlerts',
+  'carFinance',
+  'inquiries',
+  'testDrives',
+  'reservations',
+  'sales',
+  'admin',
+  'notifications',
+  'me',
+  'events',
+  'finance',
+  'tradeIns',
+  'analytics'
+];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+const paths = {
+  '/health': {
+    get: {
+      tags: ['Health'],
+      summary: 'Is the API up',
+      responses: {
+        200: json('Running', {
+          type: 'object',
+          properties: {
+            status: { type: 'string' },
+            message: { type: 'string' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        })
+      }
+    }
+  }
+};
+
+pathFiles.forEach(file => Object.assign(paths, require(`./paths/${file}`)));
+
+// Any operation can still fail with a 500 { message }
+Object.values(paths).forEach(pathItem => {
+  HTTP_METHODS
+    .filter(method => pathItem[method])
+    .forEach(method => {
+      pathItem[method].responses.default = { $ref: '#/components/responses/Error' };
+    });
+});
+
+const spec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Car Shop API',
+    version: require('../package.json').version,
+    description: 'Car listings, inquiries, test drives, reservations and sales. ' +
+      'Errors are { message }, validation errors add an errors array.'
+  },
+  servers: [{ url: '/api' }],
+  tags: [
+    { name: 'Auth' },
+    { name: 'Cars' },
+    { name: 'Car photos' },
+    { name: 'Test drives' },
+    { name: 'Reservations' },
+    { name: 'Sales' },
+    { name: 'Price alerts' },
+    { name: 'Finance' },
+    { name: 'Trade-ins' },
+    { name: 'Inquiries' },
+    { name: 'Notifications' },
+    { name: 'Me' },
+    { name: 'Events' },
+    { name: 'Admin' },
+    { name: 'Analytics' },
+    { name: 'Health' }
+  ],
+  paths,
+  components
+};
+
+module.exports = spec;
@@ -0,0 +1,80 @@
+// /admin - back-office endpoints that don't belong to a single resource
+
+const { ref, arrayOf, jsonBody, json, errors, withMessage, paginated, pathParam, queryParam, bearer } = require('../helpers');
+const { ROLES } = require('../../config/permissions');
+
+module.exports = {
+  '/admin/audit': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Audit trail of staff changes, newest first (audit:view)',
+      security: bearer,
+      parameters: [
+        { $ref: '#/components/parameters/Page' },
+        queryParam('limit', null, { type: 'integer', minimum: 1, default: 20 }),
+        queryParam('entity', 'Entity type, e.g. car, inquiry, sale, user'),
+        queryParam('entityId', 'ID of the changed entity'),
+        queryParam('actorId', 'User who made the change', { type: 'integer', minimum: 1 }),
+        queryParam('action', 'e.g. create, update, delete, import'),
+        queryParam('from', 'At or after, ISO 8601 date or date-time'),
+        queryParam('to', 'Before, ISO 8601 date or date-time')
+      ],
+      responses: {
+        200: paginated('Audit entries', 'entries', ref('AuditEntry')),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/admin/roles': {
+    get: {
+      tags: ['Admin'],
+      summary: 'Every role with the permissions it grants (users:manage)',
+      security: bearer,
+      responses: {
+        200: json('Roles', {
+          type: 'object',
+          required: ['roles'],
+          properties: { roles: arrayOf(ref('Role')) }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/admin/users': {
+    get: {
+      tags: ['Admin'],
+      summary: 'User accounts by username (users:manage)',
+      security: bearer,
+      parameters: [
+        { $ref: '#/components/parameters/Page' },
+        queryParam('limit', null, { type: 'integer', minimum: 1, default: 20 }),
+        queryParam('role', null, { type: 'string', enum: ROLES }),
+        queryParam('search', 'Part of the username or email')
+      ],
+      responses: {
+        200: paginated('Users', 'users', ref('User')),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/admin/users/{id}/role': {
+    put: {
+      tags: ['Admin'],
+      summary: 'Assign a role (users:manage), the user has to log in again to pick it up',
+      security: bearer,
+      parameters: [pathParam('id', 'User ID')],
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['role'],
+        properties: { role: { type: 'string', enum: ROLES } }
+      }),
+      responses: {
+        200: withMessage('Role assigned (or already had it)', { user: ref('User') }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  }
+};
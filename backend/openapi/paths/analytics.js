@@ -0,0 +1,61 @@
+// /analytics - dashboard reports over a date range, as JSON or CSV
+
+const { ref, errors, queryParam, bearer } = require('../helpers');
+const { INTERVALS, CONVERSION_GROUPS } = require('../../models/analytics');
+
+const rangeParams = [
+  queryParam('from', 'Start of the range (ISO date or date-time), 30 days before to by default'),
+  queryParam('to', 'End of the range, now by default - a plain date includes that whole day'),
+  queryParam('interval', 'Bucket size, weeks start on Monday (UTC)', { type: 'string', enum: INTERVALS, default: 'day' }),
+  queryParam('format', 'csv downloads the rows', { type: 'string', enum: ['json', 'csv'], default: 'json' })
+];
+
+const report = (summary, description, extraParams = []) => ({
+  get: {
+    tags: ['Analytics'],
+    summary: `${summary} (reports:view)`,
+    description,
+    security: bearer,
+    parameters: [...rangeParams, ...extraParams],
+    responses: {
+      200: {
+        description: 'The report, or a CSV of its rows with format=csv',
+        content: {
+          'application/json': { schema: ref('AnalyticsReport') },
+          'text/csv': { schema: { type: 'string' } }
+        }
+      },
+      ...errors(400, 401, 403)
+    }
+  }
+});
+
+module.exports = {
+  '/analytics/inquiries': report(
+    'Inquiries over time',
+    'Inquiries created per period, split by their current status'
+  ),
+
+  '/analytics/response-times': report(
+    'Time to first response',
+    'Hours from an inquiry to the first staff message, average and median per period the inquiry came in'
+  ),
+
+  '/analytics/days-on-lot': report(
+    'Days on lot per car',
+    'Every car on the lot during the range, with when it left (sold or archived) and how many days it stayed. ' +
+      'interval does not apply'
+  ),
+
+  '/analytics/conversion': report(
+    'Inquiry-to-sale conversion',
+    'Inquiries created in the range per make or fuel type. An inquiry converted when the customer who asked bought ' +
+      'the car, cars_sold counts inquired cars sold to anyone. interval does not apply',
+    [queryParam('groupBy', 'Group by make (default) or fuel type', { type: 'string', enum: CONVERSION_GROUPS, default: 'make' })]
+  ),
+
+  '/analytics/inventory-value': report(
+    'Inventory value over time',
+    'Cars on the lot and their combined list price at the end of each period, using the price history'
+  )
+};
@@ -0,0 +1,151 @@
+// /auth - registration, login, token refresh and email flows
+
+const { ref, jsonBody, json, message, errors } = require('../helpers');
+const { DEFAULT_ROLE } = require('../../config/permissions');
+
+const emailBody = jsonBody({
+  type: 'object',
+  required: ['email'],
+  properties: { email: { type: 'string', format: 'email' } }
+});
+
+const password = {
+  type: 'string',
+  minLength: 6,
+  description: 'Needs an uppercase letter, a lowercase letter and a digit'
+};
+
+module.exports = {
+  '/auth/register': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Register a new user',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['username', 'email', 'password'],
+        properties: {
+          username: { type: 'string', minLength: 3, maxLength: 50, pattern: '^[a-zA-Z0-9_]+$' },
+          email: { type: 'string', format: 'email' },
+          password,
+          role: { type: 'string', enum: [DEFAULT_ROLE], description: 'Staff roles are assigned by an admin' }
+        }
+      }),
+      responses: {
+        201: json('Registered, logged in right away unless email verification is required', {
+          type: 'object',
+          required: ['message', 'user'],
+          properties: {
+            message: { type: 'string' },
+            accessToken: { type: 'string' },
+            user: ref('User')
+          }
+        }),
+        ...errors(400, 409)
+      }
+    }
+  },
+
+  '/auth/login': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Log in with username or email',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+          username: { type: 'string', minLength: 1, description: 'Username or email' },
+          password: { type: 'string', minLength: 1 }
+        }
+      }),
+      responses: {
+        200: json('Logged in', ref('AuthTokens')),
+        401: json('Wrong credentials', ref('Message')),
+        403: json('Email address not verified yet', {
+          type: 'object',
+          properties: { message: { type: 'string' }, emailNotVerified: { type: 'boolean' } }
+        }),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/auth/refresh': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Rotate the refresh token cookie and get a new access token',
+      responses: {
+        200: json('New access token', ref('AuthTokens')),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/auth/logout': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Revoke the refresh token and clear its cookie',
+      responses: {
+        200: message('Logged out')
+      }
+    }
+  },
+
+  '/auth/verify-email': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Confirm an email address with the token from the verification email',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token'],
+        properties: { token: { type: 'string', minLength: 1 } }
+      }),
+      responses: {
+        200: message('Email verified'),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/auth/resend-verification': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Send a new verification email',
+      requestBody: emailBody,
+      responses: {
+        200: message('Sent if the account exists and is not verified'),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/auth/forgot-password': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Email a password reset link',
+      requestBody: emailBody,
+      responses: {
+        200: message('Sent if an account with that email exists'),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/auth/reset-password': {
+    post: {
+      tags: ['Auth'],
+      summary: 'Set a new password with the token from the reset email',
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['token', 'password'],
+        properties: {
+          token: { type: 'string', minLength: 1 },
+          password
+        }
+      }),
+      responses: {
+        200: message('Password reset'),
+        ...errors(400)
+      }
+    }
+  }
+};
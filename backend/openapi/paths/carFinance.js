@@ -0,0 +1,38 @@
+// /cars/{id}/finance-quote - loan calculator for one car
+
+const { ref, jsonBody, json, errors, withMessage, pathParam, optionalBearer } = require('../helpers');
+
+module.exports = {
+  '/cars/{id}/finance-quote': {
+    parameters: [pathParam('id', 'Car ID')],
+    post: {
+      tags: ['Finance'],
+      summary: 'Monthly payment, total interest and amortization schedule',
+      description: 'Without an APR the rate of credit_tier (or the default tier) from GET /finance/terms is used. ' +
+        'Logged-in users can pass save: true to keep the quote, and inquiry_id to attach it to their inquiry about this car.',
+      security: optionalBearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['term_months'],
+        properties: {
+          term_months: { type: 'integer', description: 'One of the configured terms' },
+          down_payment: { type: 'number', minimum: 0 },
+          trade_in_credit: { type: 'number', minimum: 0 },
+          apr: { type: 'number', minimum: 0, maximum: 40 },
+          credit_tier: { type: 'string' },
+          save: { type: 'boolean' },
+          inquiry_id: { type: 'integer', minimum: 1, nullable: true }
+        }
+      }),
+      responses: {
+        200: json('Quote, not saved', {
+          type: 'object',
+          required: ['quote'],
+          properties: { quote: ref('FinanceQuote') }
+        }),
+        201: withMessage('Quote saved', { quote: ref('FinanceQuote') }),
+        ...errors(400, 401, 404)
+      }
+    }
+  }
+};
@@ -0,0 +1,108 @@
+// /cars/{id}/images - photo gallery of a car
+
+const { ref, arrayOf, json, errors, withMessage, pathParam, bearer, optionalBearer } = require('../helpers');
+
+const carId = pathParam('id', 'Car ID');
+const imageId = pathParam('imageId', 'Image ID');
+
+const gallery = (description) => withMessage(description, { images: arrayOf(ref('CarImage')) });
+
+module.exports = {
+  '/cars/{id}/images': {
+    parameters: [carId],
+    get: {
+      tags: ['Car photos'],
+      summary: 'The car\'s gallery in display order',
+      security: optionalBearer,
+      responses: {
+        200: json('Gallery', {
+          type: 'object',
+          required: ['images'],
+          properties: { images: arrayOf(ref('CarImage')) }
+        }),
+        ...errors(404)
+      }
+    },
+    post: {
+      tags: ['Car photos'],
+      summary: 'Upload one or more photos (cars:write)',
+      description: 'The first photo of a car without one becomes its primary photo',
+      security: bearer,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                images: arrayOf({ type: 'string', format: 'binary', description: 'JPEG, PNG or WebP' })
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: gallery('Photos uploaded'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/cars/{id}/images/order': {
+    parameters: [carId],
+    put: {
+      tags: ['Car photos'],
+      summary: 'Reorder the gallery (cars:write)',
+      security: bearer,
+      requestBody: {
+        required: true,
+        content: {
+          'application/json': {
+            schema: {
+              type: 'object',
+              required: ['image_ids'],
+              properties: {
+                image_ids: {
+                  ...arrayOf({ type: 'integer', minimum: 1 }),
+                  minItems: 1,
+                  description: 'Every image of the car exactly once, in the new order'
+                }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: gallery('Reordered'),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/cars/{id}/images/{imageId}/primary': {
+    parameters: [carId, imageId],
+    put: {
+      tags: ['Car photos'],
+      summary: 'Make a photo the primary one (cars:write)',
+      security: bearer,
+      responses: {
+        200: gallery('Primary photo changed'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/cars/{id}/images/{imageId}': {
+    parameters: [carId, imageId],
+    delete: {
+      tags: ['Car photos'],
+      summary: 'Delete a photo (cars:write)',
+      description: 'Deleting the primary photo promotes the next one',
+      security: bearer,
+      responses: {
+        200: withMessage('Photo deleted', { deleted: ref('CarImage') }),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
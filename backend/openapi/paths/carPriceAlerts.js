@@ -0,0 +1,54 @@
+// /cars/{id}/price-alerts - the current user's price-drop subscription
+
+const { ref, jsonBody, json, message, errors, withMessage, pathParam, bearer } = require('../helpers');
+const { nullable } = require('../components');
+
+const carId = pathParam('id', 'Car ID');
+
+module.exports = {
+  '/cars/{id}/price-alerts': {
+    parameters: [carId],
+    get: {
+      tags: ['Price alerts'],
+      summary: 'Is the current user subscribed to this car',
+      security: bearer,
+      responses: {
+        200: json('Subscription', {
+          type: 'object',
+          required: ['subscribed', 'alert'],
+          properties: {
+            subscribed: { type: 'boolean' },
+            alert: nullable('PriceAlert')
+          }
+        }),
+        ...errors(401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Price alerts'],
+      summary: 'Subscribe, or change the target price',
+      description: 'Without a target price every drop is reported',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          target_price: { type: 'number', minimum: 0, nullable: true, description: 'Must be below the current price' }
+        }
+      }, false),
+      responses: {
+        200: withMessage('Target price changed', { alert: ref('PriceAlert') }),
+        201: withMessage('Subscribed', { alert: ref('PriceAlert') }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Price alerts'],
+      summary: 'Unsubscribe',
+      security: bearer,
+      responses: {
+        200: message('Unsubscribed'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
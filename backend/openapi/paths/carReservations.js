@@ -0,0 +1,40 @@
+// /cars/{id}/reservations - holds on one car
+
+const { ref, arrayOf, jsonBody, json, errors, withMessage, pathParam, bearer } = require('../helpers');
+const { DEFAULT_HOLD_HOURS, MAX_HOLD_HOURS } = require('../../models/reservation');
+
+const carId = pathParam('id', 'Car ID');
+
+module.exports = {
+  '/cars/{id}/reservations': {
+    parameters: [carId],
+    get: {
+      tags: ['Reservations'],
+      summary: 'Reservation history of the car (reservations:manage)',
+      security: bearer,
+      responses: {
+        200: json('Reservations, newest first', {
+          type: 'object',
+          properties: { reservations: arrayOf(ref('Reservation')) }
+        }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Reservations'],
+      summary: 'Put a hold on the car',
+      description: 'Takes the car off the market until the hold expires, is cancelled or becomes a sale',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          hours: { type: 'integer', minimum: 1, maximum: MAX_HOLD_HOURS, default: DEFAULT_HOLD_HOURS }
+        }
+      }, false),
+      responses: {
+        201: withMessage('Car reserved', { reservation: ref('Reservation') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  }
+};
@@ -0,0 +1,71 @@
+// /cars/{id}/test-drives - slots and bookings of one car
+
+const { ref, arrayOf, jsonBody, json, errors, withMessage, pathParam, queryParam, bearer } = require('../helpers');
+
+const carId = pathParam('id', 'Car ID');
+
+module.exports = {
+  '/cars/{id}/test-drives/slots': {
+    parameters: [carId],
+    get: {
+      tags: ['Test drives'],
+      summary: 'Free and taken slots for one day',
+      parameters: [
+        queryParam('date', 'Local date in the schedule\'s timezone, today when left out', { type: 'string', format: 'date' })
+      ],
+      responses: {
+        200: json('Slots of the day', {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date' },
+            timezone: { type: 'string' },
+            slot_minutes: { type: 'integer' },
+            car_available: { type: 'boolean' },
+            slots: arrayOf({
+              type: 'object',
+              properties: {
+                starts_at: { type: 'string', format: 'date-time' },
+                ends_at: { type: 'string', format: 'date-time' },
+                available: { type: 'boolean' }
+              }
+            })
+          }
+        }),
+        ...errors(400, 404)
+      }
+    }
+  },
+
+  '/cars/{id}/test-drives': {
+    parameters: [carId],
+    get: {
+      tags: ['Test drives'],
+      summary: 'All bookings for the car (test_drives:manage)',
+      security: bearer,
+      responses: {
+        200: json('Bookings, latest first', {
+          type: 'object',
+          properties: { test_drives: arrayOf(ref('TestDrive')) }
+        }),
+        ...errors(401, 403, 404)
+      }
+    },
+    post: {
+      tags: ['Test drives'],
+      summary: 'Request a test-drive slot',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['starts_at'],
+        properties: {
+          starts_at: { type: 'string', format: 'date-time', description: 'Start of a free slot' },
+          notes: { type: 'string', maxLength: 500 }
+        }
+      }),
+      responses: {
+        201: withMessage('Booking requested', { test_drive: ref('TestDrive') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  }
+};
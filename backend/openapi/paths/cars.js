@@ -0,0 +1,401 @@
+// /cars - listing, search, CRUD and CSV import/export
+// Photos, test drives, holds and price alerts of a car are in their own files
+
+const {
+  ref,
+  arrayOf,
+  jsonBody,
+  json,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  ifNoneMatch,
+  cached,
+  pageParams,
+  bearer,
+  optionalBearer
+} = require('../helpers');
+const { FUEL_TYPES, TRANSMISSIONS } = require('../components');
+const { ARCHIVE_RETENTION_DAYS } = require('../../models/carArchive');
+
+const carId = pathParam('id', 'Car ID');
+
+// Items are checked as they arrive, before toList splits them, so a fixed set of values
+// is a pattern that allows several of them separated by commas
+const oneOrMoreOf = (values) => {
+  const value = `\\s*(${values.join('|')})\\s*`;
+  return { type: 'string', pattern: `^${value}(,${value})*$` };
+};
+
+// Comma separated or repeated, e.g. fuelType=diesel,hybrid
+const listFilter = (name, description, items = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  description: `${description}, comma separated or repeated for several values`,
+  schema: arrayOf(items),
+  style: 'form',
+  explode: true,
+  allowReserved: true
+});
+
+// The filters buildCarFilters understands (FILTER_KEYS)
+const filterParams = [
+  listFilter('make', 'Partial match on the make'),
+  listFilter('model', 'Partial match on the model'),
+  listFilter('fuelType', `Fuel type (${FUEL_TYPES.join(', ')})`, oneOrMoreOf(FUEL_TYPES)),
+  listFilter('transmission', `Transmission (${TRANSMISSIONS.join(', ')})`, oneOrMoreOf(TRANSMISSIONS)),
+  listFilter('color', 'Color, case-insensitive'),
+  queryParam('minPrice', 'Lowest price', { type: 'number' }),
+  queryParam('maxPrice', 'Highest price', { type: 'number' }),
+  queryParam('minYear', 'Oldest year', { type: 'integer' }),
+  queryParam('maxYear', 'Newest year', { type: 'integer' }),
+  queryParam('minMileage', 'Lowest mileage', { type: 'integer' }),
+  queryParam('maxMileage', 'Highest mileage', { type: 'integer' }),
+  queryParam('available', 'Only available cars unless false or all', { type: 'string', enum: ['true', 'false', 'all'], default: 'true' }),
+  queryParam('archived', 'Archived cars: true = only those, all = both (cars:write only, ignored for everyone else)', { type: 'string', enum: ['true', 'false', 'all'], default: 'false' })
+];
+
+module.exports = {
+  '/cars': {
+    get: {
+      tags: ['Cars'],
+      summary: 'List cars with filters and facet counts',
+      security: optionalBearer,
+      parameters: [
+        ...pageParams,
+        ...filterParams,
+        queryParam('facets', 'Pass false to skip the facet counts', { type: 'string', enum: ['true', 'false'] }),
+        queryParam('mileageBucket', 'Bucket size of the mileage facet', { type: 'integer', minimum: 1 }),
+        ifNoneMatch
+      ],
+      responses: {
+        ...cached(paginated('Cars, newest first', 'cars', ref('CarListItem'), { facets: ref('CarFacets') })),
+        ...errors(400)
+      }
+    },
+    post: {
+      tags: ['Cars'],
+      summary: 'Create a car (cars:write)',
+      description: 'A VIN fills in a missing make and year, mismatches with the submitted values are flagged, not rejected',
+      security: bearer,
+      requestBody: jsonBody(ref('CarInput')),
+      responses: {
+        201: json('Car created', {
+          type: 'object',
+          required: ['message', 'car'],
+          properties: {
+            message: { type: 'string' },
+            car: ref('Car'),
+            vin: {
+              type: 'object',
+              description: 'Only when a VIN was given',
+              properties: {
+                decoded: ref('VinDecoding'),
+                autofilled: arrayOf({ type: 'string', enum: ['make', 'year'] }),
+                mismatches: arrayOf({
+                  type: 'object',
+                  properties: {
+                    field: { type: 'string' },
+                    submitted: {},
+                    decoded: {}
+                  }
+                })
+              }
+            }
+          }
+        }),
+        ...errors(400, 401, 403, 409)
+      }
+    }
+  },
+
+  '/cars/search': {
+    get: {
+      tags: ['Cars'],
+      summary: 'Free-text search ranked by relevance',
+      description: 'Accepts the same filters as GET /cars, the text is matched on top of them',
+      security: optionalBearer,
+      parameters: [
+        { ...queryParam('q', 'Search text, e.g. "red automatic bmw diesel"', { type: 'string', minLength: 2 }), required: true, allowReserved: true },
+        ...pageParams,
+        ...filterParams
+      ],
+      responses: {
+        200: paginated('Best matches first', 'cars', {
+          allOf: [
+            ref('CarListItem'),
+            {
+              type: 'object',
+              properties: {
+                relevance: { type: 'number' },
+                matched_terms: arrayOf({ type: 'string' })
+              }
+            }
+          ]
+        }, { query: { type: 'string' } }),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/cars/compare': {
+    get: {
+      tags: ['Cars'],
+      summary: 'Compare 2 to 4 cars side by side',
+      description: 'Specs aligned per car with the differing rows flagged, plus price per year of age, mileage per year ' +
+        'and the price difference against the cheapest car. Ids that don\'t exist are reported per item',
+      security: optionalBearer,
+      parameters: [
+        { ...queryParam('ids', 'Comma separated car IDs, e.g. 1,4,6', { type: 'string' }), required: true, allowReserved: true }
+      ],
+      responses: {
+        200: json('Comparison', ref('CarComparison')),
+        ...errors(400)
+      }
+    }
+  },
+
+  '/cars/vin/{vin}': {
+    get: {
+      tags: ['Cars'],
+      summary: 'Validate and decode a VIN without saving anything (cars:write)',
+      security: bearer,
+      parameters: [pathParam('vin', 'Vehicle identification number', { type: 'string' })],
+      responses: {
+        200: json('Valid VIN', {
+          allOf: [
+            ref('VinDecoding'),
+            { type: 'object', properties: { valid: { type: 'boolean', enum: [true] } } }
+          ]
+        }),
+        400: json('Invalid VIN', {
+          type: 'object',
+          properties: { message: { type: 'string' }, valid: { type: 'boolean', enum: [false] } }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/cars/export': {
+    get: {
+      tags: ['Cars'],
+      summary: 'Download the filtered inventory as CSV (cars:write)',
+      description: 'Accepts the same filters as GET /cars, pass available=all to include unavailable cars',
+      security: bearer,
+      parameters: filterParams,
+      responses: {
+        200: {
+          description: 'CSV file, one row per car',
+          content: { 'text/csv': { schema: { type: 'string' } } }
+        },
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/cars/import': {
+    post: {
+      tags: ['Cars'],
+      summary: 'Create or update cars from a CSV upload (cars:write)',
+      description: 'Rows are matched by stock_number, nothing is written unless every row is valid',
+      security: bearer,
+      parameters: [
+        queryParam('dryRun', 'Validate only', { type: 'string', enum: ['true', 'false'] })
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                file: { type: 'string', format: 'binary', description: 'CSV with a header row, at most 2 MB' },
+                dryRun: { type: 'string', enum: ['true', 'false'] }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        200: json('Imported, or dry run passed', {
+          type: 'object',
+          required: ['message', 'summary', 'errors'],
+          properties: {
+            message: { type: 'string' },
+            summary: ref('CarImportSummary'),
+            created_ids: arrayOf({ type: 'integer' }),
+            updated_ids: arrayOf({ type: 'integer' }),
+            errors: arrayOf(ref('CarImportError'))
+          }
+        }),
+        400: json('Unreadable file or invalid rows, nothing was saved', {
+          type: 'object',
+          required: ['message'],
+          properties: {
+            message: { type: 'string' },
+            summary: ref('CarImportSummary'),
+            errors: arrayOf(ref('CarImportError'))
+          }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/cars/admin/stats': {
+    get: {
+      tags: ['Cars'],
+      summary: 'Inventory statistics (reports:view)',
+      security: bearer,
+      responses: {
+        200: json('Statistics', {
+          type: 'object',
+          properties: {
+            overview: {
+              type: 'object',
+              properties: {
+                total_cars: { type: 'integer' },
+                available_cars: { type: 'integer', nullable: true },
+                average_price: { type: 'number', nullable: true },
+                lowest_price: { type: 'number', nullable: true },
+                highest_price: { type: 'number', nullable: true },
+                archived_cars: { type: 'integer' }
+              }
+            },
+            popular_makes: arrayOf({
+              type: 'object',
+              properties: { make: { type: 'string' }, count: { type: 'integer' } }
+            })
+          }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/cars/{id}': {
+    parameters: [carId],
+    get: {
+      tags: ['Cars'],
+      summary: 'One car with its photo gallery, archived cars only for cars:write',
+      security: optionalBearer,
+      parameters: [ifNoneMatch],
+      responses: {
+        ...cached(json('Car', {
+          allOf: [
+            ref('Car'),
+            {
+              type: 'object',
+              properties: {
+                is_favorite: { type: 'boolean' },
+                images: arrayOf(ref('CarImage'))
+              }
+            }
+          ]
+        })),
+        ...errors(404)
+      }
+    },
+    put: {
+      tags: ['Cars'],
+      summary: 'Update a car (cars:write)',
+      description: 'Leaving stock_number or vin out keeps the current value, null clears it',
+      security: bearer,
+      requestBody: jsonBody({
+        allOf: [ref('CarInput'), { type: 'object', required: ['make', 'year'] }]
+      }),
+      responses: {
+        200: withMessage('Car updated', { car: ref('Car') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    },
+    delete: {
+      tags: ['Cars'],
+      summary: 'Archive a car (cars:write)',
+      description: 'The car leaves the listings and its upcoming test drives are cancelled, inquiries and history are kept',
+      security: bearer,
+      responses: {
+        200: withMessage('Car archived', { car: ref('Car') }),
+        ...errors(401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/cars/{id}/restore': {
+    parameters: [carId],
+    post: {
+      tags: ['Cars'],
+      summary: 'Put an archived car back into the listings (cars:write)',
+      security: bearer,
+      responses: {
+        200: withMessage('Car restored', { car: ref('Car') }),
+        ...errors(401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/cars/purge': {
+    post: {
+      tags: ['Cars'],
+      summary: 'Delete cars archived longer than the retention period for good (cars:purge)',
+      description: `Retention is ${ARCHIVE_RETENTION_DAYS} days (CAR_ARCHIVE_RETENTION_DAYS). Inquiries, bookings and photos go with the car, sold cars are kept`,
+      security: bearer,
+      parameters: [
+        queryParam('dryRun', 'List what would be purged without deleting anything', { type: 'string', enum: ['true', 'false'] })
+      ],
+      responses: {
+        200: json('Purged, or dry run', {
+          type: 'object',
+          required: ['message', 'dry_run', 'retention_days', 'cutoff', 'purged', 'kept'],
+          properties: {
+            message: { type: 'string' },
+            dry_run: { type: 'boolean' },
+            retention_days: { type: 'integer' },
+            cutoff: { type: 'string', format: 'date-time' },
+            purged: arrayOf({
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                stock_number: { type: 'string', nullable: true },
+                make: { type: 'string' },
+                model: { type: 'string' },
+                year: { type: 'integer' },
+                archived_at: { type: 'string', format: 'date-time' }
+              }
+            }),
+            kept: arrayOf({
+              type: 'object',
+              properties: { id: { type: 'integer' }, reason: { type: 'string' } }
+            })
+          }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/cars/{id}/price-history': {
+    parameters: [carId],
+    get: {
+      tags: ['Cars'],
+      summary: 'Every price change of the car, oldest first',
+      security: optionalBearer,
+      responses: {
+        200: json('Price history', {
+          type: 'object',
+          properties: {
+            car_id: { type: 'integer' },
+            current_price: { type: 'number' },
+            original_price: { type: 'number' },
+            reduced_by: { type: 'number' },
+            history: arrayOf(ref('PriceChange'))
+          }
+        }),
+        ...errors(404)
+      }
+    }
+  }
+};
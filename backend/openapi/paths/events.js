@@ -0,0 +1,35 @@
+// /events - live event stream (server-sent events)
+
+const { errors, queryParam, bearer } = require('../helpers');
+
+module.exports = {
+  '/events': {
+    get: {
+      tags: ['Events'],
+      summary: 'Inquiry, trade-in and car events as they happen',
+      description: 'A text/event-stream. Staff with events:view receive every event, customers only events about ' +
+        'their own inquiries and trade-ins. Event types: inquiry.created, inquiry.status_changed, ' +
+        'trade_in.submitted, trade_in.status_changed, car.created, car.availability_changed, ' +
+        'and stream.reset when missed events could not be replayed. ' +
+        'A heartbeat comment is sent every 25 seconds and the stream ends when the access token expires.',
+      security: bearer,
+      parameters: [
+        queryParam('access_token', 'Access token instead of the Authorization header, which EventSource cannot send'),
+        {
+          name: 'Last-Event-ID',
+          in: 'header',
+          description: 'Id of the last event received, the events after it are replayed',
+          schema: { type: 'string' }
+        },
+        queryParam('last_event_id', 'Same as the Last-Event-ID header, for a new EventSource after a token refresh')
+      ],
+      responses: {
+        200: {
+          description: 'Event stream, each event has an id, a type and JSON data',
+          content: { 'text/event-stream': { schema: { type: 'string' } } }
+        },
+        ...errors(401, 403)
+      }
+    }
+  }
+};
@@ -0,0 +1,25 @@
+// /finance - APR tiers and loan lengths used by the finance quotes
+
+const { ref, jsonBody, json, errors, withMessage, bearer } = require('../helpers');
+
+module.exports = {
+  '/finance/terms': {
+    get: {
+      tags: ['Finance'],
+      summary: 'APR tiers, allowed loan lengths and the default tier',
+      responses: {
+        200: json('Finance terms', ref('FinanceTerms'))
+      }
+    },
+    put: {
+      tags: ['Finance'],
+      summary: 'Change APR tiers and loan lengths (finance:manage)',
+      security: bearer,
+      requestBody: jsonBody(ref('FinanceTerms')),
+      responses: {
+        200: withMessage('Finance terms saved', { finance_terms: ref('FinanceTerms') }),
+        ...errors(400, 401, 403)
+      }
+    }
+  }
+};
@@ -0,0 +1,199 @@
+// /inquiries - customer questions about a car and their message threads
+
+const {
+  ref,
+  arrayOf,
+  jsonBody,
+  json,
+  message,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  pageParams,
+  bearer
+} = require('../helpers');
+
+const inquiryId = pathParam('id', 'Inquiry ID');
+const statusFilter = queryParam('status', 'Only inquiries with this status', { type: 'string', enum: ['pending', 'responded', 'closed'] });
+
+module.exports = {
+  '/inquiries': {
+    get: {
+      tags: ['Inquiries'],
+      summary: 'The current user\'s inquiries',
+      security: bearer,
+      parameters: [...pageParams, statusFilter],
+      responses: {
+        200: paginated('Inquiries, newest first', 'inquiries', ref('Inquiry')),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Inquiries'],
+      summary: 'Ask about an available car',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['car_id', 'message'],
+        properties: {
+          car_id: { type: 'integer', minimum: 1 },
+          message: { type: 'string', minLength: 10, maxLength: 1000 }
+        }
+      }),
+      responses: {
+        201: withMessage('Inquiry created', { inquiry: ref('Inquiry') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/inquiries/admin/all': {
+    get: {
+      tags: ['Inquiries'],
+      summary: 'Everyone\'s inquiries (inquiries:respond)',
+      security: bearer,
+      parameters: [
+        ...pageParams,
+        statusFilter,
+        queryParam('userId', 'Only this customer\'s inquiries', { type: 'integer', minimum: 1 })
+      ],
+      responses: {
+        200: paginated('Inquiries, newest first', 'inquiries', ref('Inquiry')),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/inquiries/admin/stats': {
+    get: {
+      tags: ['Inquiries'],
+      summary: 'Inquiry statistics (reports:view)',
+      security: bearer,
+      responses: {
+        200: json('Statistics', {
+          type: 'object',
+          properties: {
+            overview: {
+              type: 'object',
+              properties: {
+                total_inquiries: { type: 'integer' },
+                pending_inquiries: { type: 'integer' },
+                responded_inquiries: { type: 'integer' },
+                closed_inquiries: { type: 'integer' },
+                recent_inquiries: { type: 'integer', description: 'Created in the last 7 days' }
+              }
+            },
+            most_inquired_cars: arrayOf({
+              type: 'object',
+              properties: {
+                make: { type: 'string' },
+                model: { type: 'string' },
+                year: { type: 'integer' },
+                inquiry_count: { type: 'integer' }
+              }
+            })
+          }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/inquiries/{id}': {
+    parameters: [inquiryId],
+    get: {
+      tags: ['Inquiries'],
+      summary: 'One inquiry, customers only see their own',
+      security: bearer,
+      responses: {
+        200: json('Inquiry with car and customer details', ref('Inquiry')),
+        ...errors(401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Inquiries'],
+      summary: 'Delete an inquiry, customers only their own',
+      security: bearer,
+      responses: {
+        200: message('Inquiry deleted'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/inquiries/{id}/status': {
+    parameters: [inquiryId],
+    put: {
+      tags: ['Inquiries'],
+      summary: 'Change the status (inquiries:respond)',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['status'],
+        properties: {
+          status: { type: 'string', enum: ['pending', 'responded', 'closed'] }
+        }
+      }),
+      responses: {
+        200: withMessage('Status changed', { inquiry: ref('Inquiry') }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/inquiries/{id}/messages': {
+    parameters: [inquiryId],
+    get: {
+      tags: ['Inquiries'],
+      summary: 'The message thread, oldest first',
+      security: bearer,
+      responses: {
+        200: json('Thread', {
+          type: 'object',
+          properties: {
+            inquiry_id: { type: 'integer' },
+            status: { type: 'string', enum: ['pending', 'responded', 'closed'] },
+            unread_count: { type: 'integer' },
+            messages: arrayOf(ref('InquiryMessage'))
+          }
+        }),
+        ...errors(401, 403, 404)
+      }
+    },
+    post: {
+      tags: ['Inquiries'],
+      summary: 'Reply in the thread',
+      description: 'Staff replies mark the inquiry responded, customer replies put it back to pending',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['body'],
+        properties: {
+          body: { type: 'string', minLength: 1, maxLength: 1000 }
+        }
+      }),
+      responses: {
+        201: withMessage('Reply sent', {
+          inquiry_status: { type: 'string', enum: ['pending', 'responded'] },
+          reply: ref('InquiryMessage')
+        }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/inquiries/{id}/messages/read': {
+    parameters: [inquiryId],
+    post: {
+      tags: ['Inquiries'],
+      summary: 'Mark the thread as read for the current user',
+      security: bearer,
+      responses: {
+        200: message('Marked as read'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
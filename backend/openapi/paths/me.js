@@ -0,0 +1,172 @@
+// /me - the logged-in customer's favorite cars, saved searches and saved finance quotes
+
+const { ref, arrayOf, jsonBody, json, message, errors, withMessage, pathParam, bearer } = require('../helpers');
+
+const favoriteState = (description) => withMessage(description, {
+  car_id: { type: 'integer' },
+  is_favorite: { type: 'boolean' }
+});
+
+const savedSearchInput = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    filters: ref('CarFilters'),
+    notify: { type: 'boolean', description: 'Notify about new matching cars, on by default' }
+  }
+};
+
+const carId = pathParam('carId', 'Car ID');
+const savedSearchId = pathParam('id', 'Saved search ID');
+const financeQuoteId = pathParam('id', 'Finance quote ID');
+
+module.exports = {
+  '/me/favorites': {
+    get: {
+      tags: ['Me'],
+      summary: 'Starred cars, most recently starred first',
+      security: bearer,
+      responses: {
+        200: json('Favorites', {
+          type: 'object',
+          properties: {
+            favorites: arrayOf({
+              allOf: [
+                ref('CarListItem'),
+                { type: 'object', properties: { favorited_at: { type: 'string', format: 'date-time' } } }
+              ]
+            })
+          }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/me/favorites/{carId}': {
+    parameters: [carId],
+    put: {
+      tags: ['Me'],
+      summary: 'Star a car, starring twice is fine',
+      security: bearer,
+      responses: {
+        200: favoriteState('Already starred'),
+        201: favoriteState('Starred'),
+        ...errors(401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Me'],
+      summary: 'Unstar a car',
+      security: bearer,
+      responses: {
+        200: favoriteState('Unstarred'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/me/saved-searches': {
+    get: {
+      tags: ['Me'],
+      summary: 'All saved searches, newest first',
+      security: bearer,
+      responses: {
+        200: json('Saved searches', {
+          type: 'object',
+          properties: { saved_searches: arrayOf(ref('SavedSearch')) }
+        }),
+        ...errors(401, 403)
+      }
+    },
+    post: {
+      tags: ['Me'],
+      summary: 'Save a filter set of GET /cars',
+      security: bearer,
+      requestBody: jsonBody({ ...savedSearchInput, required: ['name', 'filters'] }),
+      responses: {
+        201: withMessage('Saved', { saved_search: ref('SavedSearch') }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/me/saved-searches/{id}': {
+    parameters: [savedSearchId],
+    put: {
+      tags: ['Me'],
+      summary: 'Rename, change filters or toggle notifications',
+      security: bearer,
+      requestBody: jsonBody(savedSearchInput),
+      responses: {
+        200: withMessage('Updated', { saved_search: ref('SavedSearch') }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Me'],
+      summary: 'Delete a saved search',
+      security: bearer,
+      responses: {
+        200: message('Deleted'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/me/finance-quotes': {
+    get: {
+      tags: ['Me'],
+      summary: 'Saved finance quotes, newest first, without schedules',
+      description: 'Quotes are saved through POST /cars/{id}/finance-quote with save: true',
+      security: bearer,
+      responses: {
+        200: json('Finance quotes', {
+          type: 'object',
+          properties: { finance_quotes: arrayOf(ref('FinanceQuote')) }
+        }),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/me/finance-quotes/{id}': {
+    parameters: [financeQuoteId],
+    get: {
+      tags: ['Me'],
+      summary: 'One saved quote with its amortization schedule',
+      security: bearer,
+      responses: {
+        200: json('Finance quote', {
+          type: 'object',
+          required: ['quote'],
+          properties: { quote: ref('FinanceQuote') }
+        }),
+        ...errors(401, 403, 404)
+      }
+    },
+    put: {
+      tags: ['Me'],
+      summary: 'Attach the quote to your inquiry about the same car, null detaches it',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['inquiry_id'],
+        properties: { inquiry_id: { type: 'integer', minimum: 1, nullable: true } }
+      }),
+      responses: {
+        200: withMessage('Updated', { quote: ref('FinanceQuote') }),
+        ...errors(400, 401, 403, 404)
+      }
+    },
+    delete: {
+      tags: ['Me'],
+      summary: 'Delete a saved quote',
+      security: bearer,
+      responses: {
+        200: message('Deleted'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
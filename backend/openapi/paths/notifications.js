@@ -0,0 +1,71 @@
+// /notifications - in-app notification feed of the current user
+
+const { ref, json, message, errors, paginated, pathParam, queryParam, bearer } = require('../helpers');
+
+const unreadCount = (description) => json(description, {
+  type: 'object',
+  required: ['message', 'unread_count'],
+  properties: {
+    message: { type: 'string' },
+    unread_count: { type: 'integer' }
+  }
+});
+
+module.exports = {
+  '/notifications': {
+    get: {
+      tags: ['Notifications'],
+      summary: 'The feed, newest first',
+      security: bearer,
+      parameters: [
+        { $ref: '#/components/parameters/Page' },
+        queryParam('limit', null, { type: 'integer', minimum: 1, default: 20 }),
+        queryParam('unread', 'Pass true for unread notifications only', { type: 'string', enum: ['true', 'false'] })
+      ],
+      responses: {
+        200: paginated('Notifications', 'notifications', ref('Notification'), {
+          unread_count: { type: 'integer' }
+        }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/notifications/read-all': {
+    put: {
+      tags: ['Notifications'],
+      summary: 'Mark the whole feed as read',
+      security: bearer,
+      responses: {
+        200: unreadCount('All read'),
+        ...errors(401, 403)
+      }
+    }
+  },
+
+  '/notifications/{id}/read': {
+    parameters: [pathParam('id', 'Notification ID')],
+    put: {
+      tags: ['Notifications'],
+      summary: 'Mark one notification as read',
+      security: bearer,
+      responses: {
+        200: unreadCount('Marked as read'),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/notifications/{id}': {
+    parameters: [pathParam('id', 'Notification ID')],
+    delete: {
+      tags: ['Notifications'],
+      summary: 'Remove a notification from the feed',
+      security: bearer,
+      responses: {
+        200: message('Deleted'),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
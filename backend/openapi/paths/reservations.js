@@ -0,0 +1,79 @@
+// /reservations - holds across all cars and converting them into sales
+
+const {
+  ref,
+  jsonBody,
+  json,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  pageParams,
+  bearer
+} = require('../helpers');
+
+const reservationId = pathParam('id', 'Reservation ID');
+
+module.exports = {
+  '/reservations': {
+    get: {
+      tags: ['Reservations'],
+      summary: 'Own reservations, staff with reservations:manage see everyone\'s',
+      security: bearer,
+      parameters: [
+        ...pageParams,
+        queryParam('status', 'Only reservations with this status', { type: 'string', enum: ['active', 'expired', 'cancelled', 'converted'] }),
+        queryParam('carId', 'Only reservations of this car', { type: 'integer', minimum: 1 })
+      ],
+      responses: {
+        200: paginated('Reservations, newest first', 'reservations', ref('Reservation')),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/reservations/{id}': {
+    parameters: [reservationId],
+    get: {
+      tags: ['Reservations'],
+      summary: 'One reservation',
+      security: bearer,
+      responses: {
+        200: json('Reservation', ref('Reservation')),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/reservations/{id}/cancel': {
+    parameters: [reservationId],
+    put: {
+      tags: ['Reservations'],
+      summary: 'Release the hold (reservations:manage, or the customer who placed it)',
+      security: bearer,
+      responses: {
+        200: withMessage('Cancelled', { reservation: ref('Reservation') }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/reservations/{id}/sale': {
+    parameters: [reservationId],
+    post: {
+      tags: ['Reservations'],
+      summary: 'Convert the hold into a sale (sales:manage)',
+      description: 'The buyer defaults to the customer holding the car, the car\'s pending inquiries are closed',
+      security: bearer,
+      requestBody: jsonBody(ref('SaleInput')),
+      responses: {
+        201: withMessage('Sale recorded', {
+          sale: ref('Sale'),
+          closed_inquiries: { type: 'integer' }
+        }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  }
+};
@@ -0,0 +1,67 @@
+// /sales - recorded car sales (sales:manage)
+
+const {
+  ref,
+  jsonBody,
+  json,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  pageParams,
+  bearer
+} = require('../helpers');
+
+module.exports = {
+  '/sales': {
+    get: {
+      tags: ['Sales'],
+      summary: 'All sales, newest first',
+      security: bearer,
+      parameters: [
+        ...pageParams,
+        queryParam('buyerId', 'Only this buyer\'s purchases', { type: 'integer', minimum: 1 })
+      ],
+      responses: {
+        200: paginated('Sales', 'sales', ref('Sale')),
+        ...errors(400, 401, 403)
+      }
+    },
+    post: {
+      tags: ['Sales'],
+      summary: 'Sell an available car without a prior hold',
+      security: bearer,
+      requestBody: jsonBody({
+        allOf: [
+          ref('SaleInput'),
+          {
+            type: 'object',
+            required: ['car_id', 'buyer_id'],
+            properties: { car_id: { type: 'integer', minimum: 1 } }
+          }
+        ]
+      }),
+      responses: {
+        201: withMessage('Sale recorded', {
+          sale: ref('Sale'),
+          closed_inquiries: { type: 'integer' }
+        }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/sales/{id}': {
+    parameters: [pathParam('id', 'Sale ID')],
+    get: {
+      tags: ['Sales'],
+      summary: 'One sale',
+      security: bearer,
+      responses: {
+        200: json('Sale', ref('Sale')),
+        ...errors(401, 403, 404)
+      }
+    }
+  }
+};
@@ -0,0 +1,122 @@
+// /test-drives - bookings across all cars and the opening hours
+
+const {
+  ref,
+  jsonBody,
+  json,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  pageParams,
+  bearer
+} = require('../helpers');
+
+const testDriveId = pathParam('id', 'Test drive ID');
+
+module.exports = {
+  '/test-drives/schedule': {
+    get: {
+      tags: ['Test drives'],
+      summary: 'Opening hours and slot length',
+      responses: {
+        200: json('Schedule', ref('TestDriveSchedule'))
+      }
+    },
+    put: {
+      tags: ['Test drives'],
+      summary: 'Change opening hours and slot length (test_drives:manage)',
+      security: bearer,
+      requestBody: jsonBody(ref('TestDriveSchedule')),
+      responses: {
+        200: withMessage('Schedule saved', { schedule: ref('TestDriveSchedule') }),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/test-drives': {
+    get: {
+      tags: ['Test drives'],
+      summary: 'Own bookings, staff with test_drives:manage see everyone\'s',
+      security: bearer,
+      parameters: [
+        ...pageParams,
+        queryParam('status', 'Only bookings with this status', { type: 'string', enum: ['pending', 'confirmed', 'cancelled'] }),
+        queryParam('carId', 'Only bookings of this car', { type: 'integer', minimum: 1 }),
+        queryParam('from', 'Starting at or after, ISO 8601 date or date-time'),
+        queryParam('to', 'Starting before, ISO 8601 date or date-time')
+      ],
+      responses: {
+        200: paginated('Bookings, soonest first', 'test_drives', ref('TestDrive')),
+        ...errors(400, 401, 403)
+      }
+    }
+  },
+
+  '/test-drives/{id}': {
+    parameters: [testDriveId],
+    get: {
+      tags: ['Test drives'],
+      summary: 'One booking',
+      security: bearer,
+      responses: {
+        200: json('Booking', ref('TestDrive')),
+        ...errors(401, 403, 404)
+      }
+    }
+  },
+
+  '/test-drives/{id}/confirm': {
+    parameters: [testDriveId],
+    put: {
+      tags: ['Test drives'],
+      summary: 'Confirm a requested slot (test_drives:manage)',
+      security: bearer,
+      responses: {
+        200: withMessage('Confirmed', { test_drive: ref('TestDrive') }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  },
+
+  '/test-drives/{id}/reschedule': {
+    parameters: [testDriveId],
+    put: {
+      tags: ['Test drives'],
+      summary: 'Move a booking to another slot (test_drives:manage)',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['starts_at'],
+        properties: {
+          starts_at: { type: 'string', format: 'date-time' }
+        }
+      }),
+      responses: {
+        200: withMessage('Rescheduled', { test_drive: ref('TestDrive') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/test-drives/{id}/cancel': {
+    parameters: [testDriveId],
+    put: {
+      tags: ['Test drives'],
+      summary: 'Cancel a booking (test_drives:manage, or the customer who made it)',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        properties: {
+          reason: { type: 'string', maxLength: 500 }
+        }
+      }, false),
+      responses: {
+        200: withMessage('Cancelled', { test_drive: ref('TestDrive') }),
+        ...errors(400, 401, 403, 404)
+      }
+    }
+  }
+};
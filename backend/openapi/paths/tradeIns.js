@@ -0,0 +1,186 @@
+// /trade-ins - trade-in appraisals, from the customer's request to an offer and a new car listing
+
+const {
+  ref,
+  arrayOf,
+  jsonBody,
+  json,
+  errors,
+  withMessage,
+  paginated,
+  pathParam,
+  queryParam,
+  pageParams,
+  bearer
+} = require('../helpers');
+const { FUEL_TYPES, TRANSMISSIONS } = require('../components');
+const { TRADE_IN_STATUSES, DEFAULT_OFFER_DAYS, MAX_OFFER_DAYS } = require('../../models/tradeIn');
+
+const tradeInId = pathParam('id', 'Trade-in ID');
+const photoId = pathParam('photoId', 'Photo ID');
+
+const tradeInResponse = (description) => withMessage(description, { trade_in: ref('TradeIn') });
+
+// Customer answers to an offer, all without a body
+const customerAction = (summary, description, responseDescription) => ({
+  put: {
+    tags: ['Trade-ins'],
+    summary,
+    ...(description ? { description } : {}),
+    security: bearer,
+    responses: {
+      200: tradeInResponse(responseDescription),
+      ...errors(401, 403, 404, 409)
+    }
+  }
+});
+
+module.exports = {
+  '/trade-ins': {
+    get: {
+      tags: ['Trade-ins'],
+      summary: 'Own trade-ins, staff with trade_ins:appraise see everyone\'s',
+      security: bearer,
+      parameters: [
+        ...pageParams,
+        queryParam('status', 'Only trade-ins with this status', { type: 'string', enum: TRADE_IN_STATUSES })
+      ],
+      responses: {
+        200: paginated('Trade-ins, newest first', 'trade_ins', ref('TradeIn')),
+        ...errors(400, 401)
+      }
+    },
+    post: {
+      tags: ['Trade-ins'],
+      summary: 'Ask for an appraisal of your car',
+      description: 'Photos are added afterwards with POST /trade-ins/{id}/photos',
+      security: bearer,
+      requestBody: jsonBody(ref('TradeInInput')),
+      responses: {
+        201: tradeInResponse('Submitted'),
+        ...errors(400, 401)
+      }
+    }
+  },
+
+  '/trade-ins/{id}': {
+    parameters: [tradeInId],
+    get: {
+      tags: ['Trade-ins'],
+      summary: 'One trade-in with its photos',
+      security: bearer,
+      responses: {
+        200: json('Trade-in', ref('TradeIn')),
+        ...errors(401, 404)
+      }
+    }
+  },
+
+  '/trade-ins/{id}/photos': {
+    parameters: [tradeInId],
+    post: {
+      tags: ['Trade-ins'],
+      summary: 'Add photos (the customer who submitted it, until it is appraised)',
+      security: bearer,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                photos: arrayOf({ type: 'string', format: 'binary', description: 'JPEG, PNG or WebP' })
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        201: withMessage('Photos uploaded', { photos: arrayOf(ref('TradeInPhoto')) }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/trade-ins/{id}/photos/{photoId}': {
+    parameters: [tradeInId, photoId],
+    delete: {
+      tags: ['Trade-ins'],
+      summary: 'Remove a photo (the customer who submitted it, until it is appraised)',
+      security: bearer,
+      responses: {
+        200: withMessage('Photo deleted', { deleted: ref('TradeInPhoto') }),
+        ...errors(401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/trade-ins/{id}/offer': {
+    parameters: [tradeInId],
+    post: {
+      tags: ['Trade-ins'],
+      summary: 'Make or revise an offer (trade_ins:appraise)',
+      description: `The offer stands until expires_at, or for valid_days (${DEFAULT_OFFER_DAYS} by default, at most ${MAX_OFFER_DAYS}). ` +
+        'Submitted, offered, declined and expired trade-ins can get an offer, the customer is notified',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['offer_amount'],
+        properties: {
+          offer_amount: { type: 'number', minimum: 0 },
+          expires_at: { type: 'string', format: 'date-time' },
+          valid_days: { type: 'integer', minimum: 1, maximum: MAX_OFFER_DAYS },
+          notes: { type: 'string', nullable: true, maxLength: 1000 }
+        }
+      }),
+      responses: {
+        200: tradeInResponse('Offer sent'),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  },
+
+  '/trade-ins/{id}/accept': {
+    parameters: [tradeInId],
+    ...customerAction('Accept the current offer (the customer who submitted it)',
+      'An offer past its expiry is a 409 and the trade-in becomes expired', 'Accepted')
+  },
+
+  '/trade-ins/{id}/decline': {
+    parameters: [tradeInId],
+    ...customerAction('Decline the current offer (the customer who submitted it)', null, 'Declined')
+  },
+
+  '/trade-ins/{id}/withdraw': {
+    parameters: [tradeInId],
+    ...customerAction('Withdraw the trade-in before accepting an offer (the customer who submitted it)', null, 'Withdrawn')
+  },
+
+  '/trade-ins/{id}/car': {
+    parameters: [tradeInId],
+    post: {
+      tags: ['Trade-ins'],
+      summary: 'Add an accepted trade-in to the inventory (cars:write)',
+      description: 'Make, model, year, mileage and VIN come from the trade-in. ' +
+        'The car is not available until is_available is set, the trade-in\'s photos are not copied',
+      security: bearer,
+      requestBody: jsonBody({
+        type: 'object',
+        required: ['price'],
+        properties: {
+          price: { type: 'number', minimum: 0 },
+          stock_number: { type: 'string', nullable: true, pattern: '^\\s*[A-Za-z0-9-]{1,30}\\s*$' },
+          color: { type: 'string', nullable: true, maxLength: 30 },
+          fuel_type: { type: 'string', enum: FUEL_TYPES },
+          transmission: { type: 'string', enum: TRANSMISSIONS },
+          description: { type: 'string', nullable: true, maxLength: 1000 },
+          is_available: { type: 'boolean' }
+        }
+      }),
+      responses: {
+        201: withMessage('Added to the inventory', { car: ref('Car'), trade_in: ref('TradeIn') }),
+        ...errors(400, 401, 403, 404, 409)
+      }
+    }
+  }
+};
@@ -0,0 +1,229 @@
+// Back-office endpoints that don't belong to a single resource: audit trail, users and roles
+
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const { query, paginate } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES, ROLE_PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const { revokeUserRefreshTokens } = require('../models/refreshToken');
+const { recordAudit } = require('../models/audit');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Audit filter validation rules
+const auditFilterValidation = [
+  queryParam('actorId')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('actorId must be a user ID'),
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+];
+
+// User filter validation rules
+const userFilterValidation = [
+  queryParam('role')
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`)
+];
+
+// Role assignment validation rules
+const roleValidation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('User ID must be a positive integer'),
+  body('role')
+    .isIn(ROLES)
+    .withMessage(`role must be one of: ${ROLES.join(', ')}`)
+];
+
+const USER_COLUMNS = 'u.id, u.username, u.email, u.role, u.email_verified_at, u.created_at, u.updated_at';
+
+router.use(authenticateToken);
+
+// GET /api/admin/audit - Audit trail, filter by entity, entityId, actorId, action and from/to dates
+router.get('/audit', requirePermission(PERMISSIONS.AUDIT_VIEW), auditFilterValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, entity, entityId, actorId, action, from, to } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (entity) {
+      whereClause += ' AND a.entity_type = @entity';
+      params.entity = entity;
+    }
+
+    if (entityId) {
+      whereClause += ' AND a.entity_id = @entityId';
+      params.entityId = String(entityId);
+    }
+
+    if (actorId) {
+      whereClause += ' AND a.actor_id = @actorId';
+      params.actorId = parseInt(actorId);
+    }
+
+    if (action) {
+      whereClause += ' AND a.action = @action';
+      params.action = action;
+    }
+
+    if (from) {
+      whereClause += ' AND a.created_at >= @from';
+      params.from = new Date(from);
+    }
+
+    if (to) {
+      whereClause += ' AND a.created_at < @to';
+      params.to = new Date(to);
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM audit_log a ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const entries = await query(`
+      SELECT
+        a.*,
+        u.username AS actor_username
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_id = u.id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      entries: entries.map(entry => ({ ...entry, changes: JSON.parse(entry.changes) })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get audit log error', { error });
+    res.status(500).json({ message: 'Failed to fetch audit log' });
+  }
+});
+
+// GET /api/admin/roles - Every role with the permissions it grants
+router.get('/roles', requirePermission(PERMISSIONS.USERS_MANAGE), (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, permissions: ROLE_PERMISSIONS[role] }))
+  });
+});
+
+// GET /api/admin/users - User accounts, filter by role or search username/email
+router.get('/users', requirePermission(PERMISSIONS.USERS_MANAGE), userFilterValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, search } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (role) {
+      whereClause += ' AND u.role = @role';
+      params.role = role;
+    }
+
+    if (search) {
+      whereClause += ' AND (u.username LIKE @search OR u.email LIKE @search)';
+      params.search = `%${search}%`;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM users u ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const users = await query(`
+      SELECT ${USER_COLUMNS}
+      FROM users u
+      ${whereClause}
+      ORDER BY u.username
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      users,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get users error', { error });
+    res.status(500).json({ message: 'Failed to fetch users' });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Assign a role, the user has to log in again to pick it up
+router.put('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE), roleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role } = req.body;
+
+    // Nobody can lock themselves out of user management
+    if (id === req.user.id) {
+      return res.status(403).json({ message: 'You cannot change your own role' });
+    }
+
+    const users = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = @id`, { id });
+
+    if (users.length === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const before = users[0];
+
+    if (before.role === role) {
+      return res.json({ message: 'Role unchanged', user: before });
+    }
+
+    await query('UPDATE users SET role = @role, updated_at = @now WHERE id = @id', { id, role, now: new Date() });
+
+    // Access tokens carry the role, end the sessions so the old role can't be refreshed
+    await revokeUserRefreshTokens(id);
+
+    const updated = (await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.id = @id`, { id }))[0];
+
+    await recordAudit(req, { action: 'update', entity: 'user', entityId: id, before, after: updated });
+
+    res.json({
+      message: 'Role updated successfully',
+      user: updated
+    });
+
+  } catch (error) {
+    logger.error('Update user role error', { error });
+    res.status(500).json({ message: 'Failed to update user role' });
+  }
+});
+
+module.exports = router;
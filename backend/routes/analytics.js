@@ -0,0 +1,152 @@
+// Dashboard analytics - time series and conversion reports, as JSON or CSV (reports:view)
+// Every report takes from / to (ISO dates, the last 30 days by default) and ?format=csv for a download
+
+const express = require('express');
+const { stringify } = require('csv-stringify');
+const { query: queryParam, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  INTERVALS,
+  CONVERSION_GROUPS,
+  MAX_BUCKETS,
+  buildBuckets,
+  inquiriesOverTime,
+  responseTimes,
+  daysOnLot,
+  conversion,
+  inventoryValue
+} = require('../models/analytics');
+
+const router = express.Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Report range validation rules
+const rangeValidation = [
+  queryParam('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  queryParam('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  queryParam('interval')
+    .optional()
+    .isIn(INTERVALS)
+    .withMessage(`interval must be one of: ${INTERVALS.join(', ')}`),
+  queryParam('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be json or csv')
+];
+
+// A plain date as "to" includes that whole day
+const parseTo = (value) => {
+  const date = new Date(value);
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(date.getTime() + 24 * 60 * 60 * 1000) : date;
+};
+
+// Turn the query string into req.range = { from, to, interval }, to is exclusive
+const parseRange = (req, res, next) => {
+  const to = req.query.to ? parseTo(req.query.to) : new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(to.getTime() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+  const interval = req.query.interval || 'day';
+
+  if (from >= to) {
+    return res.status(400).json({ message: 'from must be before to' });
+  }
+
+  req.range = { from, to, interval };
+
+  if (!buildBuckets(req.range)) {
+    return res.status(400).json({ message: `That range has more than ${MAX_BUCKETS} ${interval}s, use a longer interval` });
+  }
+
+  next();
+};
+
+// Reply with the report as JSON, or as a CSV download of its rows
+const sendReport = (req, res, name, report) => {
+  const { from, to, interval } = req.range;
+
+  if (req.query.format === 'csv') {
+    // Named after the last day included, to itself is exclusive
+    const lastDay = new Date(to.getTime() - 1);
+    const fileName = `${name}-${from.toISOString().slice(0, 10)}-${lastDay.toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const csv = stringify({ header: true, columns: report.columns });
+    csv.pipe(res);
+    report.rows.forEach(row => csv.write(row));
+    csv.end();
+    return;
+  }
+
+  res.json({
+    report: name,
+    from,
+    to,
+    interval,
+    summary: report.summary,
+    rows: report.rows
+  });
+};
+
+// Same shape for every report: check the range, run the report, send JSON or CSV
+const reportRoute = (name, runReport, extraValidation = []) => [
+  authenticateToken,
+  requirePermission(PERMISSIONS.REPORTS_VIEW),
+  rangeValidation,
+  extraValidation,
+  handleValidationErrors,
+  parseRange,
+  async (req, res) => {
+    try {
+      sendReport(req, res, name, await runReport(req));
+    } catch (error) {
+      logger.error(`Analytics ${name} error`, { error });
+      res.status(500).json({ message: 'Failed to build report' });
+    }
+  }
+];
+
+// GET /api/analytics/inquiries - Inquiries created per day / week / month, by current status
+router.get('/inquiries', ...reportRoute('inquiries', req => inquiriesOverTime(req.range)));
+
+// GET /api/analytics/response-times - Hours until staff first replied, by when the inquiry came in
+router.get('/response-times', ...reportRoute('response-times', req => responseTimes(req.range)));
+
+// GET /api/analytics/days-on-lot - How long each car on the lot during the range stayed there
+router.get('/days-on-lot', ...reportRoute('days-on-lot', req => daysOnLot(req.range)));
+
+// GET /api/analytics/conversion?groupBy=make|fuel_type - Inquiry-to-sale conversion per make or fuel type
+router.get('/conversion', ...reportRoute('conversion', req => conversion(req.range, req.query.groupBy || 'make'), [
+  queryParam('groupBy')
+    .optional()
+    .isIn(CONVERSION_GROUPS)
+    .withMessage(`groupBy must be one of: ${CONVERSION_GROUPS.join(', ')}`)
+]));
+
+// GET /api/analytics/inventory-value - Cars on the lot and their total list price at the end of each period
+router.get('/inventory-value', ...reportRoute('inventory-value', req => inventoryValue(req.range)));
+
+module.exports = router;
@@ -2,7 +2,17 @@
 
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { register, login, refreshToken, logout } = require('../controllers/authController');
+const { DEFAULT_ROLE } = require('../config/permissions');
+const {
+  register,
+  login,
+  refreshToken,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword
+} = require('../controllers/authController');
 
 const router = express.Router();
 
@@ -18,6 +28,13 @@ const checkValidationErrors = (req, res, next) => {
   next();
 };
 
+// Password strength rule, shared by registration and password reset
+const passwordRule = () => body('password')
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain uppercase, lowercase and number');
+
 // Validation rules for registration
 const validateRegistration = [
   body('username')
@@ -31,16 +48,13 @@ const validateRegistration = [
     .withMessage('Please enter a valid email address')
     .normalizeEmail(),
   
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain uppercase, lowercase and number'),
+  passwordRule(),
   
+  // Staff roles are assigned by an admin, never self-selected
   body('role')
     .optional()
-    .isIn(['admin', 'customer'])
-    .withMessage('Role must be admin or customer')
+    .equals(DEFAULT_ROLE)
+    .withMessage(`Only ${DEFAULT_ROLE} accounts can be registered`)
 ];
 
 // Validation rules for login
@@ -55,6 +69,32 @@ const validateLogin = [
     .withMessage('Password is required')
 ];
 
+// Validation rules for endpoints that only take an email address
+const validateEmailOnly = [
+  body('email')
+    .isEmail()
+    .withMessage('Please enter a valid email address')
+    .normalizeEmail()
+];
+
+// Validation rules for email verification
+const validateVerifyEmail = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+// Validation rules for password reset
+const validateResetPassword = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+
+  passwordRule()
+];
+
 // POST /api/auth/register - Register new user
 router.post('/register', validateRegistration, checkValidationErrors, register);
 
@@ -67,4 +107,16 @@ router.post('/refresh', refreshToken);
 // POST /api/auth/logout - Logout user
 router.post('/logout', logout);
 
+// POST /api/auth/verify-email - Confirm email address with token from email
+router.post('/verify-email', validateVerifyEmail, checkValidationErrors, verifyEmail);
+
+// POST /api/auth/resend-verification - Send a new verification email
+router.post('/resend-verification', validateEmailOnly, checkValidationErrors, resendVerification);
+
+// POST /api/auth/forgot-password - Email a password reset link
+router.post('/forgot-password', validateEmailOnly, checkValidationErrors, forgotPassword);
+
+// POST /api/auth/reset-password - Set new password with token from email
+router.post('/reset-password', validateResetPassword, checkValidationErrors, resetPassword);
+
 module.exports = router;    
\ No newline at end of file
@@ -0,0 +1,171 @@
+// Financing quote for one car - mounted at /api/cars/:id/finance-quote
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, insert } = require('../config/database');
+const { optionalAuth } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const { MAX_APR, getFinanceTerms, calculateQuote, formatFinanceQuote } = require('../models/finance');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation error handler
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Input validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Quote validation rules - the term and tier are checked against the configured finance terms in the handler
+const quoteValidation = [
+  body('term_months')
+    .isInt({ min: 1 })
+    .withMessage('term_months is required')
+    .toInt(),
+  body('down_payment')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('down_payment must be a positive number')
+    .toFloat(),
+  body('trade_in_credit')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('trade_in_credit must be a positive number')
+    .toFloat(),
+  body('apr')
+    .optional()
+    .isFloat({ min: 0, max: MAX_APR })
+    .withMessage(`apr must be between 0 and ${MAX_APR}`)
+    .toFloat(),
+  body('credit_tier')
+    .optional()
+    .isString()
+    .withMessage('credit_tier must be a string'),
+  body('save')
+    .optional()
+    .isBoolean()
+    .withMessage('save must be true or false')
+    .toBoolean(),
+  body('inquiry_id')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('inquiry_id must be an inquiry ID')
+    .toInt()
+];
+
+// Make sure the car exists, archived cars are only visible to inventory staff
+const loadCar = async (req, res, next) => {
+  try {
+    const cars = await query('SELECT id, price, archived_at FROM cars WHERE id = @id', { id: req.params.id });
+
+    if (cars.length === 0 || (cars[0].archived_at && !hasPermission(req.user, PERMISSIONS.CARS_WRITE))) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    req.car = cars[0];
+    next();
+  } catch (error) {
+    logger.error('Load car error', { error });
+    res.status(500).json({ message: 'Failed to fetch car details' });
+  }
+};
+
+// POST /api/cars/:id/finance-quote - Monthly payment, total interest and amortization schedule
+// Without an APR the rate of credit_tier (or the default tier) is used
+// Logged-in users can pass save: true to keep the quote, and inquiry_id to attach it to one of their inquiries
+router.post('/', optionalAuth, loadCar, quoteValidation, handleValidation, async (req, res) => {
+  try {
+    const {
+      term_months: termMonths,
+      down_payment: downPayment = 0,
+      trade_in_credit: tradeInCredit = 0,
+      save = false,
+      inquiry_id: inquiryId = null
+    } = req.body;
+    const financeTerms = await getFinanceTerms();
+
+    if (!financeTerms.terms.includes(termMonths)) {
+      return res.status(400).json({ message: `term_months must be one of ${financeTerms.terms.join(', ')}` });
+    }
+
+    let apr = req.body.apr;
+    let creditTier = null;
+    if (apr === undefined) {
+      creditTier = req.body.credit_tier || financeTerms.default_tier;
+      const tier = financeTerms.apr_tiers.find(candidate => candidate.name === creditTier);
+      if (!tier) {
+        return res.status(400).json({
+          message: `credit_tier must be one of ${financeTerms.apr_tiers.map(candidate => candidate.name).join(', ')}`
+        });
+      }
+      apr = tier.apr;
+    }
+
+    const quote = calculateQuote({ price: req.car.price, downPayment, tradeInCredit, termMonths, apr });
+    if (quote.error) {
+      return res.status(400).json({ message: quote.error });
+    }
+
+    if (!save) {
+      if (inquiryId) {
+        return res.status(400).json({ message: 'inquiry_id only applies to a saved quote (save: true)' });
+      }
+      return res.json({ quote: { car_id: req.car.id, credit_tier: creditTier, ...quote } });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'Log in to save quotes' });
+    }
+
+    if (inquiryId) {
+      const inquiries = await query('SELECT user_id, car_id FROM inquiries WHERE id = @inquiryId', { inquiryId });
+      if (inquiries.length === 0 || inquiries[0].user_id !== req.user.id) {
+        return res.status(404).json({ message: 'Inquiry not found' });
+      }
+      if (inquiries[0].car_id !== req.car.id) {
+        return res.status(400).json({ message: 'That inquiry is about a different car' });
+      }
+    }
+
+    const quoteId = await insert(
+      `INSERT INTO finance_quotes (user_id, car_id, inquiry_id, price, down_payment, trade_in_credit, amount_financed,
+                                   term_months, apr, credit_tier, monthly_payment, total_interest, created_at)
+       VALUES (@userId, @carId, @inquiryId, @price, @downPayment, @tradeInCredit, @amountFinanced,
+               @termMonths, @apr, @creditTier, @monthlyPayment, @totalInterest, @now)`,
+      {
+        userId: req.user.id,
+        carId: req.car.id,
+        inquiryId,
+        price: quote.price,
+        downPayment: quote.down_payment,
+        tradeInCredit: quote.trade_in_credit,
+        amountFinanced: quote.amount_financed,
+        termMonths,
+        apr,
+        creditTier,
+        monthlyPayment: quote.monthly_payment,
+        totalInterest: quote.total_interest,
+        now: new Date()
+      }
+    );
+
+    const saved = await query('SELECT * FROM finance_quotes WHERE id = @quoteId', { quoteId });
+
+    res.status(201).json({
+      message: 'Quote saved',
+      quote: formatFinanceQuote(saved[0])
+    });
+
+  } catch (error) {
+    logger.error('Finance quote error', { error });
+    res.status(500).json({ message: 'Failed to calculate quote' });
+  }
+});
+
+module.exports = router;
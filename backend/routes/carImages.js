@@ -0,0 +1,338 @@
+// Photo gallery for a car - mounted at /api/cars/:id/images
+
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const storage = require('../config/storage');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const { formatImage, getCarImages } = require('../models/carImage');
+const { recordAudit } = require('../models/audit');
+const { invalidateCars } = require('../models/carCache');
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  InvalidImageError,
+  storeCarImage
+} = require('../storage/images');
+
+const router = express.Router({ mergeParams: true });
+
+const MAX_FILES_PER_UPLOAD = 10;
+
+// Keep uploads in memory, they are resized before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_FILES_PER_UPLOAD
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      return callback(new InvalidImageError(`${file.originalname} must be a JPEG, PNG or WebP image`));
+    }
+    callback(null, true);
+  }
+});
+
+// Run multer and turn its errors into 400 responses
+const receiveImages = (req, res, next) => {
+  upload.array('images', MAX_FILES_PER_UPLOAD)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each image must be smaller than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+// Validation error handler
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Input validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Make sure the car exists before touching its gallery
+const loadCar = async (req, res, next) => {
+  try {
+    const cars = await query('SELECT id, archived_at FROM cars WHERE id = @id', { id: req.params.id });
+
+    // Archived cars only exist for staff who manage the inventory
+    if (cars.length === 0 || (cars[0].archived_at && !hasPermission(req.user, PERMISSIONS.CARS_WRITE))) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    req.carId = cars[0].id;
+    next();
+  } catch (error) {
+    logger.error('Load car error', { error });
+    res.status(500).json({ message: 'Failed to fetch car details' });
+  }
+};
+
+// Gallery as the audit log records it - image order and which one is primary
+const galleryState = (images) => ({
+  image_ids: images.map(image => image.id),
+  primary_image_id: images.filter(image => image.is_primary).map(image => image.id)[0] || null
+});
+
+// Audit a gallery change against the car it belongs to
+const auditGallery = (req, action, beforeImages, afterImages) => recordAudit(req, {
+  action,
+  entity: 'car_images',
+  entityId: req.carId,
+  before: galleryState(beforeImages),
+  after: galleryState(afterImages)
+});
+
+// The gallery is part of the car, so a change to it counts as a change to the car (updated_at, cached pages)
+const touchCar = async (tx, carId) => {
+  await tx.query('UPDATE cars SET updated_at = @now WHERE id = @carId', { carId, now: new Date() });
+  invalidateCars(tx);
+};
+
+// GET /api/cars/:id/images - Get the car's gallery
+router.get('/', optionalAuth, loadCar, async (req, res) => {
+  try {
+    const images = await getCarImages(req.carId);
+    res.json({ images });
+  } catch (error) {
+    logger.error('Get car images error', { error });
+    res.status(500).json({ message: 'Failed to fetch images' });
+  }
+});
+
+// POST /api/cars/:id/images - Upload one or more images (cars:write), multipart field "images"
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), loadCar, receiveImages, async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one image is required' });
+    }
+
+    const previousImages = await getCarImages(req.carId);
+
+    // Resize everything first so a bad file doesn't leave half an upload in the database
+    const processed = [];
+    for (const file of files) {
+      const stored = await storeCarImage(req.carId, file);
+      storedKeys.push(...Object.values(stored.keys));
+      processed.push({ file, ...stored });
+    }
+
+    await transaction(async (tx) => {
+      await touchCar(tx, req.carId);
+
+      const existing = await tx.query(
+        `SELECT MAX(position) AS last_position,
+                SUM(CASE WHEN is_primary = 1 THEN 1 ELSE 0 END) AS primary_count
+         FROM car_images WHERE car_id = @carId`,
+        { carId: req.carId }
+      );
+
+      let position = existing[0].last_position === null ? 0 : existing[0].last_position + 1;
+      let needsPrimary = !existing[0].primary_count;
+
+      for (const image of processed) {
+        await tx.insert(
+          `INSERT INTO car_images (car_id, position, is_primary, original_key, large_key, thumbnail_key,
+                                   original_name, mime_type, size_bytes, width, height, created_at)
+           VALUES (@carId, @position, @isPrimary, @originalKey, @largeKey, @thumbnailKey,
+                   @originalName, @mimeType, @sizeBytes, @width, @height, @now)`,
+          {
+            carId: req.carId,
+            position,
+            isPrimary: needsPrimary ? 1 : 0,
+            originalKey: image.keys.original,
+            largeKey: image.keys.large,
+            thumbnailKey: image.keys.thumbnail,
+            originalName: image.file.originalname.substring(0, 255),
+            mimeType: image.file.mimetype,
+            sizeBytes: image.file.size,
+            width: image.width,
+            height: image.height,
+            now: new Date()
+          }
+        );
+
+        position += 1;
+        needsPrimary = false; // First uploaded image becomes primary when the car has none
+      }
+    });
+
+    const images = await getCarImages(req.carId);
+
+    await auditGallery(req, 'upload', previousImages, images);
+
+    res.status(201).json({
+      message: `${processed.length} image(s) uploaded successfully`,
+      images
+    });
+
+  } catch (error) {
+    await storage.removeFiles(storedKeys);
+
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Upload car images error', { error });
+    res.status(500).json({ message: 'Failed to upload images' });
+  }
+});
+
+// PUT /api/cars/:id/images/order - Reorder the gallery (cars:write)
+router.put('/order', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), loadCar, [
+  body('image_ids')
+    .isArray({ min: 1 })
+    .withMessage('image_ids must be a non-empty array'),
+  body('image_ids.*')
+    .isInt({ min: 1 })
+    .withMessage('Image ids must be integers')
+    .toInt()
+], handleValidation, async (req, res) => {
+  try {
+    const imageIds = req.body.image_ids;
+    const images = await query('SELECT id FROM car_images WHERE car_id = @carId', { carId: req.carId });
+    const currentIds = images.map(image => image.id).sort((a, b) => a - b);
+    const requestedIds = [...imageIds].sort((a, b) => a - b);
+
+    // Must list every image of this car exactly once
+    if (currentIds.length !== requestedIds.length || currentIds.some((id, index) => id !== requestedIds[index])) {
+      return res.status(400).json({ message: 'image_ids must contain every image of this car exactly once' });
+    }
+
+    const previousImages = await getCarImages(req.carId);
+
+    await transaction(async (tx) => {
+      await touchCar(tx, req.carId);
+
+      for (const [position, imageId] of imageIds.entries()) {
+        await tx.query(
+          'UPDATE car_images SET position = @position WHERE id = @imageId',
+          { position, imageId }
+        );
+      }
+    });
+
+    const reordered = await getCarImages(req.carId);
+
+    await auditGallery(req, 'update', previousImages, reordered);
+
+    res.json({
+      message: 'Images reordered successfully',
+      images: reordered
+    });
+
+  } catch (error) {
+    logger.error('Reorder car images error', { error });
+    res.status(500).json({ message: 'Failed to reorder images' });
+  }
+});
+
+// PUT /api/cars/:id/images/:imageId/primary - Make an image the primary one (cars:write)
+router.put('/:imageId/primary', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), loadCar, async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    const images = await query(
+      'SELECT id FROM car_images WHERE id = @imageId AND car_id = @carId',
+      { imageId, carId: req.carId }
+    );
+
+    if (images.length === 0) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const previousImages = await getCarImages(req.carId);
+
+    await transaction(async (tx) => {
+      await touchCar(tx, req.carId);
+
+      await tx.query('UPDATE car_images SET is_primary = 0 WHERE car_id = @carId', { carId: req.carId });
+      await tx.query('UPDATE car_images SET is_primary = 1 WHERE id = @imageId', { imageId });
+    });
+
+    const updated = await getCarImages(req.carId);
+
+    await auditGallery(req, 'update', previousImages, updated);
+
+    res.json({
+      message: 'Primary image updated successfully',
+      images: updated
+    });
+
+  } catch (error) {
+    logger.error('Set primary image error', { error });
+    res.status(500).json({ message: 'Failed to update primary image' });
+  }
+});
+
+// DELETE /api/cars/:id/images/:imageId - Delete one image (cars:write)
+router.delete('/:imageId', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), loadCar, async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    const images = await query(
+      'SELECT * FROM car_images WHERE id = @imageId AND car_id = @carId',
+      { imageId, carId: req.carId }
+    );
+
+    if (images.length === 0) {
+      return res.status(404).json({ message: 'Image not found' });
+    }
+
+    const image = images[0];
+    const previousImages = await getCarImages(req.carId);
+
+    await transaction(async (tx) => {
+      await touchCar(tx, req.carId);
+
+      await tx.query('DELETE FROM car_images WHERE id = @imageId', { imageId: image.id });
+
+      // Promote the next image so the car keeps a primary one
+      if (image.is_primary) {
+        const remaining = await tx.query(
+          'SELECT id FROM car_images WHERE car_id = @carId ORDER BY position ASC, id ASC',
+          { carId: req.carId }
+        );
+        if (remaining.length > 0) {
+          await tx.query('UPDATE car_images SET is_primary = 1 WHERE id = @imageId', { imageId: remaining[0].id });
+        }
+      }
+    });
+
+    await storage.removeFiles([image.original_key, image.large_key, image.thumbnail_key]);
+
+    await auditGallery(req, 'delete', previousImages, await getCarImages(req.carId));
+
+    res.json({
+      message: 'Image deleted successfully',
+      deleted: formatImage(image)
+    });
+
+  } catch (error) {
+    logger.error('Delete car image error', { error });
+    res.status(500).json({ message: 'Failed to delete image' });
+  }
+});
+
+module.exports = router;
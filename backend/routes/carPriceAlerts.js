@@ -0,0 +1,128 @@
+// Price-drop alert subscription for one car - mounted at /api/cars/:id/price-alerts
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const logger = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation error handler
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Input validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Subscription validation rules, without a target every drop is reported
+const alertValidation = [
+  body('target_price')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('target_price must be a positive number')
+    .toFloat()
+];
+
+// Make sure the car exists
+const loadCar = async (req, res, next) => {
+  try {
+    const cars = await query('SELECT id, price, archived_at FROM cars WHERE id = @id', { id: req.params.id });
+
+    if (cars.length === 0) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    req.car = cars[0];
+    next();
+  } catch (error) {
+    logger.error('Load car error', { error });
+    res.status(500).json({ message: 'Failed to fetch car details' });
+  }
+};
+
+const findAlert = async (carId, userId) => {
+  const alerts = await query(
+    'SELECT id, target_price, created_at FROM price_alerts WHERE car_id = @carId AND user_id = @userId',
+    { carId, userId }
+  );
+  return alerts[0] || null;
+};
+
+router.use(authenticateToken, loadCar);
+
+// GET /api/cars/:id/price-alerts - Is the current user subscribed to this car
+router.get('/', async (req, res) => {
+  try {
+    const alert = await findAlert(req.car.id, req.user.id);
+    res.json({ subscribed: Boolean(alert), alert });
+  } catch (error) {
+    logger.error('Get price alert error', { error });
+    res.status(500).json({ message: 'Failed to fetch price alert' });
+  }
+});
+
+// PUT /api/cars/:id/price-alerts - Subscribe, or change the target price
+router.put('/', alertValidation, handleValidation, async (req, res) => {
+  try {
+    const targetPrice = req.body.target_price === undefined ? null : req.body.target_price;
+
+    if (req.car.archived_at) {
+      return res.status(400).json({ message: 'Car is no longer listed' });
+    }
+
+    if (targetPrice !== null && targetPrice >= req.car.price) {
+      return res.status(400).json({ message: 'target_price must be below the current price' });
+    }
+
+    const existing = await findAlert(req.car.id, req.user.id);
+
+    if (existing) {
+      await query(
+        'UPDATE price_alerts SET target_price = @targetPrice WHERE id = @id',
+        { id: existing.id, targetPrice }
+      );
+    } else {
+      await query(
+        `INSERT INTO price_alerts (user_id, car_id, target_price, created_at)
+         VALUES (@userId, @carId, @targetPrice, @now)`,
+        { userId: req.user.id, carId: req.car.id, targetPrice, now: new Date() }
+      );
+    }
+
+    res.status(existing ? 200 : 201).json({
+      message: 'Price alert saved',
+      alert: await findAlert(req.car.id, req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Save price alert error', { error });
+    res.status(500).json({ message: 'Failed to save price alert' });
+  }
+});
+
+// DELETE /api/cars/:id/price-alerts - Unsubscribe
+router.delete('/', async (req, res) => {
+  try {
+    const existing = await findAlert(req.car.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ message: 'You are not subscribed to this car' });
+    }
+
+    await query('DELETE FROM price_alerts WHERE id = @id', { id: existing.id });
+
+    res.json({ message: 'Price alert removed' });
+
+  } catch (error) {
+    logger.error('Delete price alert error', { error });
+    res.status(500).json({ message: 'Failed to remove price alert' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,82 @@
+// Holds on one car - mounted at /api/cars/:id/reservations
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  DEFAULT_HOLD_HOURS,
+  MAX_HOLD_HOURS,
+  getReservation,
+  placeHold,
+  releaseExpiredHolds
+} = require('../models/reservation');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation error handler
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Input validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Hold request validation rules
+const holdValidation = [
+  body('hours')
+    .optional()
+    .isInt({ min: 1, max: MAX_HOLD_HOURS })
+    .withMessage(`hours must be between 1 and ${MAX_HOLD_HOURS}`)
+    .toInt()
+];
+
+// GET /api/cars/:id/reservations - Reservation history of the car (reservations:manage)
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.RESERVATIONS_MANAGE), async (req, res) => {
+  try {
+    const reservations = await query(`
+      SELECT r.*, u.username, u.email
+      FROM reservations r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.car_id = @carId
+      ORDER BY r.created_at DESC
+    `, { carId: req.params.id });
+
+    res.json({ reservations });
+
+  } catch (error) {
+    logger.error('Get car reservations error', { error });
+    res.status(500).json({ message: 'Failed to fetch reservations' });
+  }
+});
+
+// POST /api/cars/:id/reservations - Put a hold on the car
+router.post('/', authenticateToken, holdValidation, handleValidation, async (req, res) => {
+  try {
+    // A lapsed hold shouldn't block the car until the next cleanup run
+    await releaseExpiredHolds();
+
+    const result = await placeHold(req.params.id, req.user.id, req.body.hours || DEFAULT_HOLD_HOURS);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(201).json({
+      message: 'Car reserved successfully',
+      reservation: await getReservation(result.reservationId)
+    });
+
+  } catch (error) {
+    logger.error('Create reservation error', { error });
+    res.status(500).json({ message: 'Failed to reserve car' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,177 @@
+// Test-drive booking for one car - mounted at /api/cars/:id/test-drives
+
+const express = require('express');
+const { body, query: queryParam, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  getSchedule,
+  getLocalParts,
+  getDaySlots,
+  checkSlot,
+  findConflicts,
+  getTestDrive
+} = require('../models/testDrive');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation error handler
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Input validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Booking request validation rules
+const bookingValidation = [
+  body('starts_at')
+    .isISO8601()
+    .withMessage('starts_at must be an ISO 8601 date and time'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes too long (max 500 chars)')
+];
+
+// Make sure the car exists, bookings also need it to be available
+const loadCar = async (req, res, next) => {
+  try {
+    const cars = await query('SELECT id, is_available, archived_at FROM cars WHERE id = @id', { id: req.params.id });
+
+    if (cars.length === 0) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    // Archived cars can't be test-driven, staff still see their old bookings
+    req.car = { ...cars[0], is_available: cars[0].is_available && !cars[0].archived_at };
+    next();
+  } catch (error) {
+    logger.error('Load car error', { error });
+    res.status(500).json({ message: 'Failed to fetch car details' });
+  }
+};
+
+// GET /api/cars/:id/test-drives/slots?date=YYYY-MM-DD - Free and taken slots for one day
+router.get('/slots', loadCar, [
+  queryParam('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('date must look like YYYY-MM-DD')
+    .isISO8601({ strict: true })
+    .withMessage('date is not a valid calendar date')
+], handleValidation, async (req, res) => {
+  try {
+    const schedule = await getSchedule();
+    const date = req.query.date || getLocalParts(new Date(), schedule.timezone).date;
+    const slots = getDaySlots(date, schedule);
+
+    let bookings = [];
+    if (slots.length > 0) {
+      bookings = await query(`
+        SELECT starts_at, ends_at FROM test_drives
+        WHERE car_id = @carId
+          AND status IN ('pending', 'confirmed')
+          AND starts_at < @dayEnd
+          AND ends_at > @dayStart
+      `, {
+        carId: req.car.id,
+        dayStart: slots[0].starts_at,
+        dayEnd: slots[slots.length - 1].ends_at
+      });
+    }
+
+    const now = Date.now();
+    const isTaken = (slot) => bookings.some(booking =>
+      new Date(booking.starts_at) < slot.ends_at && new Date(booking.ends_at) > slot.starts_at
+    );
+
+    res.json({
+      date,
+      timezone: schedule.timezone,
+      slot_minutes: schedule.slot_minutes,
+      car_available: Boolean(req.car.is_available),
+      slots: slots.map(slot => ({
+        ...slot,
+        available: Boolean(req.car.is_available) && slot.starts_at.getTime() > now && !isTaken(slot)
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get test drive slots error', { error });
+    res.status(500).json({ message: 'Failed to fetch test drive slots' });
+  }
+});
+
+// GET /api/cars/:id/test-drives - All bookings for the car (test_drives:manage)
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.TEST_DRIVES_MANAGE), loadCar, async (req, res) => {
+  try {
+    const bookings = await query(`
+      SELECT td.*, u.username, u.email
+      FROM test_drives td
+      JOIN users u ON td.user_id = u.id
+      WHERE td.car_id = @carId
+      ORDER BY td.starts_at DESC
+    `, { carId: req.car.id });
+
+    res.json({ test_drives: bookings });
+
+  } catch (error) {
+    logger.error('Get car test drives error', { error });
+    res.status(500).json({ message: 'Failed to fetch test drives' });
+  }
+});
+
+// POST /api/cars/:id/test-drives - Request a test drive slot
+router.post('/', authenticateToken, loadCar, bookingValidation, handleValidation, async (req, res) => {
+  try {
+    if (!req.car.is_available) {
+      return res.status(400).json({ message: 'Car is not available for test drives' });
+    }
+
+    const schedule = await getSchedule();
+    const startsAt = new Date(req.body.starts_at);
+    const slotProblem = checkSlot(startsAt, schedule);
+
+    if (slotProblem) {
+      return res.status(400).json({ message: slotProblem });
+    }
+
+    const endsAt = new Date(startsAt.getTime() + schedule.slot_minutes * 60 * 1000);
+
+    const bookingId = await transaction(async (tx) => {
+      const conflicts = await findConflicts(req.car.id, startsAt, endsAt, null, tx);
+      if (conflicts.length > 0) {
+        return null;
+      }
+
+      const now = new Date();
+      return tx.insert(
+        `INSERT INTO test_drives (car_id, user_id, starts_at, ends_at, status, notes, created_at, updated_at)
+         VALUES (@carId, @userId, @startsAt, @endsAt, 'pending', @notes, @now, @now)`,
+        { carId: req.car.id, userId: req.user.id, startsAt, endsAt, notes: req.body.notes, now }
+      );
+    });
+
+    if (!bookingId) {
+      return res.status(409).json({ message: 'This slot is already booked for this car' });
+    }
+
+    res.status(201).json({
+      message: 'Test drive requested successfully',
+      test_drive: await getTestDrive(bookingId)
+    });
+
+  } catch (error) {
+    logger.error('Create test drive error', { error });
+    res.status(500).json({ message: 'Failed to book test drive' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,70 @@
 // Handles all car-related operations (CRUD)
 
 const express = require('express');
+const multer = require('multer');
+const { stringify } = require('csv-stringify');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, requireAdmin, optionalAuth } = require('../middleware/auth');
+const { query, insert, transaction, paginate } = require('../config/database');
+const { authenticateToken, requirePermission, optionalAuth } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { removeFiles } = require('../config/storage');
+const logger = require('../config/logger');
+const { getCarImages, getPrimaryImages } = require('../models/carImage');
+const { buildCarFilters, buildWhereClause } = require('../models/carFilters');
+const { getCarFacets, DEFAULT_MILEAGE_BUCKET } = require('../models/carFacets');
+const { rankCars } = require('../models/carSearch');
+const { MAX_COMPARE_CARS, compareCars } = require('../models/carComparison');
+const { recordAudit } = require('../models/audit');
+const { recordPriceChange, getPriceHistory } = require('../models/priceHistory');
+const { getFavoriteIds, flagFavorites, notifyFavoriteChange } = require('../models/favorite');
+const { hashOf, rememberCars, invalidateCars } = require('../models/carCache');
+const { announceListing } = require('../models/savedSearch');
+const { EXPORT_COLUMNS, InvalidCsvError, parseCarCsv, importCars } = require('../models/carCsv');
+const { ARCHIVE_RETENTION_DAYS, archiveCar, restoreCar, purgeArchivedCars } = require('../models/carArchive');
+const { normalizeVin, validateVin, decodeVin, findVinMismatches } = require('../vin/decoder');
+const { publishCarCreated, publishCarAvailabilityChange } = require('../events/bus');
+const carImageRoutes = require('./carImages');
+const carTestDriveRoutes = require('./carTestDrives');
+const carReservationRoutes = require('./carReservations');
+const carPriceAlertRoutes = require('./carPriceAlerts');
+const carFinanceRoutes = require('./carFinance');
 
 const router = express.Router();
 
+// CSV uploads are parsed from memory
+const csvUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 }
+});
+
+// Export reads the inventory in chunks instead of loading it all at once
+const EXPORT_BATCH_SIZE = 500;
+
+// Staff who manage the inventory can still see archived cars, everyone else gets a 404 / no listing
+const canSeeArchived = (req) => hasPermission(req.user, PERMISSIONS.CARS_WRITE);
+
+// Listing filters from the query string, ?archived is only honoured for staff
+const listingFilters = (req) => (canSeeArchived(req) ? req.query : { ...req.query, archived: 'false' });
+
+// Reply with a cached car payload, or 304 when the client's copy is still current
+// The ETag covers the shared payload and which of its cars this user starred, so each user gets their own
+// Starring a car has no date the payload could carry, so logged-in users only get the ETag
+const sendCached = (req, res, cached, favoriteIds, body) => {
+  res.set({
+    'Cache-Control': 'private, no-cache',
+    Vary: 'Authorization',
+    ETag: `W/"${hashOf([cached.hash, [...favoriteIds].sort((a, b) => a - b)])}"`
+  });
+  if (!req.user) {
+    res.set('Last-Modified', new Date(cached.lastModified).toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.json(body);
+};
+
 // Validation error handler
 const handleValidation = (req, res, next) => {
   const errors = validationResult(req);
@@ -19,8 +77,21 @@ const handleValidation = (req, res, next) => {
   next();
 };
 
-// Car input validation rules
+// Car input validation rules (also applied to every row of a CSV import)
 const carValidationRules = [
+  body('stock_number')
+    .optional({ values: 'null' })
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,30}$/)
+    .withMessage('Stock number may only contain letters, digits and dashes (max 30 chars)'),
+  body('vin')
+    .optional({ values: 'null' })
+    .customSanitizer(normalizeVin)
+    .custom(vin => {
+      const problem = validateVin(vin);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
   body('make')
     .isLength({ min: 1, max: 50 })
     .withMessage('Car make is required (max 50 chars)'),
@@ -59,119 +130,391 @@ const carValidationRules = [
     .withMessage('Must be valid URL')
 ];
 
-// GET /api/cars - Get all cars with optional filters
+// GET /api/cars - Get all cars with optional filters and facet counts
+// Filters: make, model, fuelType, transmission, color (comma separated for several values),
+// minPrice/maxPrice, minYear/maxYear, minMileage/maxMileage, available, archived (cars:write only)
 router.get('/', optionalAuth, async (req, res) => {
   try {
     const { 
       page = 1, 
-      limit = 10, 
-      make, 
-      model, 
-      minPrice, 
-      maxPrice, 
-      fuelType, 
-      transmission,
-      available = 'true'
+      limit = 10,
+      facets = 'true',
+      mileageBucket
     } = req.query;
 
     const offset = (page - 1) * limit;
-    let whereConditions = 'WHERE 1=1'; // Always true condition to start
-    const queryParams = {};
 
     // Build dynamic WHERE clause based on filters
-    if (available === 'true') {
-      whereConditions += ' AND is_available = @available';
-      queryParams.available = 1;
+    const filters = buildCarFilters(listingFilters(req));
+    const { whereConditions, queryParams } = buildWhereClause(filters);
+    const mileageBucketSize = parseInt(mileageBucket) > 0 ? parseInt(mileageBucket) : DEFAULT_MILEAGE_BUCKET;
+
+    // The page is the same for everyone asking with the same filters, only the stars differ
+    const cacheKey = JSON.stringify({
+      filters: filters.map(({ key, params }) => [key, params]),
+      page: parseInt(page),
+      limit: parseInt(limit),
+      facets: facets !== 'false' ? mileageBucketSize : false
+    });
+
+    const listing = await rememberCars(`list:${cacheKey}`, async () => {
+      // Get total count for pagination
+      const countSQL = `SELECT COUNT(*) as total FROM cars ${whereConditions}`;
+      const countResult = await query(countSQL, queryParams);
+      const totalCars = countResult[0].total;
+
+      // Get cars with pagination
+      const carsSQL = `
+        SELECT * FROM cars 
+        ${whereConditions} 
+        ORDER BY created_at DESC 
+        ${paginate('@offset', '@limit')}
+      `;
+
+      const paginationParams = {
+        ...queryParams,
+        offset: parseInt(offset),
+        limit: parseInt(limit)
+      };
+
+      const cars = await query(carsSQL, paginationParams);
+
+      // Attach the primary photo of each car for listing thumbnails
+      const primaryImages = await getPrimaryImages(cars.map(car => car.id));
+
+      const response = {
+        cars: cars.map(car => ({ ...car, primary_image: primaryImages[car.id] || null })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: totalCars,
+          pages: Math.ceil(totalCars / limit)
+        }
+      };
+
+      // Filter panel data, can be skipped with ?facets=false
+      if (facets !== 'false') {
+        response.facets = await getCarFacets(filters, { mileageBucketSize });
+      }
+
+      return { body: response, cars };
+    });
+
+    // Logged-in customers see which cars they starred
+    const { cars } = listing.body;
+    const favoriteIds = await getFavoriteIds(req.user && req.user.id, cars.map(car => car.id));
+
+    sendCached(req, res, listing, favoriteIds, {
+      ...listing.body,
+      cars: cars.map(car => ({ ...car, is_favorite: favoriteIds.has(car.id) }))
+    });
+
+  } catch (error) {
+    logger.error('Get cars error', { error });
+    res.status(500).json({ message: 'Failed to fetch cars' });
+  }
+});
+
+// GET /api/cars/search?q=red automatic bmw diesel - Free-text search ranked by relevance
+// Accepts the same filters as GET /api/cars, the text is matched on top of them
+router.get('/search', optionalAuth, async (req, res) => {
+  try {
+    const { q = '', page = 1, limit = 10 } = req.query;
+
+    if (String(q).trim().length < 2) {
+      return res.status(400).json({ message: 'Search text must be at least 2 characters' });
+    }
+
+    const filters = buildCarFilters(listingFilters(req));
+    const { whereConditions, queryParams } = buildWhereClause(filters);
+
+    // Inventory is small enough to score every candidate in memory
+    const candidates = await query(`SELECT * FROM cars ${whereConditions}`, queryParams);
+    const ranked = rankCars(candidates, q);
+
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.max(parseInt(limit) || 10, 1);
+    const pageResults = ranked.slice((pageNumber - 1) * pageSize, pageNumber * pageSize);
+
+    const primaryImages = await getPrimaryImages(pageResults.map(result => result.car.id));
+    const favoriteIds = await getFavoriteIds(req.user && req.user.id, pageResults.map(result => result.car.id));
+
+    res.json({
+      query: q,
+      cars: pageResults.map(result => ({
+        ...result.car,
+        is_favorite: favoriteIds.has(result.car.id),
+        primary_image: primaryImages[result.car.id] || null,
+        relevance: result.relevance,
+        matched_terms: result.matched_terms
+      })),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total: ranked.length,
+        pages: Math.ceil(ranked.length / pageSize)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Search cars error', { error });
+    res.status(500).json({ message: 'Failed to search cars' });
+  }
+});
+
+// GET /api/cars/compare?ids=1,4,6 - Compare 2 to 4 cars side by side
+// Specs are aligned per car with the rows that differ flagged, plus derived metrics (price per year of age,
+// mileage per year, price difference against the cheapest); ids that don't exist are reported per item
+router.get('/compare', optionalAuth, async (req, res) => {
+  try {
+    const tokens = String(req.query.ids || '').split(',').map(token => token.trim()).filter(Boolean);
+
+    if (tokens.some(token => !/^\d+$/.test(token) || Number(token) < 1)) {
+      return res.status(400).json({ message: 'ids must be a comma separated list of car IDs' });
     }
 
-    if (make) {
-      whereConditions += ' AND make LIKE @make';
-      queryParams.make = `%${make}%`;
+    const ids = [...new Set(tokens.map(Number))];
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE_CARS) {
+      return res.status(400).json({ message: `Compare between 2 and ${MAX_COMPARE_CARS} different cars` });
     }
 
-    if (model) {
-      whereConditions += ' AND model LIKE @model';
-      queryParams.model = `%${model}%`;
+    const comparison = await compareCars(ids, { includeArchived: canSeeArchived(req) });
+
+    const cars = comparison.items.filter(item => item.car).map(item => item.car);
+    const primaryImages = await getPrimaryImages(cars.map(car => car.id));
+    const flagged = new Map((await flagFavorites(req.user, cars)).map(car => [car.id, car]));
+
+    res.json({
+      ...comparison,
+      items: comparison.items.map(item => (item.car
+        ? { ...item, car: { ...flagged.get(item.id), primary_image: primaryImages[item.id] || null } }
+        : item))
+    });
+
+  } catch (error) {
+    logger.error('Compare cars error', { error });
+    res.status(500).json({ message: 'Failed to compare cars' });
+  }
+});
+
+// Another car already uses this stock number / VIN
+const isTaken = async (column, value, exceptCarId = null) => {
+  const cars = await query(`SELECT id FROM cars WHERE ${column} = @value`, { value });
+  return cars.some(car => String(car.id) !== String(exceptCarId));
+};
+
+// Fill in a missing make / year from a valid VIN before validation runs (POST only)
+const fillFromVin = (req, res, next) => {
+  req.vinAutofilled = [];
+
+  if (!req.body.vin || validateVin(req.body.vin)) {
+    return next();
+  }
+
+  const decoded = decodeVin(req.body.vin);
+
+  if (!req.body.make && decoded.make) {
+    req.body.make = decoded.make;
+    req.vinAutofilled.push('make');
+  }
+  if (!req.body.year && decoded.model_year) {
+    req.body.year = decoded.model_year;
+    req.vinAutofilled.push('year');
+  }
+
+  next();
+};
+
+// GET /api/cars/vin/:vin - Validate and decode a VIN without saving anything (cars:write)
+router.get('/vin/:vin', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), (req, res) => {
+  const problem = validateVin(req.params.vin);
+
+  if (problem) {
+    return res.status(400).json({ message: problem, valid: false });
+  }
+
+  res.json({ valid: true, ...decodeVin(req.params.vin) });
+});
+
+// GET /api/cars/export - Download the filtered inventory as CSV (cars:write)
+// Accepts the same filters as GET /api/cars, pass available=all to include unavailable cars
+router.get('/export', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), async (req, res) => {
+  try {
+    const { whereConditions, queryParams } = buildWhereClause(buildCarFilters(req.query));
+    const fileName = `cars-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+    const csv = stringify({
+      header: true,
+      columns: EXPORT_COLUMNS,
+      cast: {
+        date: value => value.toISOString(),
+        boolean: value => (value ? '1' : '0')
+      }
+    });
+    csv.pipe(res);
+
+    for (let offset = 0; ; offset += EXPORT_BATCH_SIZE) {
+      const cars = await query(`
+        SELECT ${EXPORT_COLUMNS.join(', ')} FROM cars
+        ${whereConditions}
+        ORDER BY id ASC
+        ${paginate('@offset', '@limit')}
+      `, { ...queryParams, offset, limit: EXPORT_BATCH_SIZE });
+
+      for (const car of cars) {
+        // Respect backpressure from slow clients
+        if (!csv.write(car)) {
+          await new Promise(resolve => csv.once('drain', resolve));
+        }
+      }
+
+      if (cars.length < EXPORT_BATCH_SIZE) break;
     }
 
-    if (minPrice) {
-      whereConditions += ' AND price >= @minPrice';
-      queryParams.minPrice = minPrice;
+    csv.end();
+
+  } catch (error) {
+    logger.error('Export cars error', { error });
+    // Headers are gone once streaming started, all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
     }
+    res.status(500).json({ message: 'Failed to export cars' });
+  }
+});
 
-    if (maxPrice) {
-      whereConditions += ' AND price <= @maxPrice';
-      queryParams.maxPrice = maxPrice;
+// POST /api/cars/import?dryRun=true - Create or update cars from a CSV upload (cars:write), multipart field "file"
+// Rows are matched by stock_number, nothing is written unless every row is valid
+router.post('/import', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), (req, res, next) => {
+  csvUpload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: error.code === 'LIMIT_FILE_SIZE' ? 'CSV must be smaller than 2 MB' : error.message });
+    }
+    next(error);
+  });
+}, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV file is required (field "file")' });
     }
 
-    if (fuelType) {
-      whereConditions += ' AND fuel_type = @fuelType';
-      queryParams.fuelType = fuelType;
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const { rows } = parseCarCsv(req.file.buffer);
+    const result = await importCars(rows, carValidationRules, { dryRun, userId: req.user.id });
+
+    if (result.errors.length > 0) {
+      return res.status(400).json({
+        message: `Import failed, ${result.errors.length} row(s) have errors - nothing was saved`,
+        summary: result.summary,
+        errors: result.errors
+      });
     }
 
-    if (transmission) {
-      whereConditions += ' AND transmission = @transmission';
-      queryParams.transmission = transmission;
+    if (dryRun) {
+      return res.json({
+        message: 'Dry run passed, no changes were saved',
+        summary: result.summary,
+        errors: []
+      });
     }
 
-    // Get total count for pagination
-    const countSQL = `SELECT COUNT(*) as total FROM cars ${whereConditions}`;
-    const countResult = await query(countSQL, queryParams);
-    const totalCars = countResult[0].total;
-
-    // Get cars with pagination
-    const carsSQL = `
-      SELECT * FROM cars 
-      ${whereConditions} 
-      ORDER BY created_at DESC 
-      OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
-    `;
-    
-    const paginationParams = {
-      ...queryParams,
-      offset: parseInt(offset),
-      limit: parseInt(limit)
-    };
-    
-    const cars = await query(carsSQL, paginationParams);
+    await recordAudit(req, {
+      action: 'import',
+      entity: 'car',
+      after: { created_ids: result.createdIds, updated_ids: result.updatedIds }
+    });
+
+    // Saved search matches for the new listings and for updated ones that went on the market
+    for (const carId of [...result.createdIds, ...result.updatedIds]) {
+      const imported = await query('SELECT * FROM cars WHERE id = @id', { id: carId });
+      await announceListing(imported[0]);
+    }
 
     res.json({
-      cars,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalCars,
-        pages: Math.ceil(totalCars / limit)
-      }
+      message: 'Import completed successfully',
+      summary: result.summary,
+      created_ids: result.createdIds,
+      updated_ids: result.updatedIds,
+      errors: []
     });
 
   } catch (error) {
-    console.error('Get cars error:', error);
-    res.status(500).json({ message: 'Failed to fetch cars' });
+    if (error instanceof InvalidCsvError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Import cars error', { error });
+    res.status(500).json({ message: 'Failed to import cars' });
   }
 });
 
 // GET /api/cars/:id - Get single car by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const cars = await query('SELECT * FROM cars WHERE id = @id', { id });
-    
-    if (cars.length === 0) {
+
+    const details = await rememberCars(`car:${id}`, async () => {
+      const cars = await query('SELECT * FROM cars WHERE id = @id', { id });
+      if (cars.length === 0) {
+        return { body: null, cars };
+      }
+
+      const images = await getCarImages(cars[0].id);
+      return { body: { ...cars[0], images }, cars };
+    });
+    const car = details.body;
+
+    if (!car || (car.archived_at && !canSeeArchived(req))) {
       return res.status(404).json({ message: 'Car not found' });
     }
 
-    res.json(cars[0]);
+    const favoriteIds = await getFavoriteIds(req.user && req.user.id, [car.id]);
+
+    sendCached(req, res, details, favoriteIds, { ...car, is_favorite: favoriteIds.has(car.id) });
 
   } catch (error) {
-    console.error('Get car by ID error:', error);
+    logger.error('Get car by ID error', { error });
     res.status(500).json({ message: 'Failed to fetch car details' });
   }
 });
 
-// POST /api/cars - Create new car (admin only)
-router.post('/', authenticateToken, requireAdmin, carValidationRules, handleValidation, async (req, res) => {
+// GET /api/cars/:id/price-history - Every price change of the car, oldest first
+router.get('/:id/price-history', optionalAuth, async (req, res) => {
+  try {
+    const cars = await query('SELECT id, price, archived_at FROM cars WHERE id = @id', { id: req.params.id });
+
+    if (cars.length === 0 || (cars[0].archived_at && !canSeeArchived(req))) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const history = await getPriceHistory(cars[0].id);
+    const currentPrice = cars[0].price;
+
+    // Cars listed before tracking started have no first entry, the oldest known price is the best we have
+    const originalPrice = history.length === 0
+      ? currentPrice
+      : (history[0].old_price === null ? history[0].new_price : history[0].old_price);
+
+    res.json({
+      car_id: cars[0].id,
+      current_price: currentPrice,
+      original_price: originalPrice,
+      reduced_by: Math.max(0, Math.round((originalPrice - currentPrice) * 100) / 100),
+      history
+    });
+
+  } catch (error) {
+    logger.error('Get price history error', { error });
+    res.status(500).json({ message: 'Failed to fetch price history' });
+  }
+});
+
+// POST /api/cars - Create new car (cars:write)
+// A VIN fills in a missing make and year, mismatches with the submitted values are flagged, not rejected
+router.post('/', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), fillFromVin, carValidationRules, handleValidation, async (req, res) => {
   try {
     const {
       make,
@@ -184,38 +527,68 @@ router.post('/', authenticateToken, requireAdmin, carValidationRules, handleVali
       transmission = 'manual',
       description,
       image_url,
-      is_available = true
+      is_available = true,
+      stock_number = null,
+      vin = null
     } = req.body;
 
-    // Insert new car with OUTPUT clause for MSSQL
-    const result = await query(
-      `INSERT INTO cars (make, model, year, price, mileage, color, fuel_type, transmission, description, image_url, is_available) 
-       OUTPUT INSERTED.id
-       VALUES (@make, @model, @year, @price, @mileage, @color, @fuel_type, @transmission, @description, @image_url, @is_available)`,
+    if (stock_number && await isTaken('stock_number', stock_number)) {
+      return res.status(409).json({ message: `Stock number ${stock_number} is already in use` });
+    }
+
+    if (vin && await isTaken('vin', vin)) {
+      return res.status(409).json({ message: `A car with VIN ${vin} is already listed` });
+    }
+
+    // Insert new car and get its generated id
+    const newCarId = await insert(
+      `INSERT INTO cars (stock_number, vin, make, model, year, price, mileage, color, fuel_type, transmission, description, image_url, is_available) 
+       VALUES (@stock_number, @vin, @make, @model, @year, @price, @mileage, @color, @fuel_type, @transmission, @description, @image_url, @is_available)`,
       { 
-        make, model, year, price, mileage, color, fuel_type, transmission, 
+        stock_number, vin, make, model, year, price, mileage, color, fuel_type, transmission, 
         description, image_url, is_available: is_available ? 1 : 0 
       }
     );
 
-    const newCarId = result[0].id;
-    
+    await invalidateCars();
+
     // Get the created car
     const newCar = await query('SELECT * FROM cars WHERE id = @id', { id: newCarId });
 
-    res.status(201).json({
+    // Starting point of the price history
+    await recordPriceChange({ car: newCar[0], oldPrice: null, newPrice: price, changedBy: req.user.id });
+
+    // Let customers whose saved searches match know about it
+    await announceListing(newCar[0]);
+
+    await recordAudit(req, { action: 'create', entity: 'car', entityId: newCarId, after: newCar[0] });
+
+    publishCarCreated(newCar[0]);
+
+    const response = {
       message: 'Car added successfully',
       car: newCar[0]
-    });
+    };
+
+    if (vin) {
+      const decoded = decodeVin(vin);
+      response.vin = {
+        decoded,
+        autofilled: req.vinAutofilled,
+        mismatches: findVinMismatches(decoded, { make, year })
+      };
+    }
+
+    res.status(201).json(response);
 
   } catch (error) {
-    console.error('Create car error:', error);
+    logger.error('Create car error', { error });
     res.status(500).json({ message: 'Failed to create car' });
   }
 });
 
-// PUT /api/cars/:id - Update car (admin only)
-router.put('/:id', authenticateToken, requireAdmin, carValidationRules, handleValidation, async (req, res) => {
+// PUT /api/cars/:id - Update car (cars:write)
+router.put('/:id', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), carValidationRules, handleValidation, async (req, res) => {
   try {
     const { id } = req.params;
     const {
@@ -232,66 +605,184 @@ router.put('/:id', authenticateToken, requireAdmin, carValidationRules, handleVa
       is_available
     } = req.body;
 
-    // Check if car exists first
-    const existingCar = await query('SELECT id FROM cars WHERE id = @id', { id });
+    // Check if car exists first, keeping the old values for the audit log
+    const existingCar = await query('SELECT * FROM cars WHERE id = @id', { id });
     
     if (existingCar.length === 0) {
       return res.status(404).json({ message: 'Car not found' });
     }
 
-    // Update the car
-    await query(
-      `UPDATE cars SET 
-       make = @make, model = @model, year = @year, price = @price, mileage = @mileage, 
-       color = @color, fuel_type = @fuel_type, transmission = @transmission, 
-       description = @description, image_url = @image_url, is_available = @is_available, 
-       updated_at = GETDATE()
-       WHERE id = @id`,
-      { 
-        make, model, year, price, mileage, color, fuel_type, transmission, 
-        description, image_url, is_available: is_available ? 1 : 0, id 
+    // Leaving stock_number out keeps the current one, null clears it
+    const stock_number = req.body.stock_number === undefined ? existingCar[0].stock_number : req.body.stock_number;
+
+    if (stock_number && await isTaken('stock_number', stock_number, id)) {
+      return res.status(409).json({ message: `Stock number ${stock_number} is already in use` });
+    }
+
+    // Same for the VIN
+    const vin = req.body.vin === undefined ? existingCar[0].vin : req.body.vin;
+
+    if (vin && await isTaken('vin', vin, id)) {
+      return res.status(409).json({ message: `A car with VIN ${vin} is already listed` });
+    }
+
+    // Availability of held or sold cars follows the reservation, not the edit form
+    if (is_available) {
+      const locks = await query(`
+        SELECT
+          (SELECT COUNT(*) FROM reservations WHERE car_id = @id AND status = 'active') AS active_holds,
+          (SELECT COUNT(*) FROM sales WHERE car_id = @id) AS sales
+      `, { id });
+
+      if (locks[0].active_holds > 0 || locks[0].sales > 0) {
+        return res.status(409).json({
+          message: locks[0].sales > 0
+            ? 'Car has been sold and cannot be made available'
+            : 'Car is on hold - cancel the reservation to make it available'
+        });
       }
-    );
+    }
+
+    // Update the car, a new price goes into the history (and alerts subscribers) in the same transaction
+    await transaction(async (tx) => {
+      await tx.query(
+        `UPDATE cars SET 
+         stock_number = @stock_number, vin = @vin, make = @make, model = @model, year = @year, price = @price, mileage = @mileage, 
+         color = @color, fuel_type = @fuel_type, transmission = @transmission, 
+         description = @description, image_url = @image_url, is_available = @is_available, 
+         updated_at = @updated_at
+         WHERE id = @id`,
+        { 
+          stock_number, vin, make, model, year, price, mileage, color, fuel_type, transmission, 
+          description, image_url, is_available: is_available ? 1 : 0, id,
+          updated_at: new Date()
+        }
+      );
+
+      const alertedUserIds = await recordPriceChange({
+        car: { ...existingCar[0], make, model, year },
+        oldPrice: existingCar[0].price,
+        newPrice: price,
+        changedBy: req.user.id
+      }, tx);
+
+      // Customers who starred the car hear about price and availability changes, unless the alert already told them
+      await notifyFavoriteChange({
+        carId: existingCar[0].id,
+        changes: {
+          price: { from: existingCar[0].price, to: price },
+          is_available: { from: Boolean(existingCar[0].is_available), to: Boolean(is_available) }
+        },
+        priceNotifiedUserIds: alertedUserIds
+      }, tx);
+
+      publishCarAvailabilityChange({ carId: existingCar[0].id, from: existingCar[0].is_available, to: is_available }, tx);
+      invalidateCars(tx);
+    });
 
     // Get updated car
     const updatedCar = await query('SELECT * FROM cars WHERE id = @id', { id });
 
+    // A car that was listed hidden (e.g. a converted trade-in) is announced once it goes on the market
+    await announceListing(updatedCar[0]);
+
+    await recordAudit(req, { action: 'update', entity: 'car', entityId: id, before: existingCar[0], after: updatedCar[0] });
+
     res.json({
       message: 'Car updated successfully',
       car: updatedCar[0]
     });
 
   } catch (error) {
-    console.error('Update car error:', error);
+    logger.error('Update car error', { error });
     res.status(500).json({ message: 'Failed to update car' });
   }
 });
 
-// DELETE /api/cars/:id - Delete car (admin only)
-router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+// DELETE /api/cars/:id - Archive car (cars:write), it leaves the listings but keeps its inquiries and history
+router.delete('/:id', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), async (req, res) => {
   try {
-    const { id } = req.params;
+    const result = await archiveCar(req.params.id, req.user.id);
 
-    // Check if car exists
-    const existingCar = await query('SELECT id FROM cars WHERE id = @id', { id });
-    
-    if (existingCar.length === 0) {
-      return res.status(404).json({ message: 'Car not found' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    await recordAudit(req, { action: 'archive', entity: 'car', entityId: result.after.id, before: result.before, after: result.after });
+
+    res.json({
+      message: 'Car archived successfully',
+      car: result.after
+    });
+
+  } catch (error) {
+    logger.error('Archive car error', { error });
+    res.status(500).json({ message: 'Failed to archive car' });
+  }
+});
+
+// POST /api/cars/:id/restore - Put an archived car back into the listings (cars:write)
+router.post('/:id/restore', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), async (req, res) => {
+  try {
+    const result = await restoreCar(req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    await recordAudit(req, { action: 'restore', entity: 'car', entityId: result.after.id, before: result.before, after: result.after });
+
+    res.json({
+      message: 'Car restored successfully',
+      car: result.after
+    });
+
+  } catch (error) {
+    logger.error('Restore car error', { error });
+    res.status(500).json({ message: 'Failed to restore car' });
+  }
+});
+
+// POST /api/cars/purge?dryRun=true - Delete cars archived longer than the retention period for good (cars:purge)
+router.post('/purge', authenticateToken, requirePermission(PERMISSIONS.CARS_PURGE), async (req, res) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const { cutoff, purged, kept, imageKeys } = await purgeArchivedCars({ dryRun });
+
+    if (!dryRun) {
+      await removeFiles(imageKeys);
+
+      for (const car of purged) {
+        await recordAudit(req, { action: 'purge', entity: 'car', entityId: car.id, before: car });
+      }
     }
 
-    // Delete the car
-    await query('DELETE FROM cars WHERE id = @id', { id });
+    const describe = car => ({
+      id: car.id,
+      stock_number: car.stock_number,
+      make: car.make,
+      model: car.model,
+      year: car.year,
+      archived_at: car.archived_at
+    });
 
-    res.json({ message: 'Car deleted successfully' });
+    res.json({
+      message: dryRun ? 'Dry run, nothing was deleted' : `${purged.length} archived car(s) purged`,
+      dry_run: dryRun,
+      retention_days: ARCHIVE_RETENTION_DAYS,
+      cutoff,
+      purged: purged.map(describe),
+      kept
+    });
 
   } catch (error) {
-    console.error('Delete car error:', error);
-    res.status(500).json({ message: 'Failed to delete car' });
+    logger.error('Purge cars error', { error });
+    res.status(500).json({ message: 'Failed to purge archived cars' });
   }
 });
 
-// GET /api/cars/admin/stats - Get car statistics (admin only)
-router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+// GET /api/cars/admin/stats - Get car statistics (reports:view)
+router.get('/admin/stats', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
   try {
     // Get overview statistics
     const overviewStats = await query(`
@@ -302,25 +793,44 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
         MIN(price) as lowest_price,
         MAX(price) as highest_price
       FROM cars
+      WHERE archived_at IS NULL
     `);
 
+    const archivedStats = await query('SELECT COUNT(*) as archived_cars FROM cars WHERE archived_at IS NOT NULL');
+
     // Get popular makes
     const popularMakes = await query(`
       SELECT make, COUNT(*) as count 
       FROM cars 
+      WHERE archived_at IS NULL
       GROUP BY make 
       ORDER BY count DESC
     `);
 
     res.json({
-      overview: overviewStats[0],
+      overview: { ...overviewStats[0], archived_cars: archivedStats[0].archived_cars },
       popular_makes: popularMakes
     });
 
   } catch (error) {
-    console.error('Get car stats error:', error);
+    logger.error('Get car stats error', { error });
     res.status(500).json({ message: 'Failed to fetch statistics' });
   }
 });
 
+// Photo gallery for a car
+router.use('/:id/images', carImageRoutes);
+
+// Test-drive slots and bookings for a car
+router.use('/:id/test-drives', carTestDriveRoutes);
+
+// Holds on a car, sales are recorded through /api/reservations and /api/sales
+router.use('/:id/reservations', carReservationRoutes);
+
+// Price-drop alert subscription of the current user
+router.use('/:id/price-alerts', carPriceAlertRoutes);
+
+// Loan calculator, logged-in users can save the quote
+router.use('/:id/finance-quote', carFinanceRoutes);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,19 @@
+// API documentation - the OpenAPI document and a browsable page for it
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const spec = require('../openapi');
+
+const router = express.Router();
+
+// GET /api/docs/openapi.json - The OpenAPI 3 document
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// GET /api/docs - Swagger UI for the document above
+router.use('/', swaggerUi.serve, swaggerUi.setup(spec, {
+  customSiteTitle: 'Car Shop API'
+}));
+
+module.exports = router;
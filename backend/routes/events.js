@@ -0,0 +1,57 @@
+// Live event stream (server-sent events) so the admin pages and customers don't have to poll
+
+const express = require('express');
+const { authenticateStream } = require('../middleware/auth');
+const { subscribe, eventsSince } = require('../events/bus');
+
+const router = express.Router();
+
+// A comment line every so often keeps proxies from closing an idle connection
+const HEARTBEAT_INTERVAL = (parseInt(process.env.EVENT_HEARTBEAT_SECONDS, 10) || 25) * 1000;
+
+// How long the browser waits before reconnecting after the stream drops
+const RETRY_MS = 5000;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+// GET /api/events - Inquiry, trade-in and car events as they happen
+// Staff with events:view get everything, customers the events about their own inquiries and trade-ins
+// Reconnecting with Last-Event-ID (header, or ?last_event_id= with a new EventSource) replays what was missed;
+// if that isn't possible a stream.reset event tells the client to reload instead
+// The stream ends when the access token expires, reconnect with a fresh one
+router.get('/', authenticateStream, (req, res) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx would otherwise buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  if (lastEventId) {
+    const { complete, events } = eventsSince(req.user, lastEventId);
+    if (!complete) {
+      res.write(`event: stream.reset\ndata: ${JSON.stringify({ message: 'Some events were missed, reload the data' })}\n\n`);
+    }
+    events.forEach(event => writeEvent(res, event));
+  }
+
+  const end = () => res.end();
+  const unsubscribe = subscribe(req.user, { send: event => writeEvent(res, event), close: end });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const expiry = setTimeout(end, Math.max(req.user.exp * 1000 - Date.now(), 0));
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,98 @@
+// Financing terms - the APR tiers and loan lengths quotes are calculated with
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const { MAX_APR, getFinanceTerms, saveFinanceTerms } = require('../models/finance');
+const { recordAudit } = require('../models/audit');
+
+const router = express.Router();
+
+const TIER_NAME_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Finance terms validation rules
+const financeTermsValidation = [
+  body('terms')
+    .isArray({ min: 1, max: 12 })
+    .withMessage('terms must list between 1 and 12 loan lengths'),
+  body('terms.*')
+    .isInt({ min: 6, max: 120 })
+    .withMessage('Each term must be between 6 and 120 months')
+    .toInt(),
+  body('apr_tiers')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('apr_tiers must list between 1 and 10 tiers'),
+  body('apr_tiers.*.name')
+    .matches(TIER_NAME_PATTERN)
+    .withMessage('Tier names are lowercase letters, digits and underscores'),
+  body('apr_tiers.*.apr')
+    .isFloat({ min: 0, max: MAX_APR })
+    .withMessage(`Tier APRs must be between 0 and ${MAX_APR}`)
+    .toFloat(),
+  body('default_tier')
+    .custom((value, { req }) => Array.isArray(req.body.apr_tiers) && req.body.apr_tiers.some(tier => tier.name === value))
+    .withMessage('default_tier must be the name of one of the tiers')
+];
+
+// GET /api/finance/terms - APR tiers, allowed loan lengths and the default tier
+router.get('/terms', async (req, res) => {
+  try {
+    res.json(await getFinanceTerms());
+  } catch (error) {
+    logger.error('Get finance terms error', { error });
+    res.status(500).json({ message: 'Failed to fetch finance terms' });
+  }
+});
+
+// PUT /api/finance/terms - Change APR tiers and loan lengths (finance:manage)
+router.put('/terms', authenticateToken, requirePermission(PERMISSIONS.FINANCE_MANAGE), financeTermsValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { terms, apr_tiers, default_tier } = req.body;
+
+    const tierNames = apr_tiers.map(tier => tier.name);
+    if (new Set(tierNames).size !== tierNames.length) {
+      return res.status(400).json({ message: 'Tier names must be unique' });
+    }
+
+    const previousTerms = await getFinanceTerms();
+
+    const financeTerms = await saveFinanceTerms({
+      terms: [...new Set(terms)].sort((a, b) => a - b),
+      apr_tiers: apr_tiers.map(tier => ({ name: tier.name, apr: tier.apr })),
+      default_tier
+    }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'setting',
+      entityId: 'finance_terms',
+      before: previousTerms,
+      after: financeTerms
+    });
+
+    res.json({
+      message: 'Finance terms updated successfully',
+      finance_terms: financeTerms
+    });
+
+  } catch (error) {
+    logger.error('Update finance terms error', { error });
+    res.status(500).json({ message: 'Failed to update finance terms' });
+  }
+});
+
+module.exports = router;
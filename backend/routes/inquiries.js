@@ -1,10 +1,28 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { query } = require('../config/database');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { query, insert, transaction, paginate } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const { recordAudit } = require('../models/audit');
+const { getInquiryQuotes } = require('../models/finance');
+const { publishEvent, publishInquiryStatusChange } = require('../events/bus');
+const inquiryMessageRoutes = require('./inquiryMessages');
 
 const router = express.Router();
 
+// Messages in the thread that the viewer hasn't read yet (their own messages don't count)
+const unreadCountColumn = `
+  (SELECT COUNT(*)
+   FROM inquiry_messages m
+   WHERE m.inquiry_id = i.id
+     AND m.sender_id <> @viewerId
+     AND m.id > COALESCE((
+       SELECT r.last_read_message_id
+       FROM inquiry_read_markers r
+       WHERE r.inquiry_id = i.id AND r.user_id = @viewerId
+     ), 0)) AS unread_count`;
+
 // Validation middleware
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -34,12 +52,12 @@ router.get('/', authenticateToken, async (req, res) => {
     const { page = 1, limit = 10, status } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = 'WHERE i.user_id = ?';
-    const params = [userId];
+    let whereClause = 'WHERE i.user_id = @userId';
+    const params = { userId };
 
     if (status) {
-      whereClause += ' AND i.status = ?';
-      params.push(status);
+      whereClause += ' AND i.status = @status';
+      params.status = status;
     }
 
     // Get total count
@@ -59,15 +77,21 @@ router.get('/', authenticateToken, async (req, res) => {
         c.model,
         c.year,
         c.price,
-        c.image_url
+        c.image_url,
+        ${unreadCountColumn}
       FROM inquiries i
       JOIN cars c ON i.car_id = c.id
       ${whereClause}
       ORDER BY i.created_at DESC
-      LIMIT ? OFFSET ?
+      ${paginate('@offset', '@limit')}
     `;
     
-    const inquiries = await query(inquiriesQuery, [...params, parseInt(limit), offset]);
+    const inquiries = await query(inquiriesQuery, {
+      ...params,
+      viewerId: userId,
+      offset: parseInt(offset),
+      limit: parseInt(limit)
+    });
 
     res.json({
       inquiries,
@@ -80,28 +104,28 @@ router.get('/', authenticateToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get inquiries error:', error);
+    logger.error('Get inquiries error', { error });
     res.status(500).json({ message: 'Failed to fetch inquiries' });
   }
 });
 
-// Get all inquiries (admin only)
-router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
+// Get all inquiries (staff who answer inquiries)
+router.get('/admin/all', authenticateToken, requirePermission(PERMISSIONS.INQUIRIES_RESPOND), async (req, res) => {
   try {
     const { page = 1, limit = 10, status, userId } = req.query;
     const offset = (page - 1) * limit;
 
     let whereClause = 'WHERE 1=1';
-    const params = [];
+    const params = {};
 
     if (status) {
-      whereClause += ' AND i.status = ?';
-      params.push(status);
+      whereClause += ' AND i.status = @status';
+      params.status = status;
     }
 
     if (userId) {
-      whereClause += ' AND i.user_id = ?';
-      params.push(userId);
+      whereClause += ' AND i.user_id = @userId';
+      params.userId = userId;
     }
 
     // Get total count
@@ -123,16 +147,22 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
         c.model,
         c.year,
         c.price,
-        c.image_url
+        c.image_url,
+        ${unreadCountColumn}
       FROM inquiries i
       JOIN users u ON i.user_id = u.id
       JOIN cars c ON i.car_id = c.id
       ${whereClause}
       ORDER BY i.created_at DESC
-      LIMIT ? OFFSET ?
+      ${paginate('@offset', '@limit')}
     `;
     
-    const inquiries = await query(inquiriesQuery, [...params, parseInt(limit), offset]);
+    const inquiries = await query(inquiriesQuery, {
+      ...params,
+      viewerId: req.user.id,
+      offset: parseInt(offset),
+      limit: parseInt(limit)
+    });
 
     res.json({
       inquiries,
@@ -145,7 +175,7 @@ router.get('/admin/all', authenticateToken, requireAdmin, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Get all inquiries error:', error);
+    logger.error('Get all inquiries error', { error });
     res.status(500).json({ message: 'Failed to fetch inquiries' });
   }
 });
@@ -155,7 +185,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const isStaff = hasPermission(req.user, PERMISSIONS.INQUIRIES_RESPOND);
 
     let inquiryQuery = `
       SELECT 
@@ -171,15 +201,15 @@ router.get('/:id', authenticateToken, async (req, res) => {
       FROM inquiries i
       JOIN users u ON i.user_id = u.id
       JOIN cars c ON i.car_id = c.id
-      WHERE i.id = ?
+      WHERE i.id = @id
     `;
 
-    const params = [id];
+    const params = { id };
 
-    // Non-admin users can only see their own inquiries
-    if (!isAdmin) {
-      inquiryQuery += ' AND i.user_id = ?';
-      params.push(userId);
+    // Customers can only see their own inquiries
+    if (!isStaff) {
+      inquiryQuery += ' AND i.user_id = @userId';
+      params.userId = userId;
     }
 
     const inquiries = await query(inquiryQuery, params);
@@ -188,10 +218,11 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Inquiry not found' });
     }
 
-    res.json(inquiries[0]);
+    // Finance quotes the customer attached, so staff can see what they are planning to pay
+    res.json({ ...inquiries[0], finance_quotes: await getInquiryQuotes(inquiries[0].id) });
 
   } catch (error) {
-    console.error('Get inquiry error:', error);
+    logger.error('Get inquiry error', { error });
     res.status(500).json({ message: 'Failed to fetch inquiry' });
   }
 });
@@ -203,20 +234,20 @@ router.post('/', authenticateToken, inquiryValidation, handleValidationErrors, a
     const userId = req.user.id;
 
     // Check if car exists and is available
-    const cars = await query('SELECT id, is_available FROM cars WHERE id = ?', [car_id]);
+    const cars = await query('SELECT id, is_available, archived_at FROM cars WHERE id = @car_id', { car_id });
     
     if (cars.length === 0) {
       return res.status(404).json({ message: 'Car not found' });
     }
 
-    if (!cars[0].is_available) {
+    if (!cars[0].is_available || cars[0].archived_at) {
       return res.status(400).json({ message: 'Car is not available for inquiries' });
     }
 
     // Check if user already has a pending inquiry for this car
     const existingInquiries = await query(
-      'SELECT id FROM inquiries WHERE user_id = ? AND car_id = ? AND status = ?',
-      [userId, car_id, 'pending']
+      'SELECT id FROM inquiries WHERE user_id = @userId AND car_id = @car_id AND status = @status',
+      { userId, car_id, status: 'pending' }
     );
 
     if (existingInquiries.length > 0) {
@@ -226,9 +257,9 @@ router.post('/', authenticateToken, inquiryValidation, handleValidationErrors, a
     }
 
     // Create inquiry
-    const result = await query(
-      'INSERT INTO inquiries (user_id, car_id, message) VALUES (?, ?, ?)',
-      [userId, car_id, message]
+    const newInquiryId = await insert(
+      'INSERT INTO inquiries (user_id, car_id, message) VALUES (@userId, @car_id, @message)',
+      { userId, car_id, message }
     );
 
     // Get the created inquiry with car details
@@ -242,8 +273,14 @@ router.post('/', authenticateToken, inquiryValidation, handleValidationErrors, a
         c.image_url
       FROM inquiries i
       JOIN cars c ON i.car_id = c.id
-      WHERE i.id = ?
-    `, [result.insertId]);
+      WHERE i.id = @id
+    `, { id: newInquiryId });
+
+    publishEvent({
+      type: 'inquiry.created',
+      userId,
+      data: { inquiry_id: newInquiryId, car_id: newInquiry[0].car_id, user_id: userId, status: newInquiry[0].status }
+    });
 
     res.status(201).json({
       message: 'Inquiry created successfully',
@@ -251,13 +288,13 @@ router.post('/', authenticateToken, inquiryValidation, handleValidationErrors, a
     });
 
   } catch (error) {
-    console.error('Create inquiry error:', error);
+    logger.error('Create inquiry error', { error });
     res.status(500).json({ message: 'Failed to create inquiry' });
   }
 });
 
-// Update inquiry status (admin only)
-router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+// Update inquiry status (staff who answer inquiries)
+router.put('/:id/status', authenticateToken, requirePermission(PERMISSIONS.INQUIRIES_RESPOND), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body;
@@ -269,7 +306,7 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
     }
 
     // Check if inquiry exists
-    const existingInquiries = await query('SELECT id FROM inquiries WHERE id = ?', [id]);
+    const existingInquiries = await query('SELECT * FROM inquiries WHERE id = @id', { id });
     
     if (existingInquiries.length === 0) {
       return res.status(404).json({ message: 'Inquiry not found' });
@@ -277,8 +314,8 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
 
     // Update inquiry status
     await query(
-      'UPDATE inquiries SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [status, id]
+      'UPDATE inquiries SET status = @status, updated_at = @updated_at WHERE id = @id',
+      { status, id, updated_at: new Date() }
     );
 
     // Get updated inquiry with details
@@ -294,8 +331,18 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
       FROM inquiries i
       JOIN users u ON i.user_id = u.id
       JOIN cars c ON i.car_id = c.id
-      WHERE i.id = ?
-    `, [id]);
+      WHERE i.id = @id
+    `, { id });
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'inquiry',
+      entityId: id,
+      before: existingInquiries[0],
+      after: updatedInquiry[0]
+    });
+
+    publishInquiryStatusChange({ inquiry: existingInquiries[0], from: existingInquiries[0].status, to: status });
 
     res.json({
       message: 'Inquiry status updated successfully',
@@ -303,7 +350,7 @@ router.put('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Update inquiry status error:', error);
+    logger.error('Update inquiry status error', { error });
     res.status(500).json({ message: 'Failed to update inquiry status' });
   }
 });
@@ -313,32 +360,41 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
-    const isAdmin = req.user.role === 'admin';
+    const isStaff = hasPermission(req.user, PERMISSIONS.INQUIRIES_RESPOND);
 
     // Check if inquiry exists
-    const inquiries = await query('SELECT user_id FROM inquiries WHERE id = ?', [id]);
+    const inquiries = await query('SELECT * FROM inquiries WHERE id = @id', { id });
     
     if (inquiries.length === 0) {
       return res.status(404).json({ message: 'Inquiry not found' });
     }
 
-    // Non-admin users can only delete their own inquiries
-    if (!isAdmin && inquiries[0].user_id !== userId) {
+    // Customers can only delete their own inquiries
+    if (!isStaff && inquiries[0].user_id !== userId) {
       return res.status(403).json({ message: 'You can only delete your own inquiries' });
     }
 
-    await query('DELETE FROM inquiries WHERE id = ?', [id]);
+    // Staff deleting a customer's inquiry is an admin change, customers removing their own isn't
+    if (inquiries[0].user_id !== userId) {
+      await recordAudit(req, { action: 'delete', entity: 'inquiry', entityId: id, before: inquiries[0] });
+    }
+
+    // Attached finance quotes stay with the customer, they are only detached
+    await transaction(async (tx) => {
+      await tx.query('UPDATE finance_quotes SET inquiry_id = NULL WHERE inquiry_id = @id', { id });
+      await tx.query('DELETE FROM inquiries WHERE id = @id', { id });
+    });
 
     res.json({ message: 'Inquiry deleted successfully' });
 
   } catch (error) {
-    console.error('Delete inquiry error:', error);
+    logger.error('Delete inquiry error', { error });
     res.status(500).json({ message: 'Failed to delete inquiry' });
   }
 });
 
-// Get inquiry statistics (admin only)
-router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+// Get inquiry statistics (staff with report access)
+router.get('/admin/stats', authenticateToken, requirePermission(PERMISSIONS.REPORTS_VIEW), async (req, res) => {
   try {
     const stats = await query(`
       SELECT 
@@ -349,11 +405,13 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
       FROM inquiries
     `);
 
+    // Cutoff is computed here so the SQL stays portable between drivers
+    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
     const recentInquiries = await query(`
       SELECT COUNT(*) as recent_inquiries
       FROM inquiries 
-      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 7 DAY)
-    `);
+      WHERE created_at >= @since
+    `, { since: sevenDaysAgo });
 
     const topCars = await query(`
       SELECT 
@@ -365,8 +423,8 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
       JOIN inquiries i ON c.id = i.car_id
       GROUP BY c.id, c.make, c.model, c.year
       ORDER BY inquiry_count DESC
-      LIMIT 5
-    `);
+      ${paginate('@offset', '@limit')}
+    `, { offset: 0, limit: 5 });
 
     res.json({
       overview: {
@@ -377,9 +435,12 @@ router.get('/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
     });
 
   } catch (error) {
-    console.error('Get inquiry stats error:', error);
+    logger.error('Get inquiry stats error', { error });
     res.status(500).json({ message: 'Failed to fetch inquiry statistics' });
   }
 });
 
+// Conversation thread for an inquiry
+router.use('/:id/messages', inquiryMessageRoutes);
+
 module.exports = router;
\ No newline at end of file
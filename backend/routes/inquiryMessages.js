@@ -0,0 +1,194 @@
+// Conversation thread on an inquiry - mounted at /api/inquiries/:id/messages
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const { publishInquiryStatusChange } = require('../events/bus');
+
+const router = express.Router({ mergeParams: true });
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Message validation rules
+const messageValidation = [
+  body('body')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters')
+];
+
+// Load the inquiry and make sure the user takes part in it (owner or staff)
+const loadInquiry = async (req, res, next) => {
+  try {
+    const inquiries = await query(
+      'SELECT id, user_id, car_id, status FROM inquiries WHERE id = @id',
+      { id: req.params.id }
+    );
+
+    const isStaff = hasPermission(req.user, PERMISSIONS.INQUIRIES_RESPOND);
+
+    // Customers get 404 for other people's inquiries so ids can't be probed
+    if (inquiries.length === 0 || (!isStaff && inquiries[0].user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Inquiry not found' });
+    }
+
+    req.inquiry = inquiries[0];
+    req.isStaff = isStaff;
+    next();
+  } catch (error) {
+    logger.error('Load inquiry error', { error });
+    res.status(500).json({ message: 'Failed to fetch inquiry' });
+  }
+};
+
+// Move the user's read marker forward to the given message
+const markReadUpTo = async (db, inquiryId, userId, messageId) => {
+  const markers = await db.query(
+    'SELECT last_read_message_id FROM inquiry_read_markers WHERE inquiry_id = @inquiryId AND user_id = @userId',
+    { inquiryId, userId }
+  );
+
+  const params = { inquiryId, userId, messageId, now: new Date() };
+
+  if (markers.length === 0) {
+    await db.query(
+      `INSERT INTO inquiry_read_markers (inquiry_id, user_id, last_read_message_id, updated_at)
+       VALUES (@inquiryId, @userId, @messageId, @now)`,
+      params
+    );
+  } else if (markers[0].last_read_message_id < messageId) {
+    await db.query(
+      `UPDATE inquiry_read_markers SET last_read_message_id = @messageId, updated_at = @now
+       WHERE inquiry_id = @inquiryId AND user_id = @userId`,
+      params
+    );
+  }
+};
+
+// Get all messages in the thread
+router.get('/', authenticateToken, loadInquiry, async (req, res) => {
+  try {
+    const inquiryId = req.inquiry.id;
+    const userId = req.user.id;
+
+    const markers = await query(
+      'SELECT last_read_message_id FROM inquiry_read_markers WHERE inquiry_id = @inquiryId AND user_id = @userId',
+      { inquiryId, userId }
+    );
+    const lastReadId = markers.length > 0 ? markers[0].last_read_message_id : 0;
+
+    const messages = await query(`
+      SELECT
+        m.id,
+        m.inquiry_id,
+        m.sender_id,
+        m.sender_role,
+        m.body,
+        m.created_at,
+        u.username AS sender_username
+      FROM inquiry_messages m
+      JOIN users u ON m.sender_id = u.id
+      WHERE m.inquiry_id = @inquiryId
+      ORDER BY m.id ASC
+    `, { inquiryId });
+
+    // Own messages are always read, everything else after the marker is unread
+    const thread = messages.map(message => ({
+      ...message,
+      is_read: message.sender_id === userId || message.id <= lastReadId
+    }));
+
+    res.json({
+      inquiry_id: inquiryId,
+      status: req.inquiry.status,
+      unread_count: thread.filter(message => !message.is_read).length,
+      messages: thread
+    });
+
+  } catch (error) {
+    logger.error('Get inquiry messages error', { error });
+    res.status(500).json({ message: 'Failed to fetch messages' });
+  }
+});
+
+// Post a reply - staff replies mark the inquiry responded, customer replies put it back to pending
+router.post('/', authenticateToken, loadInquiry, messageValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const inquiryId = req.inquiry.id;
+    const userId = req.user.id;
+    const senderRole = req.isStaff ? 'staff' : 'customer';
+    const newStatus = req.isStaff ? 'responded' : 'pending';
+
+    const message = await transaction(async (tx) => {
+      const now = new Date();
+
+      const messageId = await tx.insert(
+        `INSERT INTO inquiry_messages (inquiry_id, sender_id, sender_role, body, created_at)
+         VALUES (@inquiryId, @userId, @senderRole, @body, @now)`,
+        { inquiryId, userId, senderRole, body: req.body.body, now }
+      );
+
+      await tx.query(
+        'UPDATE inquiries SET status = @status, updated_at = @now WHERE id = @inquiryId',
+        { status: newStatus, inquiryId, now }
+      );
+      publishInquiryStatusChange({ inquiry: req.inquiry, from: req.inquiry.status, to: newStatus }, tx);
+
+      // The sender has obviously read the thread up to their own message
+      await markReadUpTo(tx, inquiryId, userId, messageId);
+
+      const created = await tx.query(
+        'SELECT * FROM inquiry_messages WHERE id = @messageId',
+        { messageId }
+      );
+      return created[0];
+    });
+
+    res.status(201).json({
+      message: 'Reply sent successfully',
+      inquiry_status: newStatus,
+      reply: message
+    });
+
+  } catch (error) {
+    logger.error('Create inquiry message error', { error });
+    res.status(500).json({ message: 'Failed to send reply' });
+  }
+});
+
+// Mark the thread as read for the current user
+router.post('/read', authenticateToken, loadInquiry, async (req, res) => {
+  try {
+    const inquiryId = req.inquiry.id;
+
+    const latest = await query(
+      'SELECT MAX(id) AS last_id FROM inquiry_messages WHERE inquiry_id = @inquiryId',
+      { inquiryId }
+    );
+
+    if (latest[0].last_id) {
+      await markReadUpTo({ query }, inquiryId, req.user.id, latest[0].last_id);
+    }
+
+    res.json({ message: 'Messages marked as read' });
+
+  } catch (error) {
+    logger.error('Mark inquiry messages read error', { error });
+    res.status(500).json({ message: 'Failed to mark messages as read' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,354 @@
+// The logged-in customer's own stuff - favorite cars, saved searches and saved finance quotes
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, insert } = require('../config/database');
+const logger = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { getPrimaryImages } = require('../models/carImage');
+const { pickFilters } = require('../models/carFilters');
+const { MAX_SAVED_SEARCHES, formatSavedSearch } = require('../models/savedSearch');
+const { formatFinanceQuote } = require('../models/finance');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Saved search validation rules, filters take the same keys as GET /api/cars
+// Updates (partial = true) may leave any field out
+const savedSearchValidation = (partial = false) => {
+  const field = (name) => (partial ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters'),
+    field('filters')
+      .isObject()
+      .withMessage('Filters must be an object')
+      .custom(filters => Object.keys(pickFilters(filters)).length > 0)
+      .withMessage('Filters need at least one of the GET /api/cars filters'),
+    body('notify')
+      .optional()
+      .isBoolean()
+      .withMessage('notify must be true or false')
+      .toBoolean()
+  ];
+};
+
+const loadSavedSearch = async (req, res, next) => {
+  try {
+    const searches = await query(
+      'SELECT * FROM saved_searches WHERE id = @id AND user_id = @userId',
+      { id: req.params.id, userId: req.user.id }
+    );
+
+    if (searches.length === 0) {
+      return res.status(404).json({ message: 'Saved search not found' });
+    }
+
+    req.savedSearch = searches[0];
+    next();
+  } catch (error) {
+    logger.error('Load saved search error', { error });
+    res.status(500).json({ message: 'Failed to fetch saved search' });
+  }
+};
+
+// Finance quote update validation rules, null detaches the quote from its inquiry
+const financeQuoteValidation = [
+  body('inquiry_id')
+    .custom(value => value === null || (Number.isInteger(Number(value)) && Number(value) > 0))
+    .withMessage('inquiry_id must be an inquiry ID or null')
+];
+
+// Load a finance quote of the current user
+const loadFinanceQuote = async (req, res, next) => {
+  try {
+    const quotes = await query(
+      'SELECT * FROM finance_quotes WHERE id = @id AND user_id = @userId',
+      { id: req.params.id, userId: req.user.id }
+    );
+
+    if (quotes.length === 0) {
+      return res.status(404).json({ message: 'Finance quote not found' });
+    }
+
+    req.financeQuote = quotes[0];
+    next();
+  } catch (error) {
+    logger.error('Load finance quote error', { error });
+    res.status(500).json({ message: 'Failed to fetch finance quote' });
+  }
+};
+
+router.use(authenticateToken);
+
+// GET /api/me/favorites - Starred cars, most recently starred first
+router.get('/favorites', async (req, res) => {
+  try {
+    const cars = await query(`
+      SELECT c.*, f.created_at AS favorited_at
+      FROM favorites f
+      JOIN cars c ON f.car_id = c.id
+      WHERE f.user_id = @userId
+      ORDER BY f.created_at DESC
+    `, { userId: req.user.id });
+
+    const primaryImages = await getPrimaryImages(cars.map(car => car.id));
+
+    res.json({
+      favorites: cars.map(car => ({ ...car, is_favorite: true, primary_image: primaryImages[car.id] || null }))
+    });
+
+  } catch (error) {
+    logger.error('Get favorites error', { error });
+    res.status(500).json({ message: 'Failed to fetch favorites' });
+  }
+});
+
+// PUT /api/me/favorites/:carId - Star a car (starring twice is fine)
+router.put('/favorites/:carId', async (req, res) => {
+  try {
+    const { carId } = req.params;
+
+    const cars = await query('SELECT id FROM cars WHERE id = @carId AND archived_at IS NULL', { carId });
+    if (cars.length === 0) {
+      return res.status(404).json({ message: 'Car not found' });
+    }
+
+    const existing = await query(
+      'SELECT car_id FROM favorites WHERE user_id = @userId AND car_id = @carId',
+      { userId: req.user.id, carId: cars[0].id }
+    );
+
+    if (existing.length === 0) {
+      await query(
+        'INSERT INTO favorites (user_id, car_id, created_at) VALUES (@userId, @carId, @now)',
+        { userId: req.user.id, carId: cars[0].id, now: new Date() }
+      );
+    }
+
+    res.status(existing.length === 0 ? 201 : 200).json({
+      message: 'Car added to favorites',
+      car_id: cars[0].id,
+      is_favorite: true
+    });
+
+  } catch (error) {
+    logger.error('Add favorite error', { error });
+    res.status(500).json({ message: 'Failed to add favorite' });
+  }
+});
+
+// DELETE /api/me/favorites/:carId - Unstar a car
+router.delete('/favorites/:carId', async (req, res) => {
+  try {
+    const existing = await query(
+      'SELECT car_id FROM favorites WHERE user_id = @userId AND car_id = @carId',
+      { userId: req.user.id, carId: req.params.carId }
+    );
+
+    if (existing.length === 0) {
+      return res.status(404).json({ message: 'Car is not in your favorites' });
+    }
+
+    await query(
+      'DELETE FROM favorites WHERE user_id = @userId AND car_id = @carId',
+      { userId: req.user.id, carId: existing[0].car_id }
+    );
+
+    res.json({
+      message: 'Car removed from favorites',
+      car_id: existing[0].car_id,
+      is_favorite: false
+    });
+
+  } catch (error) {
+    logger.error('Remove favorite error', { error });
+    res.status(500).json({ message: 'Failed to remove favorite' });
+  }
+});
+
+// GET /api/me/saved-searches - All saved searches
+router.get('/saved-searches', async (req, res) => {
+  try {
+    const searches = await query(
+      'SELECT * FROM saved_searches WHERE user_id = @userId ORDER BY created_at DESC',
+      { userId: req.user.id }
+    );
+
+    res.json({ saved_searches: searches.map(formatSavedSearch) });
+
+  } catch (error) {
+    logger.error('Get saved searches error', { error });
+    res.status(500).json({ message: 'Failed to fetch saved searches' });
+  }
+});
+
+// POST /api/me/saved-searches - Save a filter set, new matching cars are notified unless notify is false
+router.post('/saved-searches', savedSearchValidation(), handleValidationErrors, async (req, res) => {
+  try {
+    const { name, filters, notify = true } = req.body;
+
+    const countResult = await query(
+      'SELECT COUNT(*) AS total FROM saved_searches WHERE user_id = @userId',
+      { userId: req.user.id }
+    );
+    if (countResult[0].total >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ message: `You can save at most ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const now = new Date();
+    const searchId = await insert(
+      `INSERT INTO saved_searches (user_id, name, filters, notify, created_at, updated_at)
+       VALUES (@userId, @name, @filters, @notify, @now, @now)`,
+      { userId: req.user.id, name, filters: JSON.stringify(pickFilters(filters)), notify: notify ? 1 : 0, now }
+    );
+
+    const searches = await query('SELECT * FROM saved_searches WHERE id = @id', { id: searchId });
+
+    res.status(201).json({
+      message: 'Search saved successfully',
+      saved_search: formatSavedSearch(searches[0])
+    });
+
+  } catch (error) {
+    logger.error('Create saved search error', { error });
+    res.status(500).json({ message: 'Failed to save search' });
+  }
+});
+
+// PUT /api/me/saved-searches/:id - Rename, change filters or toggle notifications
+router.put('/saved-searches/:id', loadSavedSearch, savedSearchValidation(true), handleValidationErrors, async (req, res) => {
+  try {
+    const current = formatSavedSearch(req.savedSearch);
+    const {
+      name = current.name,
+      filters = current.filters,
+      notify = current.notify
+    } = req.body;
+
+    await query(
+      `UPDATE saved_searches SET name = @name, filters = @filters, notify = @notify, updated_at = @now
+       WHERE id = @id`,
+      {
+        id: req.savedSearch.id,
+        name,
+        filters: JSON.stringify(pickFilters(filters)),
+        notify: notify ? 1 : 0,
+        now: new Date()
+      }
+    );
+
+    const searches = await query('SELECT * FROM saved_searches WHERE id = @id', { id: req.savedSearch.id });
+
+    res.json({
+      message: 'Saved search updated successfully',
+      saved_search: formatSavedSearch(searches[0])
+    });
+
+  } catch (error) {
+    logger.error('Update saved search error', { error });
+    res.status(500).json({ message: 'Failed to update saved search' });
+  }
+});
+
+// DELETE /api/me/saved-searches/:id - Delete a saved search
+router.delete('/saved-searches/:id', loadSavedSearch, async (req, res) => {
+  try {
+    await query('DELETE FROM saved_searches WHERE id = @id', { id: req.savedSearch.id });
+
+    res.json({ message: 'Saved search deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete saved search error', { error });
+    res.status(500).json({ message: 'Failed to delete saved search' });
+  }
+});
+
+// GET /api/me/finance-quotes - Saved quotes, newest first, with the car but without schedules
+router.get('/finance-quotes', async (req, res) => {
+  try {
+    const quotes = await query(`
+      SELECT q.*, c.make, c.model, c.year
+      FROM finance_quotes q
+      JOIN cars c ON q.car_id = c.id
+      WHERE q.user_id = @userId
+      ORDER BY q.created_at DESC, q.id DESC
+    `, { userId: req.user.id });
+
+    res.json({
+      finance_quotes: quotes.map(row => ({
+        ...formatFinanceQuote(row, { withSchedule: false }),
+        car: { make: row.make, model: row.model, year: row.year }
+      }))
+    });
+
+  } catch (error) {
+    logger.error('Get finance quotes error', { error });
+    res.status(500).json({ message: 'Failed to fetch finance quotes' });
+  }
+});
+
+// GET /api/me/finance-quotes/:id - One saved quote with its amortization schedule
+router.get('/finance-quotes/:id', loadFinanceQuote, (req, res) => {
+  res.json({ quote: formatFinanceQuote(req.financeQuote) });
+});
+
+// PUT /api/me/finance-quotes/:id - Attach the quote to one of your inquiries about the same car, or detach it
+router.put('/finance-quotes/:id', loadFinanceQuote, financeQuoteValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const inquiryId = req.body.inquiry_id === null ? null : Number(req.body.inquiry_id);
+
+    if (inquiryId !== null) {
+      const inquiries = await query('SELECT user_id, car_id FROM inquiries WHERE id = @inquiryId', { inquiryId });
+      if (inquiries.length === 0 || inquiries[0].user_id !== req.user.id) {
+        return res.status(404).json({ message: 'Inquiry not found' });
+      }
+      if (inquiries[0].car_id !== req.financeQuote.car_id) {
+        return res.status(400).json({ message: 'That inquiry is about a different car' });
+      }
+    }
+
+    await query(
+      'UPDATE finance_quotes SET inquiry_id = @inquiryId WHERE id = @id',
+      { id: req.financeQuote.id, inquiryId }
+    );
+
+    res.json({
+      message: inquiryId === null ? 'Quote detached from its inquiry' : 'Quote attached to the inquiry',
+      quote: formatFinanceQuote({ ...req.financeQuote, inquiry_id: inquiryId })
+    });
+
+  } catch (error) {
+    logger.error('Update finance quote error', { error });
+    res.status(500).json({ message: 'Failed to update finance quote' });
+  }
+});
+
+// DELETE /api/me/finance-quotes/:id - Delete a saved quote
+router.delete('/finance-quotes/:id', loadFinanceQuote, async (req, res) => {
+  try {
+    await query('DELETE FROM finance_quotes WHERE id = @id', { id: req.financeQuote.id });
+
+    res.json({ message: 'Finance quote deleted successfully' });
+
+  } catch (error) {
+    logger.error('Delete finance quote error', { error });
+    res.status(500).json({ message: 'Failed to delete finance quote' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// Prometheus scrape endpoint - request latency and status codes, database timings and pool usage
+// Open by default, set METRICS_TOKEN to require "Authorization: Bearer <token>"
+
+const express = require('express');
+const crypto = require('crypto');
+const { renderMetrics } = require('../config/metrics');
+
+const router = express.Router();
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+// Constant-time compare so the token can't be guessed byte by byte
+const isAuthorized = (req) => {
+  if (!METRICS_TOKEN) return true;
+
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  const given = Buffer.from(req.get('Authorization') || '');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// GET /metrics - Every metric in the Prometheus text format
+router.get('/', (req, res) => {
+  if (!isAuthorized(req)) {
+    return res.status(401).json({ message: 'A valid metrics token is required' });
+  }
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+// In-app notification feed of the current user
+
+const express = require('express');
+const { query, paginate } = require('../config/database');
+const logger = require('../config/logger');
+const { authenticateToken } = require('../middleware/auth');
+const { formatNotification, countUnread } = require('../models/notification');
+
+const router = express.Router();
+
+router.use(authenticateToken);
+
+// GET /api/notifications - Newest first, ?unread=true for unread only
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE user_id = @userId';
+    const params = { userId: req.user.id };
+
+    if (unread === 'true') {
+      whereClause += ' AND read_at IS NULL';
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM notifications ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const notifications = await query(`
+      SELECT * FROM notifications
+      ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      notifications: notifications.map(formatNotification),
+      unread_count: await countUnread(req.user.id),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get notifications error', { error });
+    res.status(500).json({ message: 'Failed to fetch notifications' });
+  }
+});
+
+// PUT /api/notifications/read-all - Mark the whole feed as read
+router.put('/read-all', async (req, res) => {
+  try {
+    await query(
+      'UPDATE notifications SET read_at = @now WHERE user_id = @userId AND read_at IS NULL',
+      { userId: req.user.id, now: new Date() }
+    );
+
+    res.json({ message: 'All notifications marked as read', unread_count: 0 });
+
+  } catch (error) {
+    logger.error('Mark all notifications read error', { error });
+    res.status(500).json({ message: 'Failed to update notifications' });
+  }
+});
+
+// PUT /api/notifications/:id/read - Mark one notification as read
+router.put('/:id/read', async (req, res) => {
+  try {
+    const notifications = await query(
+      'SELECT * FROM notifications WHERE id = @id AND user_id = @userId',
+      { id: req.params.id, userId: req.user.id }
+    );
+
+    if (notifications.length === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (notifications[0].read_at === null) {
+      await query('UPDATE notifications SET read_at = @now WHERE id = @id', { id: notifications[0].id, now: new Date() });
+    }
+
+    res.json({
+      message: 'Notification marked as read',
+      unread_count: await countUnread(req.user.id)
+    });
+
+  } catch (error) {
+    logger.error('Mark notification read error', { error });
+    res.status(500).json({ message: 'Failed to update notification' });
+  }
+});
+
+// DELETE /api/notifications/:id - Remove a notification from the feed
+router.delete('/:id', async (req, res) => {
+  try {
+    const notifications = await query(
+      'SELECT id FROM notifications WHERE id = @id AND user_id = @userId',
+      { id: req.params.id, userId: req.user.id }
+    );
+
+    if (notifications.length === 0) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    await query('DELETE FROM notifications WHERE id = @id', { id: notifications[0].id });
+
+    res.json({ message: 'Notification deleted' });
+
+  } catch (error) {
+    logger.error('Delete notification error', { error });
+    res.status(500).json({ message: 'Failed to delete notification' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// Car holds across all cars - customers see their own, staff see and convert everyone's
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, paginate } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  getReservation,
+  getSale,
+  cancelHold,
+  recordSale
+} = require('../models/reservation');
+const { recordAudit } = require('../models/audit');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Sale validation rules, the buyer defaults to the customer holding the car
+const saleValidation = [
+  body('sale_price')
+    .isFloat({ min: 0 })
+    .withMessage('Valid sale price is required')
+    .toFloat(),
+  body('buyer_id')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Valid buyer ID is required')
+    .toInt(),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes too long (max 1000 chars)')
+];
+
+// Load a reservation the current user is allowed to see (own, or any for staff who manage reservations)
+const loadReservation = async (req, res, next) => {
+  try {
+    const reservation = await getReservation(req.params.id);
+
+    if (!reservation || (!hasPermission(req.user, PERMISSIONS.RESERVATIONS_MANAGE) && reservation.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Reservation not found' });
+    }
+
+    req.reservation = reservation;
+    next();
+  } catch (error) {
+    logger.error('Load reservation error', { error });
+    res.status(500).json({ message: 'Failed to fetch reservation' });
+  }
+};
+
+// GET /api/reservations - Own reservations, staff who manage reservations see everyone's
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, carId } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (!hasPermission(req.user, PERMISSIONS.RESERVATIONS_MANAGE)) {
+      whereClause += ' AND r.user_id = @userId';
+      params.userId = req.user.id;
+    }
+
+    if (status) {
+      whereClause += ' AND r.status = @status';
+      params.status = status;
+    }
+
+    if (carId) {
+      whereClause += ' AND r.car_id = @carId';
+      params.carId = carId;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM reservations r ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const reservations = await query(`
+      SELECT
+        r.*,
+        c.make,
+        c.model,
+        c.year,
+        c.price,
+        u.username,
+        u.email
+      FROM reservations r
+      JOIN cars c ON r.car_id = c.id
+      JOIN users u ON r.user_id = u.id
+      ${whereClause}
+      ORDER BY r.created_at DESC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      reservations,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get reservations error', { error });
+    res.status(500).json({ message: 'Failed to fetch reservations' });
+  }
+});
+
+// GET /api/reservations/:id - Single reservation
+router.get('/:id', authenticateToken, loadReservation, (req, res) => {
+  res.json(req.reservation);
+});
+
+// PUT /api/reservations/:id/cancel - Release the hold (reservations:manage, or the customer who placed it)
+router.put('/:id/cancel', authenticateToken, loadReservation, async (req, res) => {
+  try {
+    const result = await cancelHold(req.reservation.id, req.user.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const cancelled = await getReservation(req.reservation.id);
+
+    // Customers releasing their own hold isn't a staff change
+    if (hasPermission(req.user, PERMISSIONS.RESERVATIONS_MANAGE)) {
+      await recordAudit(req, { action: 'update', entity: 'reservation', entityId: cancelled.id, before: req.reservation, after: cancelled });
+    }
+
+    res.json({
+      message: 'Reservation cancelled',
+      reservation: cancelled
+    });
+
+  } catch (error) {
+    logger.error('Cancel reservation error', { error });
+    res.status(500).json({ message: 'Failed to cancel reservation' });
+  }
+});
+
+// POST /api/reservations/:id/sale - Convert the hold into a sale (sales:manage)
+router.post('/:id/sale', authenticateToken, requirePermission(PERMISSIONS.SALES_MANAGE), loadReservation, saleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { sale_price, buyer_id, notes } = req.body;
+
+    const result = await recordSale({
+      carId: req.reservation.car_id,
+      reservationId: req.reservation.id,
+      buyerId: buyer_id || req.reservation.user_id,
+      salePrice: sale_price,
+      notes,
+      soldBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const sale = await getSale(result.saleId);
+
+    await recordAudit(req, { action: 'create', entity: 'sale', entityId: sale.id, after: sale });
+
+    res.status(201).json({
+      message: 'Sale recorded successfully',
+      sale,
+      closed_inquiries: result.closedInquiries
+    });
+
+  } catch (error) {
+    logger.error('Convert reservation error', { error });
+    res.status(500).json({ message: 'Failed to record sale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,148 @@
+// Recorded car sales (sales:manage)
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, paginate } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const logger = require('../config/logger');
+const { getSale, recordSale } = require('../models/reservation');
+const { recordAudit } = require('../models/audit');
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Direct sale validation rules (no hold beforehand, e.g. a walk-in buyer)
+const saleValidation = [
+  body('car_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid car ID is required')
+    .toInt(),
+  body('buyer_id')
+    .isInt({ min: 1 })
+    .withMessage('Valid buyer ID is required')
+    .toInt(),
+  body('sale_price')
+    .isFloat({ min: 0 })
+    .withMessage('Valid sale price is required')
+    .toFloat(),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes too long (max 1000 chars)')
+];
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.SALES_MANAGE));
+
+// GET /api/sales - All sales, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, buyerId } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (buyerId) {
+      whereClause += ' AND s.buyer_id = @buyerId';
+      params.buyerId = buyerId;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM sales s ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const sales = await query(`
+      SELECT
+        s.*,
+        c.make,
+        c.model,
+        c.year,
+        c.price AS list_price,
+        u.username AS buyer_username,
+        u.email AS buyer_email
+      FROM sales s
+      JOIN cars c ON s.car_id = c.id
+      JOIN users u ON s.buyer_id = u.id
+      ${whereClause}
+      ORDER BY s.sold_at DESC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      sales,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get sales error', { error });
+    res.status(500).json({ message: 'Failed to fetch sales' });
+  }
+});
+
+// GET /api/sales/:id - Single sale
+router.get('/:id', async (req, res) => {
+  try {
+    const sale = await getSale(req.params.id);
+
+    if (!sale) {
+      return res.status(404).json({ message: 'Sale not found' });
+    }
+
+    res.json(sale);
+
+  } catch (error) {
+    logger.error('Get sale error', { error });
+    res.status(500).json({ message: 'Failed to fetch sale' });
+  }
+});
+
+// POST /api/sales - Sell an available car without a prior hold
+router.post('/', saleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { car_id, buyer_id, sale_price, notes } = req.body;
+
+    const result = await recordSale({
+      carId: car_id,
+      buyerId: buyer_id,
+      salePrice: sale_price,
+      notes,
+      soldBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const sale = await getSale(result.saleId);
+
+    await recordAudit(req, { action: 'create', entity: 'sale', entityId: sale.id, after: sale });
+
+    res.status(201).json({
+      message: 'Sale recorded successfully',
+      sale,
+      closed_inquiries: result.closedInquiries
+    });
+
+  } catch (error) {
+    logger.error('Create sale error', { error });
+    res.status(500).json({ message: 'Failed to record sale' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,329 @@
+// Test-drive bookings across all cars, plus the opening hours staff configure
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { query, transaction, paginate } = require('../config/database');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  WEEKDAYS,
+  getSchedule,
+  saveSchedule,
+  toMinutes,
+  checkSlot,
+  findConflicts,
+  getTestDrive
+} = require('../models/testDrive');
+const { recordAudit } = require('../models/audit');
+
+const router = express.Router();
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Schedule validation rules
+const scheduleValidation = [
+  body('timezone')
+    .isString()
+    .withMessage('timezone is required')
+    .custom(value => {
+      // Intl throws RangeError for unknown zones
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return true;
+    })
+    .withMessage('timezone must be an IANA timezone such as Europe/Belgrade'),
+  body('slot_minutes')
+    .isInt({ min: 10, max: 240 })
+    .withMessage('slot_minutes must be between 10 and 240')
+    .toInt(),
+  body('hours')
+    .isObject()
+    .withMessage('hours must be an object keyed by weekday'),
+  ...WEEKDAYS.map(day => body(`hours.${day}`)
+    .custom(value => {
+      if (value === null || value === undefined) return true; // Closed that day
+      if (!TIME_PATTERN.test(value.open) || !TIME_PATTERN.test(value.close)) {
+        throw new Error(`${day} needs open and close times as HH:MM`);
+      }
+      if (toMinutes(value.open) >= toMinutes(value.close)) {
+        throw new Error(`${day} must open before it closes`);
+      }
+      return true;
+    }))
+];
+
+// New start time validation
+const rescheduleValidation = [
+  body('starts_at')
+    .isISO8601()
+    .withMessage('starts_at must be an ISO 8601 date and time')
+];
+
+// Load a booking the current user is allowed to see (own bookings, or any for staff who manage test drives)
+const loadTestDrive = async (req, res, next) => {
+  try {
+    const testDrive = await getTestDrive(req.params.id);
+
+    if (!testDrive || (!hasPermission(req.user, PERMISSIONS.TEST_DRIVES_MANAGE) && testDrive.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Test drive not found' });
+    }
+
+    req.testDrive = testDrive;
+    next();
+  } catch (error) {
+    logger.error('Load test drive error', { error });
+    res.status(500).json({ message: 'Failed to fetch test drive' });
+  }
+};
+
+// GET /api/test-drives/schedule - Opening hours and slot length
+router.get('/schedule', async (req, res) => {
+  try {
+    res.json(await getSchedule());
+  } catch (error) {
+    logger.error('Get test drive schedule error', { error });
+    res.status(500).json({ message: 'Failed to fetch schedule' });
+  }
+});
+
+// PUT /api/test-drives/schedule - Change opening hours and slot length (test_drives:manage)
+router.put('/schedule', authenticateToken, requirePermission(PERMISSIONS.TEST_DRIVES_MANAGE), scheduleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { timezone, slot_minutes, hours } = req.body;
+    const previousSchedule = await getSchedule();
+
+    const schedule = await saveSchedule({
+      timezone,
+      slot_minutes,
+      hours: WEEKDAYS.reduce((result, day) => {
+        result[day] = hours[day] ? { open: hours[day].open, close: hours[day].close } : null;
+        return result;
+      }, {})
+    }, req.user.id);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'setting',
+      entityId: 'test_drive_schedule',
+      before: previousSchedule,
+      after: schedule
+    });
+
+    res.json({
+      message: 'Test drive schedule updated successfully',
+      schedule
+    });
+
+  } catch (error) {
+    logger.error('Update test drive schedule error', { error });
+    res.status(500).json({ message: 'Failed to update schedule' });
+  }
+});
+
+// GET /api/test-drives - Own bookings, staff who manage test drives see everyone's
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, carId, from, to } = req.query;
+    const offset = (page - 1) * limit;
+    const isStaff = hasPermission(req.user, PERMISSIONS.TEST_DRIVES_MANAGE);
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (!isStaff) {
+      whereClause += ' AND td.user_id = @userId';
+      params.userId = req.user.id;
+    }
+
+    if (status) {
+      whereClause += ' AND td.status = @status';
+      params.status = status;
+    }
+
+    if (carId) {
+      whereClause += ' AND td.car_id = @carId';
+      params.carId = carId;
+    }
+
+    if (from) {
+      whereClause += ' AND td.starts_at >= @from';
+      params.from = new Date(from);
+    }
+
+    if (to) {
+      whereClause += ' AND td.starts_at < @to';
+      params.to = new Date(to);
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM test_drives td ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const testDrives = await query(`
+      SELECT
+        td.*,
+        c.make,
+        c.model,
+        c.year,
+        u.username,
+        u.email
+      FROM test_drives td
+      JOIN cars c ON td.car_id = c.id
+      JOIN users u ON td.user_id = u.id
+      ${whereClause}
+      ORDER BY td.starts_at ASC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      test_drives: testDrives,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get test drives error', { error });
+    res.status(500).json({ message: 'Failed to fetch test drives' });
+  }
+});
+
+// GET /api/test-drives/:id - Single booking
+router.get('/:id', authenticateToken, loadTestDrive, (req, res) => {
+  res.json(req.testDrive);
+});
+
+// PUT /api/test-drives/:id/confirm - Confirm a requested slot (test_drives:manage)
+router.put('/:id/confirm', authenticateToken, requirePermission(PERMISSIONS.TEST_DRIVES_MANAGE), loadTestDrive, async (req, res) => {
+  try {
+    if (req.testDrive.status !== 'pending') {
+      return res.status(400).json({ message: `Only pending test drives can be confirmed (this one is ${req.testDrive.status})` });
+    }
+
+    await query(
+      "UPDATE test_drives SET status = 'confirmed', updated_at = @now WHERE id = @id",
+      { id: req.testDrive.id, now: new Date() }
+    );
+
+    const confirmed = await getTestDrive(req.testDrive.id);
+
+    await recordAudit(req, { action: 'update', entity: 'test_drive', entityId: confirmed.id, before: req.testDrive, after: confirmed });
+
+    res.json({
+      message: 'Test drive confirmed',
+      test_drive: confirmed
+    });
+
+  } catch (error) {
+    logger.error('Confirm test drive error', { error });
+    res.status(500).json({ message: 'Failed to confirm test drive' });
+  }
+});
+
+// PUT /api/test-drives/:id/reschedule - Move a booking to another slot (test_drives:manage)
+router.put('/:id/reschedule', authenticateToken, requirePermission(PERMISSIONS.TEST_DRIVES_MANAGE), loadTestDrive, rescheduleValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const testDrive = req.testDrive;
+
+    if (testDrive.status === 'cancelled') {
+      return res.status(400).json({ message: 'Cancelled test drives cannot be rescheduled' });
+    }
+
+    const cars = await query('SELECT is_available FROM cars WHERE id = @carId', { carId: testDrive.car_id });
+    if (!cars[0].is_available) {
+      return res.status(400).json({ message: 'Car is not available for test drives' });
+    }
+
+    const schedule = await getSchedule();
+    const startsAt = new Date(req.body.starts_at);
+    const slotProblem = checkSlot(startsAt, schedule);
+
+    if (slotProblem) {
+      return res.status(400).json({ message: slotProblem });
+    }
+
+    const endsAt = new Date(startsAt.getTime() + schedule.slot_minutes * 60 * 1000);
+
+    const moved = await transaction(async (tx) => {
+      const conflicts = await findConflicts(testDrive.car_id, startsAt, endsAt, testDrive.id, tx);
+      if (conflicts.length > 0) {
+        return false;
+      }
+
+      await tx.query(
+        'UPDATE test_drives SET starts_at = @startsAt, ends_at = @endsAt, updated_at = @now WHERE id = @id',
+        { id: testDrive.id, startsAt, endsAt, now: new Date() }
+      );
+      return true;
+    });
+
+    if (!moved) {
+      return res.status(409).json({ message: 'This slot is already booked for this car' });
+    }
+
+    const rescheduled = await getTestDrive(testDrive.id);
+
+    await recordAudit(req, { action: 'update', entity: 'test_drive', entityId: testDrive.id, before: testDrive, after: rescheduled });
+
+    res.json({
+      message: 'Test drive rescheduled',
+      test_drive: rescheduled
+    });
+
+  } catch (error) {
+    logger.error('Reschedule test drive error', { error });
+    res.status(500).json({ message: 'Failed to reschedule test drive' });
+  }
+});
+
+// PUT /api/test-drives/:id/cancel - Cancel a booking (test_drives:manage, or the customer who made it)
+router.put('/:id/cancel', authenticateToken, loadTestDrive, [
+  body('reason')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Reason too long (max 500 chars)')
+], handleValidationErrors, async (req, res) => {
+  try {
+    if (req.testDrive.status === 'cancelled') {
+      return res.status(400).json({ message: 'Test drive is already cancelled' });
+    }
+
+    await query(
+      `UPDATE test_drives SET status = 'cancelled', cancel_reason = @reason, cancelled_by = @userId, updated_at = @now
+       WHERE id = @id`,
+      { id: req.testDrive.id, reason: req.body.reason, userId: req.user.id, now: new Date() }
+    );
+
+    const cancelled = await getTestDrive(req.testDrive.id);
+
+    // Customers cancelling their own booking isn't a staff change
+    if (hasPermission(req.user, PERMISSIONS.TEST_DRIVES_MANAGE)) {
+      await recordAudit(req, { action: 'update', entity: 'test_drive', entityId: cancelled.id, before: req.testDrive, after: cancelled });
+    }
+
+    res.json({
+      message: 'Test drive cancelled',
+      test_drive: cancelled
+    });
+
+  } catch (error) {
+    logger.error('Cancel test drive error', { error });
+    res.status(500).json({ message: 'Failed to cancel test drive' });
+  }
+});
+
+module.exports = router;
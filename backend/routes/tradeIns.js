@@ -0,0 +1,534 @@
+// Trade-in appraisals - customers describe their car and respond to offers, staff appraise and convert
+
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { query, transaction, paginate } = require('../config/database');
+const storage = require('../config/storage');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const logger = require('../config/logger');
+const {
+  TRADE_IN_CONDITIONS,
+  DEFAULT_OFFER_DAYS,
+  MAX_OFFER_DAYS,
+  getTradeIn,
+  formatTradeInPhoto,
+  getTradeInPhotos,
+  makeOffer,
+  respondToOffer,
+  withdrawTradeIn,
+  convertTradeIn
+} = require('../models/tradeIn');
+const { recordAudit } = require('../models/audit');
+const { publishEvent } = require('../events/bus');
+const { normalizeVin, validateVin } = require('../vin/decoder');
+const {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  InvalidImageError,
+  storeTradeInImage
+} = require('../storage/images');
+
+const router = express.Router();
+
+const MAX_PHOTOS = 10;
+
+// Keep uploads in memory, they are resized before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMAGE_SIZE,
+    files: MAX_PHOTOS
+  },
+  fileFilter: (req, file, callback) => {
+    if (!ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      return callback(new InvalidImageError(`${file.originalname} must be a JPEG, PNG or WebP image`));
+    }
+    callback(null, true);
+  }
+});
+
+// Run multer and turn its errors into 400 responses
+const receivePhotos = (req, res, next) => {
+  upload.array('photos', MAX_PHOTOS)(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const message = error.code === 'LIMIT_FILE_SIZE'
+        ? `Each photo must be smaller than ${MAX_IMAGE_SIZE / (1024 * 1024)} MB`
+        : error.message;
+      return res.status(400).json({ message });
+    }
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error) {
+      return next(error);
+    }
+    next();
+  });
+};
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Trade-in request validation rules
+const tradeInValidation = [
+  body('make')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Car make is required (max 50 chars)'),
+  body('model')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Car model is required (max 50 chars)'),
+  body('year')
+    .isInt({ min: 1900, max: new Date().getFullYear() + 1 })
+    .withMessage('Enter valid year')
+    .toInt(),
+  body('mileage')
+    .isInt({ min: 0 })
+    .withMessage('Mileage is required and must be positive')
+    .toInt(),
+  body('condition')
+    .isIn(TRADE_IN_CONDITIONS)
+    .withMessage(`Condition must be one of ${TRADE_IN_CONDITIONS.join(', ')}`),
+  body('vin')
+    .optional({ values: 'null' })
+    .customSanitizer(normalizeVin)
+    .custom(vin => {
+      const problem = validateVin(vin);
+      if (problem) throw new Error(problem);
+      return true;
+    }),
+  body('notes')
+    .optional({ values: 'null' })
+    .isLength({ max: 1000 })
+    .withMessage('Notes too long (max 1000 chars)')
+];
+
+// Offer validation rules, the offer stands for valid_days (default DEFAULT_OFFER_DAYS) unless expires_at is given
+const offerValidation = [
+  body('offer_amount')
+    .isFloat({ min: 0 })
+    .withMessage('Valid offer amount is required')
+    .toFloat(),
+  body('expires_at')
+    .optional()
+    .isISO8601()
+    .withMessage('expires_at must be an ISO 8601 date-time'),
+  body('valid_days')
+    .optional()
+    .isInt({ min: 1, max: MAX_OFFER_DAYS })
+    .withMessage(`valid_days must be between 1 and ${MAX_OFFER_DAYS}`)
+    .toInt(),
+  body('notes')
+    .optional({ values: 'null' })
+    .isLength({ max: 1000 })
+    .withMessage('Notes too long (max 1000 chars)')
+];
+
+// Listing details staff add when a trade-in goes into the inventory
+const listingValidation = [
+  body('price')
+    .isFloat({ min: 0 })
+    .withMessage('Price must be positive number')
+    .toFloat(),
+  body('stock_number')
+    .optional({ values: 'null' })
+    .trim()
+    .matches(/^[A-Za-z0-9-]{1,30}$/)
+    .withMessage('Stock number may only contain letters, digits and dashes (max 30 chars)'),
+  body('color')
+    .optional({ values: 'null' })
+    .isLength({ max: 30 })
+    .withMessage('Color too long (max 30 chars)'),
+  body('fuel_type')
+    .optional()
+    .isIn(['gasoline', 'diesel', 'electric', 'hybrid'])
+    .withMessage('Invalid fuel type'),
+  body('transmission')
+    .optional()
+    .isIn(['manual', 'automatic'])
+    .withMessage('Transmission must be manual or automatic'),
+  body('description')
+    .optional({ values: 'null' })
+    .isLength({ max: 1000 })
+    .withMessage('Description too long (max 1000 chars)'),
+  body('is_available')
+    .optional()
+    .isBoolean()
+    .withMessage('is_available must be true or false')
+    .toBoolean()
+];
+
+// Appraisers see every trade-in, customers only their own
+const canAppraise = (req) => hasPermission(req.user, PERMISSIONS.TRADE_INS_APPRAISE);
+
+// Load a trade-in the current user is allowed to see (own, or any for appraisers and inventory staff)
+const loadTradeIn = async (req, res, next) => {
+  try {
+    const tradeIn = await getTradeIn(req.params.id);
+    const isStaff = canAppraise(req) || hasPermission(req.user, PERMISSIONS.CARS_WRITE);
+
+    if (!tradeIn || (!isStaff && tradeIn.user_id !== req.user.id)) {
+      return res.status(404).json({ message: 'Trade-in not found' });
+    }
+
+    req.tradeIn = tradeIn;
+    next();
+  } catch (error) {
+    logger.error('Load trade-in error', { error });
+    res.status(500).json({ message: 'Failed to fetch trade-in' });
+  }
+};
+
+// Only the customer who submitted the trade-in may answer for it
+const requireOwner = (req, res, next) => {
+  if (req.tradeIn.user_id !== req.user.id) {
+    return res.status(403).json({ message: 'Only the customer who submitted this trade-in can do that' });
+  }
+  next();
+};
+
+// Reply with the trade-in as it is now
+const sendTradeIn = async (res, tradeInId, message) => {
+  const tradeIn = await getTradeIn(tradeInId);
+  res.json({
+    message,
+    trade_in: { ...tradeIn, photos: await getTradeInPhotos(tradeInId) }
+  });
+};
+
+// POST /api/trade-ins - Ask for an appraisal of your car, photos are uploaded afterwards
+router.post('/', authenticateToken, tradeInValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { make, model, year, mileage, condition, vin = null, notes = null } = req.body;
+
+    const tradeInId = await transaction(async (tx) => {
+      const id = await tx.insert(
+        `INSERT INTO trade_ins (user_id, make, model, year, mileage, condition, vin, notes, status, created_at, updated_at)
+         VALUES (@userId, @make, @model, @year, @mileage, @condition, @vin, @notes, 'submitted', @now, @now)`,
+        { userId: req.user.id, make, model, year, mileage, condition, vin, notes, now: new Date() }
+      );
+
+      publishEvent({
+        type: 'trade_in.submitted',
+        userId: req.user.id,
+        data: { trade_in_id: id, user_id: req.user.id, make, model, year, mileage, condition }
+      }, tx);
+
+      return id;
+    });
+
+    const tradeIn = await getTradeIn(tradeInId);
+
+    res.status(201).json({
+      message: 'Trade-in submitted for appraisal',
+      trade_in: { ...tradeIn, photos: [] }
+    });
+
+  } catch (error) {
+    logger.error('Create trade-in error', { error });
+    res.status(500).json({ message: 'Failed to submit trade-in' });
+  }
+});
+
+// GET /api/trade-ins - Own trade-ins, appraisers see everyone's (?status= to filter)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+    const offset = (page - 1) * limit;
+
+    let whereClause = 'WHERE 1=1';
+    const params = {};
+
+    if (!canAppraise(req)) {
+      whereClause += ' AND t.user_id = @userId';
+      params.userId = req.user.id;
+    }
+
+    if (status) {
+      whereClause += ' AND t.status = @status';
+      params.status = status;
+    }
+
+    const countResult = await query(`SELECT COUNT(*) as total FROM trade_ins t ${whereClause}`, params);
+    const total = countResult[0].total;
+
+    const tradeIns = await query(`
+      SELECT
+        t.*,
+        u.username,
+        u.email,
+        (SELECT COUNT(*) FROM trade_in_photos p WHERE p.trade_in_id = t.id) AS photo_count
+      FROM trade_ins t
+      JOIN users u ON t.user_id = u.id
+      ${whereClause}
+      ORDER BY t.created_at DESC
+      ${paginate('@offset', '@limit')}
+    `, { ...params, offset: parseInt(offset), limit: parseInt(limit) });
+
+    res.json({
+      trade_ins: tradeIns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Get trade-ins error', { error });
+    res.status(500).json({ message: 'Failed to fetch trade-ins' });
+  }
+});
+
+// GET /api/trade-ins/:id - Single trade-in with its photos
+router.get('/:id', authenticateToken, loadTradeIn, async (req, res) => {
+  try {
+    res.json({ ...req.tradeIn, photos: await getTradeInPhotos(req.tradeIn.id) });
+  } catch (error) {
+    logger.error('Get trade-in error', { error });
+    res.status(500).json({ message: 'Failed to fetch trade-in' });
+  }
+});
+
+// POST /api/trade-ins/:id/photos - Add photos, multipart field "photos" (owner, until it has been appraised)
+router.post('/:id/photos', authenticateToken, loadTradeIn, requireOwner, receivePhotos, async (req, res) => {
+  const storedKeys = [];
+
+  try {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'At least one photo is required' });
+    }
+
+    if (req.tradeIn.status !== 'submitted') {
+      return res.status(409).json({ message: 'Photos can only be added before the trade-in is appraised' });
+    }
+
+    const existing = await query(
+      'SELECT COUNT(*) AS total FROM trade_in_photos WHERE trade_in_id = @tradeInId',
+      { tradeInId: req.tradeIn.id }
+    );
+    if (existing[0].total + files.length > MAX_PHOTOS) {
+      return res.status(400).json({ message: `A trade-in can have at most ${MAX_PHOTOS} photos` });
+    }
+
+    // Resize everything first so a bad file doesn't leave half an upload in the database
+    const processed = [];
+    for (const file of files) {
+      const stored = await storeTradeInImage(req.tradeIn.id, file);
+      storedKeys.push(...Object.values(stored.keys));
+      processed.push({ file, ...stored });
+    }
+
+    await transaction(async (tx) => {
+      for (const photo of processed) {
+        await tx.insert(
+          `INSERT INTO trade_in_photos (trade_in_id, original_key, large_key, thumbnail_key,
+                                        original_name, mime_type, size_bytes, width, height, created_at)
+           VALUES (@tradeInId, @originalKey, @largeKey, @thumbnailKey,
+                   @originalName, @mimeType, @sizeBytes, @width, @height, @now)`,
+          {
+            tradeInId: req.tradeIn.id,
+            originalKey: photo.keys.original,
+            largeKey: photo.keys.large,
+            thumbnailKey: photo.keys.thumbnail,
+            originalName: photo.file.originalname.substring(0, 255),
+            mimeType: photo.file.mimetype,
+            sizeBytes: photo.file.size,
+            width: photo.width,
+            height: photo.height,
+            now: new Date()
+          }
+        );
+      }
+    });
+
+    res.status(201).json({
+      message: `${processed.length} photo(s) uploaded successfully`,
+      photos: await getTradeInPhotos(req.tradeIn.id)
+    });
+
+  } catch (error) {
+    await storage.removeFiles(storedKeys);
+
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    logger.error('Upload trade-in photos error', { error });
+    res.status(500).json({ message: 'Failed to upload photos' });
+  }
+});
+
+// DELETE /api/trade-ins/:id/photos/:photoId - Remove a photo (owner, until it has been appraised)
+router.delete('/:id/photos/:photoId', authenticateToken, loadTradeIn, requireOwner, async (req, res) => {
+  try {
+    const photos = await query(
+      'SELECT * FROM trade_in_photos WHERE id = @photoId AND trade_in_id = @tradeInId',
+      { photoId: req.params.photoId, tradeInId: req.tradeIn.id }
+    );
+
+    if (photos.length === 0) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    if (req.tradeIn.status !== 'submitted') {
+      return res.status(409).json({ message: 'Photos can only be removed before the trade-in is appraised' });
+    }
+
+    const photo = photos[0];
+    await query('DELETE FROM trade_in_photos WHERE id = @photoId', { photoId: photo.id });
+    await storage.removeFiles([photo.original_key, photo.large_key, photo.thumbnail_key]);
+
+    res.json({
+      message: 'Photo deleted successfully',
+      deleted: formatTradeInPhoto(photo)
+    });
+
+  } catch (error) {
+    logger.error('Delete trade-in photo error', { error });
+    res.status(500).json({ message: 'Failed to delete photo' });
+  }
+});
+
+// POST /api/trade-ins/:id/offer - Make or revise an offer (trade_ins:appraise), the customer is notified
+router.post('/:id/offer', authenticateToken, requirePermission(PERMISSIONS.TRADE_INS_APPRAISE), loadTradeIn, offerValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { offer_amount, expires_at, valid_days = DEFAULT_OFFER_DAYS, notes = null } = req.body;
+    const now = new Date();
+
+    const expiresAt = expires_at
+      ? new Date(expires_at)
+      : new Date(now.getTime() + valid_days * 24 * 60 * 60 * 1000);
+
+    if (expiresAt <= now) {
+      return res.status(400).json({ message: 'expires_at must be in the future' });
+    }
+    if (expiresAt.getTime() - now.getTime() > MAX_OFFER_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ message: `An offer can stand for at most ${MAX_OFFER_DAYS} days` });
+    }
+
+    const result = await makeOffer({
+      tradeInId: req.tradeIn.id,
+      amount: offer_amount,
+      expiresAt,
+      notes,
+      appraisedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const updated = await getTradeIn(req.tradeIn.id);
+
+    await recordAudit(req, { action: 'update', entity: 'trade_in', entityId: updated.id, before: req.tradeIn, after: updated });
+
+    res.json({
+      message: 'Offer sent to the customer',
+      trade_in: { ...updated, photos: await getTradeInPhotos(updated.id) }
+    });
+
+  } catch (error) {
+    logger.error('Trade-in offer error', { error });
+    res.status(500).json({ message: 'Failed to make offer' });
+  }
+});
+
+// PUT /api/trade-ins/:id/accept - Accept the current offer (owner)
+router.put('/:id/accept', authenticateToken, loadTradeIn, requireOwner, async (req, res) => {
+  try {
+    const result = await respondToOffer(req.tradeIn.id, true);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    await sendTradeIn(res, req.tradeIn.id, 'Offer accepted');
+
+  } catch (error) {
+    logger.error('Accept trade-in offer error', { error });
+    res.status(500).json({ message: 'Failed to accept offer' });
+  }
+});
+
+// PUT /api/trade-ins/:id/decline - Decline the current offer (owner)
+router.put('/:id/decline', authenticateToken, loadTradeIn, requireOwner, async (req, res) => {
+  try {
+    const result = await respondToOffer(req.tradeIn.id, false);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    await sendTradeIn(res, req.tradeIn.id, 'Offer declined');
+
+  } catch (error) {
+    logger.error('Decline trade-in offer error', { error });
+    res.status(500).json({ message: 'Failed to decline offer' });
+  }
+});
+
+// PUT /api/trade-ins/:id/withdraw - Withdraw the trade-in before accepting an offer (owner)
+router.put('/:id/withdraw', authenticateToken, loadTradeIn, requireOwner, async (req, res) => {
+  try {
+    const result = await withdrawTradeIn(req.tradeIn.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    await sendTradeIn(res, req.tradeIn.id, 'Trade-in withdrawn');
+
+  } catch (error) {
+    logger.error('Withdraw trade-in error', { error });
+    res.status(500).json({ message: 'Failed to withdraw trade-in' });
+  }
+});
+
+// POST /api/trade-ins/:id/car - Add an accepted trade-in to the inventory (cars:write)
+// The listing starts unavailable unless is_available is true, so it can get photos and a once-over first
+router.post('/:id/car', authenticateToken, requirePermission(PERMISSIONS.CARS_WRITE), loadTradeIn, listingValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const result = await convertTradeIn({
+      tradeInId: req.tradeIn.id,
+      listing: req.body,
+      convertedBy: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const cars = await query('SELECT * FROM cars WHERE id = @carId', { carId: result.carId });
+    const updated = await getTradeIn(req.tradeIn.id);
+
+    await recordAudit(req, { action: 'create', entity: 'car', entityId: result.carId, after: cars[0] });
+    await recordAudit(req, { action: 'update', entity: 'trade_in', entityId: updated.id, before: req.tradeIn, after: updated });
+
+    res.status(201).json({
+      message: 'Trade-in added to the inventory',
+      car: cars[0],
+      trade_in: updated
+    });
+
+  } catch (error) {
+    logger.error('Convert trade-in error', { error });
+    res.status(500).json({ message: 'Failed to add trade-in to the inventory' });
+  }
+});
+
+module.exports = router;
@@ -13,14 +13,42 @@ const cookieParser = require('cookie-parser');
 // Load environment variables first
 require('dotenv').config();
 
+const db = require('./config/database');
+const logger = require('./config/logger');
+const storage = require('./config/storage');
+const migrator = require('./db/migrator');
+const { seed } = require('./db/seed');
+const { purgeExpiredTokens } = require('./models/refreshToken');
+const { purgeExpiredUserTokens } = require('./models/userToken');
+const { releaseExpiredHolds } = require('./models/reservation');
+const { expireTradeInOffers } = require('./models/tradeIn');
+const { validateApi, handleApiErrors } = require('./middleware/openapi');
+const { requestContext } = require('./middleware/requestContext');
+const { closeAllStreams } = require('./events/bus');
+
 // Import route handlers
 const authRoutes = require('./routes/auth');
 const carRoutes = require('./routes/cars');
 const inquiryRoutes = require('./routes/inquiries');
+const testDriveRoutes = require('./routes/testDrives');
+const reservationRoutes = require('./routes/reservations');
+const saleRoutes = require('./routes/sales');
+const adminRoutes = require('./routes/admin');
+const notificationRoutes = require('./routes/notifications');
+const meRoutes = require('./routes/me');
+const eventRoutes = require('./routes/events');
+const financeRoutes = require('./routes/finance');
+const tradeInRoutes = require('./routes/tradeIns');
+const analyticsRoutes = require('./routes/analytics');
+const docsRoutes = require('./routes/docs');
+const metricsRoutes = require('./routes/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Request id, access log and request metrics - first, so every response is counted
+app.use(requestContext);
+
 // Basic security middleware
 app.use(helmet({
   hsts: {
@@ -30,6 +58,9 @@ app.use(helmet({
   }
 }));
 
+// Prometheus scrapes every few seconds, so this sits in front of the rate limit
+app.use('/metrics', metricsRoutes);
+
 // Rate limiting - learned this prevents spam attacks
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -43,7 +74,8 @@ app.use(cors({
   origin: ['https://localhost:3000', 'https://127.0.0.1:3000'],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id']
 }));
 
 // Body parsing middleware
@@ -51,10 +83,34 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser()); // For handling cookies with refresh tokens
 
+// Uploaded files when they are stored on local disk
+// Images are loaded by the frontend from another origin, so relax helmet's resource policy here
+if (storage.staticRoot) {
+  app.use(storage.staticRoot.path, express.static(storage.staticRoot.dir, {
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
+// API documentation, served as is
+app.use('/api/docs', docsRoutes);
+
+// Check requests (and in development responses) against the OpenAPI spec
+app.use(validateApi);
+
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/cars', carRoutes);
 app.use('/api/inquiries', inquiryRoutes);
+app.use('/api/test-drives', testDriveRoutes);
+app.use('/api/reservations', reservationRoutes);
+app.use('/api/sales', saleRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/finance', financeRoutes);
+app.use('/api/trade-ins', tradeInRoutes);
+app.use('/api/analytics', analyticsRoutes);
 
 // Simple health check endpoint
 app.get('/api/health', (req, res) => {
@@ -65,9 +121,12 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Requests the OpenAPI spec rejects
+app.use(handleApiErrors);
+
 // Global error handler
 app.use((err, req, res, next) => {
-  console.error('Error occurred:', err.stack);
+  logger.error('Unhandled error', { error: err });
   res.status(500).json({ 
     message: 'Something went wrong!',
     error: process.env.NODE_ENV === 'development' ? err.message : 'Internal server error'
@@ -87,17 +146,79 @@ const credentials = { key: privateKey, cert: certificate };
 // Create HTTPS server (requirement for exam)
 const httpsServer = https.createServer(credentials, app);
 
-httpsServer.listen(PORT, () => {
-  console.log(`Server running on https://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`SSL Certificate: Active`);
-  console.log(`Health check: https://localhost:${PORT}/api/health`);
+// Clean up expired refresh tokens and email tokens once an hour
+const TOKEN_CLEANUP_INTERVAL = 60 * 60 * 1000;
+
+const cleanupExpiredTokens = () => {
+  Promise.all([purgeExpiredTokens(), purgeExpiredUserTokens()]).catch(error => {
+    logger.error('Token cleanup failed', { error });
+  });
+};
+
+// Give cars with lapsed holds back to the market and expire lapsed trade-in offers every few minutes
+const EXPIRY_INTERVAL = 5 * 60 * 1000;
+
+const expireReservations = () => {
+  releaseExpiredHolds().catch(error => {
+    logger.error('Reservation expiry failed', { error });
+  });
+};
+
+const expireTradeIns = () => {
+  expireTradeInOffers().catch(error => {
+    logger.error('Trade-in offer expiry failed', { error });
+  });
+};
+
+// The SQLite database is the local development setup, so it is migrated on startup
+// and a new one gets the demo data - SQL Server is migrated by hand with npm run db:migrate
+const prepareSchema = async () => {
+  if (db.dialect !== 'sqlite') {
+    const pending = (await migrator.status()).filter(migration => migration.state !== 'applied');
+    if (pending.length > 0) {
+      logger.warn('Database schema is not up to date - run npm run db:status', { pending: pending.length });
+    }
+    return;
+  }
+
+  const isNew = (await migrator.appliedMigrations()).length === 0;
+  const applied = await migrator.migrate();
+  if (applied.length > 0) {
+    logger.info('Applied migrations', { count: applied.length });
+  }
+  if (isNew) {
+    await seed();
+    logger.info('Loaded demo data');
+  }
+};
+
+// Connect to the database first, no point serving requests without it
+db.connect().then(prepareSchema).then(() => {
+  cleanupExpiredTokens();
+  setInterval(cleanupExpiredTokens, TOKEN_CLEANUP_INTERVAL).unref();
+  expireReservations();
+  setInterval(expireReservations, EXPIRY_INTERVAL).unref();
+  expireTradeIns();
+  setInterval(expireTradeIns, EXPIRY_INTERVAL).unref();
+
+  httpsServer.listen(PORT, () => {
+    logger.info('Server running', {
+      url: `https://localhost:${PORT}`,
+      environment: process.env.NODE_ENV || 'development',
+      health_check: `https://localhost:${PORT}/api/health`
+    });
+  });
+}).catch(error => {
+  logger.error('Database connection failed', { error });
+  process.exit(1);
 });
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('Shutting down gracefully');
-  httpsServer.close(() => {
-    console.log('Process terminated');
+  logger.info('Shutting down gracefully');
+  closeAllStreams(); // open event streams would keep the server from closing
+  httpsServer.close(async () => {
+    await db.close();
+    logger.info('Process terminated');
   });
 });
\ No newline at end of file
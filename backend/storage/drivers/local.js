@@ -0,0 +1,36 @@
+// Local disk storage - files live under UPLOAD_DIR and are served by server.js at /uploads
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+const PUBLIC_PATH = '/uploads';
+
+// Keys are generated by us, but never let one point outside the upload folder
+const resolveKey = (key) => {
+  const filePath = path.resolve(UPLOAD_DIR, key);
+  if (!filePath.startsWith(UPLOAD_DIR + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const save = async (key, buffer) => {
+  const filePath = resolveKey(key);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, buffer);
+};
+
+const remove = async (key) => {
+  await fs.rm(resolveKey(key), { force: true });
+};
+
+const getUrl = (key) => `${PUBLIC_PATH}/${key}`;
+
+module.exports = {
+  name: 'local',
+  save,
+  remove,
+  getUrl,
+  staticRoot: { path: PUBLIC_PATH, dir: UPLOAD_DIR }
+};
@@ -0,0 +1,86 @@
+// Validates uploaded photos (cars, trade-ins) and produces the resized variants we serve
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('../config/storage');
+
+// MIME type => file extension for the formats we accept
+const ALLOWED_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB per file
+
+// Longest edge in pixels for each generated variant
+const VARIANT_SIZES = {
+  large: 1600,
+  thumbnail: 400
+};
+
+// Sharp format names that match the allowed MIME types
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Error for files that are not usable images, shown to the client as a 400
+class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+// Check the real file contents (not just the declared MIME type) and store original + variants under prefix
+const storeImage = async (prefix, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new InvalidImageError(`${file.originalname} is not a valid image`);
+  }
+
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`${file.originalname} must be a JPEG, PNG or WebP image`);
+  }
+
+  const baseKey = `${prefix}/${crypto.randomUUID()}`;
+  const keys = {
+    original: `${baseKey}/original.${ALLOWED_IMAGE_TYPES[file.mimetype]}`
+  };
+
+  await storage.save(keys.original, file.buffer, file.mimetype);
+
+  try {
+    for (const [variant, size] of Object.entries(VARIANT_SIZES)) {
+      const resized = await sharp(file.buffer)
+        .rotate() // Respect EXIF orientation from phone cameras
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+
+      keys[variant] = `${baseKey}/${variant}.webp`;
+      await storage.save(keys[variant], resized, 'image/webp');
+    }
+  } catch (error) {
+    await storage.removeFiles(Object.values(keys));
+    throw error;
+  }
+
+  return {
+    keys,
+    width: metadata.width,
+    height: metadata.height
+  };
+};
+
+const storeCarImage = (carId, file) => storeImage(`cars/${carId}`, file);
+
+const storeTradeInImage = (tradeInId, file) => storeImage(`trade-ins/${tradeInId}`, file);
+
+module.exports = {
+  ALLOWED_IMAGE_TYPES,
+  MAX_IMAGE_SIZE,
+  InvalidImageError,
+  storeCarImage,
+  storeTradeInImage
+};
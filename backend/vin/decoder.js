@@ -0,0 +1,124 @@
+// VIN validation (ISO 3779 structure plus the position 9 check digit) and offline decoding
+
+const { MANUFACTURERS, COUNTRIES, YEAR_CODES, YEAR_CYCLE_START } = require('./wmi');
+
+// I, O and Q are never used so they can't be confused with 1 and 0
+const VIN_PATTERN = /^[A-HJ-NPR-Z0-9]{17}$/;
+
+// Character order used by the WMI country ranges
+const RANGE_ORDER = 'ABCDEFGHJKLMNPRSTUVWXYZ1234567890';
+
+// Check digit transliteration and position weights
+const TRANSLITERATION = {
+  A: 1, B: 2, C: 3, D: 4, E: 5, F: 6, G: 7, H: 8,
+  J: 1, K: 2, L: 3, M: 4, N: 5, P: 7, R: 9,
+  S: 2, T: 3, U: 4, V: 5, W: 6, X: 7, Y: 8, Z: 9
+};
+const WEIGHTS = [8, 7, 6, 5, 4, 3, 2, 10, 0, 9, 8, 7, 6, 5, 4, 3, 2];
+
+// Uppercase without spaces or dashes, as people copy them off documents
+const normalizeVin = (vin) => String(vin || '').toUpperCase().replace(/[\s-]/g, '');
+
+// Expected check digit ('0'-'9' or 'X') for a 17 character VIN
+const computeCheckDigit = (vin) => {
+  const sum = vin.split('').reduce((total, char, index) => {
+    const value = /\d/.test(char) ? Number(char) : TRANSLITERATION[char];
+    return total + value * WEIGHTS[index];
+  }, 0);
+
+  const remainder = sum % 11;
+  return remainder === 10 ? 'X' : String(remainder);
+};
+
+// Why a VIN is invalid, or null when it is fine
+const validateVin = (input) => {
+  const vin = normalizeVin(input);
+
+  if (vin.length !== 17) {
+    return 'VIN must be 17 characters';
+  }
+  if (!VIN_PATTERN.test(vin)) {
+    return 'VIN may only contain digits and letters other than I, O and Q';
+  }
+  if (vin[8] !== computeCheckDigit(vin)) {
+    return `VIN check digit is wrong (position 9 should be ${computeCheckDigit(vin)})`;
+  }
+  return null;
+};
+
+const rangeIndex = (code) => code.split('').map(char => RANGE_ORDER.indexOf(char));
+
+// a <= b in range order, comparing as many characters as both have
+const rangeLessOrEqual = (a, b) => {
+  const left = rangeIndex(a);
+  const right = rangeIndex(b);
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] < right[i];
+  }
+  return true;
+};
+
+const lookupCountry = (vin) => {
+  const match = COUNTRIES.find(range => {
+    const code = vin.substring(0, range.from.length);
+    return rangeLessOrEqual(range.from, code) && rangeLessOrEqual(code, range.to);
+  });
+  return match ? match.country : null;
+};
+
+// Model year from position 10, the 30-year cycle is resolved with position 7
+// (a letter there means 2010 or later) and by not going past next year
+const decodeModelYear = (vin) => {
+  const index = YEAR_CODES.indexOf(vin[9]);
+  if (index === -1) return { modelYear: null, candidates: [] };
+
+  const latestYear = new Date().getFullYear() + 1;
+  const candidates = [];
+  for (let year = YEAR_CYCLE_START + index; year <= latestYear; year += YEAR_CODES.length) {
+    candidates.push(year);
+  }
+
+  const newerCycle = /[A-Z]/.test(vin[6]);
+  const preferred = candidates.filter(year => (newerCycle ? year >= 2010 : year < 2010));
+  const modelYear = (preferred.length > 0 ? preferred : candidates).slice(-1)[0] || null;
+
+  return { modelYear, candidates };
+};
+
+// Everything the tables know about a VIN - call validateVin first
+const decodeVin = (input) => {
+  const vin = normalizeVin(input);
+  const wmi = vin.substring(0, 3);
+  const { modelYear, candidates } = decodeModelYear(vin);
+
+  return {
+    vin,
+    wmi,
+    make: MANUFACTURERS[wmi] || null,
+    country: lookupCountry(vin),
+    model_year: modelYear,
+    model_year_candidates: candidates,
+    serial_number: vin.substring(11)
+  };
+};
+
+// Differences between the decoded VIN and what was submitted for the car
+const findVinMismatches = (decoded, { make, year }) => {
+  const mismatches = [];
+
+  if (decoded.make && make && decoded.make.toLowerCase() !== String(make).trim().toLowerCase()) {
+    mismatches.push({ field: 'make', submitted: make, decoded: decoded.make });
+  }
+  if (decoded.model_year && year && !decoded.model_year_candidates.includes(Number(year))) {
+    mismatches.push({ field: 'year', submitted: Number(year), decoded: decoded.model_year });
+  }
+
+  return mismatches;
+};
+
+module.exports = {
+  normalizeVin,
+  validateVin,
+  decodeVin,
+  findVinMismatches
+};
@@ -0,0 +1,100 @@
+// Offline lookup tables for decoding VINs
+// Manufacturer codes cover the brands we usually stock, countries come from the
+// first two characters (SAE J272 ranges), so unknown brands still get a country
+
+// World Manufacturer Identifier (first 3 characters) => make as we list it
+const MANUFACTURERS = {
+  '1FA': 'Ford', '1FB': 'Ford', '1FC': 'Ford', '1FD': 'Ford', '1FM': 'Ford', '1FT': 'Ford',
+  '2FA': 'Ford', '2FM': 'Ford', '3FA': 'Ford', '3FM': 'Ford', 'WF0': 'Ford', 'NM0': 'Ford',
+  '1G1': 'Chevrolet', '1GC': 'Chevrolet', '1GN': 'Chevrolet', '2G1': 'Chevrolet', '3G1': 'Chevrolet', 'KL1': 'Chevrolet',
+  '1G6': 'Cadillac', '1GY': 'Cadillac',
+  '1GT': 'GMC', '1GK': 'GMC',
+  '1C3': 'Chrysler', '2C3': 'Chrysler',
+  '1C4': 'Jeep', '1J4': 'Jeep', '1J8': 'Jeep',
+  '1B3': 'Dodge', '2B3': 'Dodge', '1D7': 'Dodge',
+  '1HG': 'Honda', '2HG': 'Honda', '5FN': 'Honda', 'JHM': 'Honda', 'SHH': 'Honda', 'SHS': 'Honda',
+  '19U': 'Acura', 'JH4': 'Acura',
+  '1N4': 'Nissan', '1N6': 'Nissan', '3N1': 'Nissan', '5N1': 'Nissan', 'JN1': 'Nissan', 'JN8': 'Nissan', 'SJN': 'Nissan', 'VSK': 'Nissan',
+  '4T1': 'Toyota', '4T3': 'Toyota', '4T4': 'Toyota', '2T1': 'Toyota', '2T3': 'Toyota', '5TD': 'Toyota', '5TF': 'Toyota',
+  'JTD': 'Toyota', 'JTE': 'Toyota', 'JTM': 'Toyota', 'JTN': 'Toyota', 'JT2': 'Toyota', 'SB1': 'Toyota', 'NMT': 'Toyota', 'VNK': 'Toyota',
+  'JTH': 'Lexus', 'JTJ': 'Lexus', '2T2': 'Lexus',
+  'JF1': 'Subaru', 'JF2': 'Subaru', '4S3': 'Subaru', '4S4': 'Subaru',
+  'JM1': 'Mazda', 'JM3': 'Mazda', 'JMZ': 'Mazda',
+  'JA3': 'Mitsubishi', 'JA4': 'Mitsubishi', 'JMB': 'Mitsubishi',
+  'JS2': 'Suzuki', 'JS3': 'Suzuki', 'TSM': 'Suzuki',
+  'KMH': 'Hyundai', 'KM8': 'Hyundai', '5NP': 'Hyundai', 'TMA': 'Hyundai', 'NLH': 'Hyundai',
+  'KNA': 'Kia', 'KND': 'Kia', 'KNM': 'Kia', '5XY': 'Kia', 'U5Y': 'Kia',
+  'WBA': 'BMW', 'WBS': 'BMW', 'WBX': 'BMW', 'WBY': 'BMW', '4US': 'BMW', '5UX': 'BMW', '5YM': 'BMW',
+  'WMW': 'MINI',
+  'WDB': 'Mercedes-Benz', 'WDC': 'Mercedes-Benz', 'WDD': 'Mercedes-Benz', 'WDF': 'Mercedes-Benz',
+  'W1K': 'Mercedes-Benz', 'W1N': 'Mercedes-Benz', 'W1V': 'Mercedes-Benz', '4JG': 'Mercedes-Benz', '55S': 'Mercedes-Benz',
+  'WAU': 'Audi', 'WA1': 'Audi', 'WUA': 'Audi', 'TRU': 'Audi',
+  'WVW': 'Volkswagen', 'WVG': 'Volkswagen', 'WV1': 'Volkswagen', 'WV2': 'Volkswagen', '1VW': 'Volkswagen', '3VW': 'Volkswagen',
+  'WP0': 'Porsche', 'WP1': 'Porsche',
+  'W0L': 'Opel', 'W0V': 'Opel',
+  'TMB': 'Skoda',
+  'VSS': 'SEAT',
+  'VF1': 'Renault', 'VF6': 'Renault',
+  'UU1': 'Dacia',
+  'VF3': 'Peugeot', 'VR3': 'Peugeot',
+  'VF7': 'Citroen', 'VR7': 'Citroen',
+  'ZFA': 'Fiat', 'ZFF': 'Ferrari', 'ZAR': 'Alfa Romeo', 'ZHW': 'Lamborghini', 'ZAM': 'Maserati',
+  'YV1': 'Volvo', 'YV4': 'Volvo', 'LYV': 'Volvo',
+  'SAL': 'Land Rover', 'SAJ': 'Jaguar', 'SCA': 'Rolls-Royce', 'SCB': 'Bentley', 'SCF': 'Aston Martin',
+  '5YJ': 'Tesla', '7SA': 'Tesla', 'LRW': 'Tesla', 'XP7': 'Tesla'
+};
+
+// Country ranges on the first two characters, "to" is inclusive in VIN character order
+const COUNTRIES = [
+  { from: 'AA', to: 'AH', country: 'South Africa' },
+  { from: 'J', to: 'J', country: 'Japan' },
+  { from: 'KL', to: 'KR', country: 'South Korea' },
+  { from: 'L', to: 'L', country: 'China' },
+  { from: 'MA', to: 'ME', country: 'India' },
+  { from: 'MF', to: 'MK', country: 'Indonesia' },
+  { from: 'ML', to: 'MR', country: 'Thailand' },
+  { from: 'NL', to: 'NR', country: 'Turkey' },
+  { from: 'SA', to: 'SM', country: 'United Kingdom' },
+  { from: 'SN', to: 'ST', country: 'Germany' },
+  { from: 'SU', to: 'SZ', country: 'Poland' },
+  { from: 'TA', to: 'TH', country: 'Switzerland' },
+  { from: 'TJ', to: 'TP', country: 'Czech Republic' },
+  { from: 'TR', to: 'TV', country: 'Hungary' },
+  { from: 'TW', to: 'T1', country: 'Portugal' },
+  { from: 'UU', to: 'UZ', country: 'Romania' },
+  { from: 'U5', to: 'U7', country: 'Slovakia' },
+  { from: 'VA', to: 'VE', country: 'Austria' },
+  { from: 'VF', to: 'VR', country: 'France' },
+  { from: 'VS', to: 'VW', country: 'Spain' },
+  { from: 'VX', to: 'V2', country: 'Serbia' },
+  { from: 'V3', to: 'V5', country: 'Croatia' },
+  { from: 'WA', to: 'W0', country: 'Germany' },
+  { from: 'XA', to: 'XE', country: 'Bulgaria' },
+  { from: 'XL', to: 'XR', country: 'Netherlands' },
+  { from: 'XS', to: 'XW', country: 'Russia' },
+  { from: 'X3', to: 'X0', country: 'Russia' },
+  { from: 'YA', to: 'YE', country: 'Belgium' },
+  { from: 'YF', to: 'YK', country: 'Finland' },
+  { from: 'YS', to: 'YW', country: 'Sweden' },
+  { from: 'ZA', to: 'ZR', country: 'Italy' },
+  { from: '1', to: '1', country: 'United States' },
+  { from: '2', to: '2', country: 'Canada' },
+  { from: '3A', to: '3W', country: 'Mexico' },
+  { from: '4', to: '5', country: 'United States' },
+  { from: '6A', to: '6W', country: 'Australia' },
+  { from: '7A', to: '7E', country: 'New Zealand' },
+  { from: '7F', to: '70', country: 'United States' },
+  { from: '8A', to: '8E', country: 'Argentina' },
+  { from: '9A', to: '9E', country: 'Brazil' }
+];
+
+// Model year codes (10th character), the cycle repeats every 30 years from 1980
+const YEAR_CODES = 'ABCDEFGHJKLMNPRSTVWXY123456789';
+const YEAR_CYCLE_START = 1980;
+
+module.exports = {
+  MANUFACTURERS,
+  COUNTRIES,
+  YEAR_CODES,
+  YEAR_CYCLE_START
+};